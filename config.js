@@ -6,6 +6,128 @@ const config = {
         description: "AI-powered restaurant discovery and ordering platform"
     },
 
+    // Restaurant Data Source
+    restaurants: {
+        adapter: "bundled", // "bundled" (data/restaurants.json) or "api" (/api/restaurants, bundled as fallback)
+        bundledUrl: "./data/restaurants.json"
+    },
+
+    // Table Reservations
+    reservations: {
+        storageKey: "foodiebot_reservations",
+        slotMinutes: 90, // How long a booked table stays occupied
+        lastSeatingMinutes: 60, // No new bookings this close to closing time
+        maxDaysAhead: 30
+    },
+
+    // Intent Classifier (trained from data/intents.json)
+    intents: {
+        url: "./data/intents.json",
+        minConfidence: 0.5, // Below this the bot asks a clarification question
+        clarifyMargin: 0.08, // Intents scoring this close to the best one are ambiguous
+        clarifyFloor: 0.3 // Below this the message is treated as general chat
+    },
+
+    // Price Filters ("under 150", "cheap", "for 3 people under 600")
+    priceFilters: {
+        budgetMax: 150, // Per-dish cap for "cheap" / "budget" without an amount
+        maxPeople: 20
+    },
+
+    // Eco Mode (plastic avoided per order)
+    eco: {
+        storageKey: "foodiebot_eco_impact",
+        cutleryGrams: 10, // One cutlery set per restaurant when cutlery is declined
+        containerGrams: 15 // One plastic container per item from eco packagers
+    },
+
+    // On-device Recommendations (orders, cart adds, searches, time of day)
+    recommendations: {
+        storageKey: "foodiebot_taste_profile",
+        maxEvents: 200,
+        halfLifeDays: 14 // A signal counts half as much after this many days
+    },
+
+    // Trending Dishes (ranked from placed orders)
+    trending: {
+        source: "local", // "local" (orders logged on this device) or "api" (/api/orders, local log as fallback)
+        ordersUrl: "/api/orders",
+        storageKey: "foodiebot_order_log",
+        maxOrders: 500,
+        windowDays: 30, // Orders older than this are ignored
+        halfLifeDays: 7, // An order counts half as much after this many days
+        minOrders: 3 // Fewer orders than this in an area or time bucket falls back to a wider one
+    },
+
+    // Group Meal Planner ("feed 5 people under ₹1000")
+    mealPlanner: {
+        maxPlans: 3, // Alternative baskets offered per request
+        maxPeople: 20
+    },
+
+    // Restaurant FAQ entries and policies (parking, payment, cancellations...)
+    faq: {
+        source: "local", // "local" (owner edits kept on this device) or "api" (edits also sent to the endpoint)
+        endpoint: "/api/restaurants/{id}/faq",
+        storageKey: "foodiebot_faq_edits",
+        ownerMode: false, // Shows the FAQ editor; turn on only in the owners' build of the page
+        minScore: 0.6 // Weaker matches are left to the other handlers
+    },
+
+    // Support Tickets (complaints about an order)
+    support: {
+        endpoint: "/api/support/tickets", // Tickets are queued locally and sent here when online
+        storageKey: "foodiebot_support_tickets",
+        maxPhotoKB: 300, // Photos are shrunk to fit before being attached
+        refreshMinutes: 5, // How often ticket statuses are fetched again
+        handoff: {
+            path: "/ws/foodiebot", // Same socket as the real-time updates, 'support' channel
+            transcriptLimit: 30, // Latest messages shared with the agent
+            joinTimeoutSeconds: 120, // Back to the bot if no agent joins in time
+            maxRetries: 3
+        }
+    },
+
+    // Chat History (kept in IndexedDB, restored on reload)
+    history: {
+        dbName: "foodiebot_history",
+        storageKey: "foodiebot_conversation_id", // The conversation restored on reload
+        maxConversations: 20 // Older conversations are deleted
+    },
+
+    // Cart kept across reloads and shared between open tabs
+    cart: {
+        storageKey: "foodiebot_cart",
+        channelName: "foodiebot_cart", // BroadcastChannel the tabs sync over
+        idleMinutes: 240 // A cart untouched this long is emptied
+    },
+
+    // Bot reply blocks (carousels, dish lists, quick-reply chips)
+    responses: {
+        maxChips: 6,
+        maxCarouselItems: 10
+    },
+
+    // Ratings and reviews left after an order arrives
+    reviews: {
+        storageKey: "foodiebot_reviews",
+        maxReviews: 500,
+        priorWeight: 10 // The listed rating counts as this many reviews when blending
+    },
+
+    // Language Model for free-form questions (answers grounded in the catalog)
+    llm: {
+        adapter: "none", // "none" (rule engine only) or "openai" (any OpenAI-compatible chat-completions API)
+        endpoint: "/v1/chat/completions", // Same origin; tools/llm-stub-server.js serves one for development
+        model: "gpt-4o-mini",
+        apiKey: "", // Leave empty when a server-side proxy adds the key
+        stream: true,
+        timeoutMs: 8000,
+        maxDishes: 8, // Menu items sent with each question
+        historyTurns: 6,
+        retryAfterSeconds: 60 // Rule engine only for this long after the backend fails
+    },
+
     // Feature Flags
     features: {
         offlineSupport: true,
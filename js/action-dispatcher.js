@@ -0,0 +1,54 @@
+// ===== ACTION DISPATCHER =====
+// Buttons in generated HTML say what they do with data-action="name", and
+// carry their arguments as other data-* attributes, instead of inline
+// onclick (which the CSP forbids and SecurityManager strips). One click
+// listener on the document finds the nearest [data-action] and calls the
+// handler registered under that name with the element and the event.
+
+class ActionDispatcher {
+    constructor() {
+        this.handlers = new Map();
+        document.addEventListener('click', (e) => this.dispatch(e));
+    }
+
+    // handlers: { 'action-name': (element, event) => ... }; returns an unregister function
+    register(handlers) {
+        Object.entries(handlers).forEach(([name, handler]) => {
+            if (this.handlers.has(name)) {
+                console.warn(`Action "${name}" registered twice; the last handler wins`);
+            }
+            this.handlers.set(name, handler);
+        });
+        return () => Object.keys(handlers).forEach(name => this.handlers.delete(name));
+    }
+
+    has(name) {
+        return this.handlers.has(name);
+    }
+
+    dispatch(event) {
+        const element = event.target.closest?.('[data-action]');
+        if (!element || element.disabled) return;
+
+        const name = element.dataset.action;
+        const handler = this.handlers.get(name);
+        if (!handler) {
+            console.warn('No handler for action:', name);
+            return;
+        }
+
+        event.preventDefault();
+        try {
+            handler(element, event);
+        } catch (error) {
+            console.error(`Error handling action "${name}":`, error);
+        }
+    }
+}
+
+window.actionDispatcher = new ActionDispatcher();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActionDispatcher;
+}
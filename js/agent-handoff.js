@@ -0,0 +1,218 @@
+// ===== HUMAN AGENT HANDOFF =====
+// "Talk to a human": the conversation is handed to a support agent over the
+// /ws/foodiebot socket, on its 'support' channel, together with the transcript
+// and the cart and order context so the agent doesn't have to ask again. While
+// a handoff is active, customer messages go to the agent instead of the bot;
+// the agent's replies and status changes reach the chat through subscribe().
+// tools/support-ws-server.js stands in for the support backend locally.
+
+class AgentHandoff {
+    constructor(config = {}) {
+        this.path = config.path || '/ws/foodiebot';
+        this.transcriptLimit = config.transcriptLimit ?? 30;
+        // With nobody free after this long, the customer is handed back to the bot
+        this.joinTimeoutSeconds = config.joinTimeoutSeconds ?? 120;
+        this.maxRetries = config.maxRetries ?? 3;
+
+        this.socket = null;
+        this.session = null;
+        this.outbox = [];
+        this.retryAttempts = 0;
+        this.joinTimer = null;
+        this.listeners = new Set();
+    }
+
+    // ===== SESSION =====
+    isActive() {
+        return Boolean(this.session);
+    }
+
+    // The agent who joined, or null while still waiting
+    getAgent() {
+        return this.session?.agent || null;
+    }
+
+    // "back to bot", "end chat"...
+    isEndRequest(text) {
+        return /^(back to (the )?bot|end (the )?chat|stop|exit|bye|goodbye|that'?s all)\b/i.test(text.trim());
+    }
+
+    // transcript: [{ sender, text, timestamp }], context: cart, orders, tickets...
+    // Returns the session, or null when there is no way to reach an agent
+    start({ reason = '', transcript = [], context = {} }) {
+        if (this.session) return this.session;
+        if (!window.WebSocket) {
+            console.warn('WebSocket not supported');
+            return null;
+        }
+
+        this.session = { id: this.generateHandoffId(), agent: null, startedAt: new Date().toISOString() };
+        this.send({
+            type: 'handoff_request',
+            handoff: {
+                id: this.session.id,
+                reason,
+                transcript: transcript.slice(-this.transcriptLimit).map(entry => ({
+                    sender: entry.sender,
+                    text: String(entry.text),
+                    timestamp: entry.timestamp
+                })),
+                context,
+                startedAt: this.session.startedAt
+            }
+        });
+        if (!this.session) return null;
+
+        this.joinTimer = setTimeout(() => {
+            if (this.session && !this.session.agent) {
+                this.send({ type: 'handoff_end', handoffId: this.session.id });
+                this.finish('timeout');
+            }
+        }, this.joinTimeoutSeconds * 1000);
+
+        this.emit({ type: 'waiting', handoffId: this.session.id });
+        return this.session;
+    }
+
+    sendMessage(text) {
+        if (!this.session) return;
+        this.send({ type: 'customer_message', handoffId: this.session.id, text, sentAt: new Date().toISOString() });
+    }
+
+    end() {
+        if (!this.session) return;
+        this.send({ type: 'handoff_end', handoffId: this.session.id });
+        this.finish('customer');
+    }
+
+    finish(reason) {
+        clearTimeout(this.joinTimer);
+        const agent = this.getAgent();
+        this.session = null;
+        this.outbox = [];
+        this.disconnect();
+        this.emit({ type: 'ended', reason, agent });
+    }
+
+    generateHandoffId() {
+        const timestamp = Date.now().toString();
+        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+        return `HND${timestamp.slice(-6)}${random}`;
+    }
+
+    // ===== SOCKET =====
+    // Opened only while a handoff is active
+    connect() {
+        if (this.socket && this.socket.readyState <= WebSocket.OPEN) return;
+
+        try {
+            const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            this.socket = new WebSocket(`${wsProtocol}//${window.location.host}${this.path}`);
+
+            this.socket.onopen = () => {
+                this.retryAttempts = 0;
+                this.socket.send(JSON.stringify({ type: 'subscribe', channels: ['support'] }));
+                // After a reconnect the server is told which handoff this is
+                if (this.session && !this.outbox.some(message => message.type === 'handoff_request')) {
+                    this.socket.send(JSON.stringify({ type: 'handoff_resume', handoffId: this.session.id }));
+                }
+                this.outbox.splice(0).forEach(message => this.socket.send(JSON.stringify(message)));
+            };
+
+            this.socket.onmessage = (event) => {
+                this.handleMessage(JSON.parse(event.data));
+            };
+
+            this.socket.onclose = () => {
+                this.socket = null;
+                if (this.session) this.reconnect();
+            };
+
+            this.socket.onerror = (error) => {
+                console.error('Agent handoff socket error:', error);
+            };
+        } catch (error) {
+            console.error('Failed to open agent handoff socket:', error);
+            this.finish('unavailable');
+        }
+    }
+
+    reconnect() {
+        if (this.retryAttempts >= this.maxRetries) {
+            this.finish('disconnected');
+            return;
+        }
+        this.retryAttempts++;
+        const delay = Math.pow(2, this.retryAttempts) * 1000; // Exponential backoff
+        setTimeout(() => {
+            if (this.session) this.connect();
+        }, delay);
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        this.socket.onclose = null;
+        this.socket.close();
+        this.socket = null;
+        this.retryAttempts = 0;
+    }
+
+    // Queued until the socket is open
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+            return;
+        }
+        this.outbox.push(message);
+        this.connect();
+    }
+
+    // Also called by the bot's own socket for support messages that arrive there
+    handleMessage(data) {
+        if (!this.session || data.handoffId !== this.session.id) return;
+
+        switch (data.type) {
+            case 'handoff_queued':
+                this.emit({ type: 'queued', position: data.position });
+                break;
+            case 'agent_joined':
+                clearTimeout(this.joinTimer);
+                this.session.agent = { name: data.agent?.name || 'Support agent' };
+                this.emit({ type: 'joined', agent: this.session.agent });
+                break;
+            case 'agent_message':
+                this.emit({ type: 'message', text: String(data.text || ''), agent: this.getAgent() });
+                break;
+            case 'handoff_ended':
+                this.finish('agent');
+                break;
+            default:
+                // Message types added to the backend later are ignored
+                break;
+        }
+    }
+
+    // ===== EVENTS =====
+    // listener({ type: 'waiting' | 'queued' | 'joined' | 'message' | 'ended', ... })
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Agent handoff listener failed:', error);
+            }
+        });
+    }
+}
+
+window.agentHandoff = new AgentHandoff(window.appConfig?.support?.handoff);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AgentHandoff;
+}
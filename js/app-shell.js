@@ -0,0 +1,65 @@
+// ===== APP SHELL =====
+// Page-level setup that used to sit in inline <script> blocks in index.html:
+// error logging, the loading overlay, service worker registration and the
+// PWA install banner. It lives in a file so the CSP can leave out
+// 'unsafe-inline' for scripts.
+
+// Error handling for script loading
+window.onerror = function(msg, url, lineNo, columnNo, error) {
+    console.error('Error: ' + msg + '\nURL: ' + url + '\nLine: ' + lineNo + '\nColumn: ' + columnNo + '\nError object: ' + JSON.stringify(error));
+    return false;
+};
+
+// Show loading overlay while scripts are loading
+document.getElementById('loadingOverlay').classList.remove('hidden');
+
+// Service Worker Registration
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./service-worker.js')
+            .then((registration) => {
+                console.log('SW registered: ', registration);
+            })
+            .catch((registrationError) => {
+                console.log('SW registration failed: ', registrationError);
+            });
+    });
+}
+
+// Hide loading overlay when everything is loaded
+window.addEventListener('load', function() {
+    document.getElementById('loadingOverlay').classList.add('hidden');
+});
+
+// Install prompt for PWA
+let deferredPrompt;
+window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    deferredPrompt = e;
+
+    // Show install button or banner
+    const installBanner = document.createElement('div');
+    installBanner.innerHTML = `
+        <div style="position: fixed; bottom: 20px; left: 20px; right: 20px; background: #ff6b35; color: white; padding: 1rem; border-radius: 10px; z-index: 10000; display: flex; justify-content: space-between; align-items: center;">
+            <span>Install FoodieBot for a better experience!</span>
+            <button id="installBtn" style="background: white; color: #ff6b35; border: none; padding: 0.5rem 1rem; border-radius: 5px; cursor: pointer;">Install</button>
+            <button id="dismissBtn" style="background: none; border: none; color: white; cursor: pointer; margin-left: 10px;">&times;</button>
+        </div>
+    `;
+    document.body.appendChild(installBanner);
+
+    document.getElementById('installBtn').addEventListener('click', () => {
+        deferredPrompt.prompt();
+        deferredPrompt.userChoice.then((choiceResult) => {
+            if (choiceResult.outcome === 'accepted') {
+                console.log('User accepted the install prompt');
+            }
+            deferredPrompt = null;
+            installBanner.remove();
+        });
+    });
+
+    document.getElementById('dismissBtn').addEventListener('click', () => {
+        installBanner.remove();
+    });
+});
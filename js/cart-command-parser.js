@@ -0,0 +1,137 @@
+// ===== CART COMMAND PARSER =====
+// Reads cart edits typed in chat - "remove the dosa", "make the biryani 3",
+// "one less idli", "empty my cart" - and matches them to cart lines.
+// The chat engine applies the result to the cart store (js/cart-store.js).
+
+class CartCommandParser {
+    constructor(matcher, orderParser) {
+        this.matcher = matcher;
+        this.orderParser = orderParser;
+        this.number = '(\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|couple|few|dozen)';
+        this.cartWords = /\s+(?:from|in|off|out of)\s+(?:my|the)\s+(?:cart|basket|order)\s*$|\s+(?:please|pls)\s*$/;
+    }
+
+    // ===== PARSING =====
+    // { type: 'clear' | 'remove' | 'set' | 'decrease', target, quantity } or null
+    parse(message) {
+        const text = message.toLowerCase().replace(/[^a-z0-9\s']/g, ' ').replace(/\s+/g, ' ').trim();
+
+        if (/\b(empty|clear|reset)\s+(my|the)?\s*(cart|basket)\b|\b(remove|delete)\s+(everything|all items)\b|\bstart (my order )?over\b/.test(text)) {
+            return { type: 'clear', target: null, quantity: null };
+        }
+
+        // "one less idli", "two fewer samosas", "one less" (the dish in focus)
+        let match = text.match(new RegExp(`\\b${this.number}\\s+(?:less|fewer)(?:\\s+(.+))?$`));
+        if (match) {
+            return this.command('decrease', match[2] || '', this.toNumber(match[1]));
+        }
+
+        // "reduce the dosa by 2", "decrease biryani"
+        match = text.match(new RegExp(`\\b(?:reduce|decrease|lower)\\s+(.+?)(?:\\s+by\\s+${this.number})?$`));
+        if (match) {
+            return this.command('decrease', match[1], match[2] ? this.toNumber(match[2]) : 1);
+        }
+
+        // "make the biryani 3", "change dosa to 2", "set it to four"
+        match = text.match(new RegExp(`\\b(?:make|change|set|update)\\s+(.+?)\\s+(?:to\\s+)?${this.number}$`));
+        if (match) {
+            return this.command('set', match[1], this.toNumber(match[2]));
+        }
+
+        // "remove the dosa", "remove 2 samosas", "take the coke out", "no more idli",
+        // "i don't want the fries anymore". Negated filters ("no seafood") never get
+        // here: the exclusion filter takes them out of the message first
+        match = text.match(/\b(?:remove|delete|drop|take out|take off|get rid of)\s+(.+)$/) ||
+            text.match(/\btake\s+(.+?)\s+out\b/) ||
+            text.match(/\bno more\s+(.+)$/) ||
+            text.match(/\b(?:don'?t|do not) want\s+(.+?)(?:\s+any ?more)?$/);
+        if (match) {
+            const counted = match[1].match(new RegExp(`^${this.number}\\s+(?:of\\s+)?(?:the\\s+)?(.+)$`));
+            return counted ?
+                this.command('decrease', counted[2], this.toNumber(counted[1])) :
+                this.command('remove', match[1], null);
+        }
+
+        return null;
+    }
+
+    // Whether a message is about the cart at all: it names the cart or uses an
+    // edit word. "2 biryani and 3 idli" has quantities but no edit word; it is an order
+    isCartMessage(message) {
+        const text = message.toLowerCase().replace(/[^a-z0-9\s']/g, ' ');
+        return Boolean(this.parse(message)) ||
+            /\b(cart|basket|remove|delete|drop|less|fewer|reduce|decrease|lower|change|update|edit|empty|clear|make it|set it|take (it|that|them) (out|off)|no more|(don'?t|do not) want)\b/.test(text);
+    }
+
+    command(type, target, quantity) {
+        return { type, target: this.cleanTarget(target), quantity };
+    }
+
+    cleanTarget(target) {
+        return target
+            .replace(this.cartWords, '')
+            .replace(/^(quantity|qty)( of)?\s+/, '')
+            .replace(/^(the|my|that|those|these)\s+/, '')
+            .replace(/\s+(one|ones|item|items|line)$/, '')
+            .trim();
+    }
+
+    // Cart names keep the portion in brackets ("Chicken Biryani (Half plate)"),
+    // which the matcher would otherwise drop
+    lineText(line) {
+        return line.name.replace(/[()]/g, ' ');
+    }
+
+    toNumber(word) {
+        if (word === 'couple') return 2;
+        if (word === 'few') return 3;
+        if (word === 'dozen') return 12;
+        return this.orderParser.wordToNumber(word);
+    }
+
+    // ===== MATCHING CART LINES =====
+    // { line } for one clear match, { options } when several lines fit, {} when none do
+    findLines(target, cart, focusDish = null) {
+        if (cart.length === 0) return {};
+
+        // "it", "that" or no name at all: the dish in focus, or the only line
+        if (!target || /^(it|that|this|them|those)$/.test(target)) {
+            const focused = focusDish ? cart.filter(line => line.id === focusDish.id) : [];
+            if (focused.length === 1) return { line: focused[0] };
+            if (cart.length === 1) return { line: cart[0] };
+            return { options: focused.length > 1 ? focused : cart };
+        }
+
+        // "the second item" counts down the cart
+        const ordinal = window.referenceResolver.parseOrdinal(target);
+        if (ordinal !== null && this.matcher.contentTokens(target).length <= 2) {
+            const line = window.referenceResolver.pick(cart, ordinal);
+            return line ? { line } : { options: cart };
+        }
+
+        // Full plates carry no portion label, so "full" only narrows the choice below
+        const match = this.matcher.match(target.replace(/\bfull( plate| portion)?\b/, ''), cart, line => this.lineText(line));
+        if (!match.best) return {};
+
+        // Same dish in two portions ("Chicken Biryani" and its half plate) is ambiguous
+        // unless the portion was named
+        const portion = /\bhalf\b/.test(target) ? 'half' : (/\bfull\b/.test(target) ? null : undefined);
+        const sameDish = cart.filter(line => line.id === match.best.id &&
+            (portion === undefined || (line.portion || null) === portion));
+        if (sameDish.length === 1 && !match.ambiguous) {
+            return { line: sameDish[0] };
+        }
+        if (match.ambiguous || sameDish.length > 1) {
+            const options = [...new Set([...match.alternatives, ...sameDish])];
+            return { options };
+        }
+        return { line: match.best };
+    }
+}
+
+window.cartCommandParser = new CartCommandParser(window.fuzzyMatcher, window.orderParser);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartCommandParser;
+}
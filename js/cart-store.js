@@ -0,0 +1,330 @@
+// ===== CART STORE =====
+// The one cart. Menu ADD buttons, dishes ordered by chat, meal plans and cart
+// commands all change it here, and checkout reads it from here. Every change
+// is recorded in the chat history and sent to subscribers, which redraw the
+// header badge, the cart modal and the checkout totals, so they always agree.
+// The cart is kept in localStorage and restored against the current menu on
+// reload, other open tabs get each change over a BroadcastChannel, and a cart
+// left untouched for idleMinutes is emptied. Lines from a restaurant that has
+// closed since they were added stay in the cart, flagged closed, but can't be
+// ordered.
+
+// setTimeout fires at once for delays above this (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+class CartStore {
+    constructor(repository, config = {}) {
+        this.repository = repository;
+        this.storageKey = config.storageKey || 'foodiebot_cart';
+        this.channelName = config.channelName || 'foodiebot_cart';
+        this.idleMs = (config.idleMinutes ?? 240) * 60 * 1000;
+
+        this.lines = [];
+        this.updatedAt = null;
+        // updatedAt of the cart this tab last saved (null once it removed it)
+        this.savedAt = undefined;
+        this.expiryTimer = null;
+        this.listeners = new Set();
+        this.channel = this.openChannel();
+        // Resolves with what changed while the cart was away (see restore)
+        this.restored = this.restore();
+    }
+
+    // ===== READING =====
+    // Lines are { ...dish, lineId, restaurantName, quantity, addedAt, closed }; treat them as read-only
+    getLines() {
+        return this.lines;
+    }
+
+    // The lines checkout can order: not those from a restaurant that is closed
+    getOrderableLines() {
+        return this.lines.filter(line => !line.closed);
+    }
+
+    getClosedLines() {
+        return this.lines.filter(line => line.closed);
+    }
+
+    getLine(lineId) {
+        return this.lines.find(line => line.lineId === String(lineId)) || null;
+    }
+
+    isEmpty() {
+        return this.lines.length === 0;
+    }
+
+    getItemCount() {
+        return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+    }
+
+    getSubtotal() {
+        return this.lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    }
+
+    // The same dish in a different portion is a separate line
+    getLineId(item) {
+        const id = item.id ?? item.name;
+        return item.portion ? `${id}-${item.portion}` : String(id);
+    }
+
+    // ===== CHANGES =====
+    add(item, restaurantName = item.restaurant, quantity = 1) {
+        const line = this.addLine(item, restaurantName, quantity);
+        this.commit({ type: 'add', lines: [line], quantity });
+        return line;
+    }
+
+    // A confirmed basket ([{ item, quantity }]) as one change
+    addMany(items) {
+        const lines = items.map(({ item, quantity }) => this.addLine(item, item.restaurant, quantity));
+        this.commit({ type: 'add', lines, quantity: items.reduce((sum, entry) => sum + entry.quantity, 0) });
+        return lines;
+    }
+
+    addLine(item, restaurantName, quantity) {
+        window.recommendationEngine?.recordCartAdd({ ...item, restaurantName }, quantity);
+
+        const lineId = this.getLineId(item);
+        let line = this.getLine(lineId);
+        if (line) {
+            line.quantity += quantity;
+        } else {
+            line = { ...item, lineId, restaurantName, quantity, addedAt: new Date().toISOString() };
+            this.lines.push(line);
+        }
+        this.recordCartAction('add', line, quantity);
+        return line;
+    }
+
+    // 0 or less removes the line
+    setQuantity(lineId, quantity) {
+        const line = this.getLine(lineId);
+        if (!line) return;
+        if (quantity <= 0) {
+            this.remove(lineId);
+            return;
+        }
+
+        line.quantity = quantity;
+        this.recordCartAction('update', line, quantity);
+        this.commit({ type: 'update', lines: [line] });
+    }
+
+    remove(lineId) {
+        const line = this.getLine(lineId);
+        if (!line) return;
+
+        this.lines = this.lines.filter(existing => existing !== line);
+        this.recordCartAction('remove', line);
+        this.commit({ type: 'remove', lines: [line] });
+    }
+
+    // Emptied by the user, or by checkout once the order (orderId) is placed;
+    // either way it is one history entry
+    clear(orderId = null) {
+        const lines = this.lines;
+        this.lines = [];
+        if (orderId || lines.length) {
+            window.chatHistory?.record(orderId ? { kind: 'cart', action: 'order', orderId } : { kind: 'cart', action: 'clear' });
+        }
+        this.commit({ type: 'clear', lines });
+    }
+
+    // Saves the change and passes it to the other tabs and to subscribers
+    commit(change) {
+        this.updatedAt = new Date().toISOString();
+        this.publish(change);
+    }
+
+    // Like commit, for changes that aren't the user's (restore, expiry), so
+    // they don't count as activity
+    publish(change) {
+        this.saveCart();
+        this.channel?.postMessage({ type: change.type, lines: this.lines, updatedAt: this.updatedAt });
+        this.scheduleExpiry();
+        this.emit(change);
+    }
+
+    // ===== PERSISTENCE =====
+    // { lines, updatedAt } or null
+    loadCart() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading cart:', error);
+            return null;
+        }
+    }
+
+    saveCart() {
+        try {
+            if (this.lines.length === 0) {
+                localStorage.removeItem(this.storageKey);
+                this.savedAt = null;
+            } else {
+                localStorage.setItem(this.storageKey, JSON.stringify({ lines: this.lines, updatedAt: this.updatedAt }));
+                this.savedAt = this.updatedAt;
+            }
+        } catch (error) {
+            console.error('Error saving cart:', error);
+        }
+    }
+
+    // Brings back the saved cart once the catalog has loaded. Resolves with
+    // { expired, removed: [{ line, reason }], repriced: [{ line, oldPrice }], closed }
+    async restore() {
+        const saved = this.loadCart();
+        if (!saved?.lines?.length) return null;
+
+        if (Date.now() - Date.parse(saved.updatedAt) > this.idleMs) {
+            localStorage.removeItem(this.storageKey);
+            return { expired: saved.lines, removed: [], repriced: [], closed: [] };
+        }
+
+        // Kept as saved if the catalog can't be loaded
+        let reconciled = { lines: saved.lines, removed: [], repriced: [], closed: [] };
+        try {
+            await this.repository.getRestaurants();
+            reconciled = this.reconcile(saved.lines);
+        } catch (error) {
+            console.error('Error checking the saved cart against the menu:', error);
+        }
+
+        // Another tab changed the cart while the catalog loaded. It started from
+        // the same saved cart, so its version is the newer one and is kept
+        const latest = this.loadCart();
+        if ((latest?.updatedAt ?? null) !== (this.savedAt === undefined ? saved.updatedAt : this.savedAt)) {
+            this.lines = latest?.lines || [];
+            this.updatedAt = latest?.updatedAt || null;
+            this.scheduleExpiry();
+            this.emit({ type: 'sync', lines: this.lines });
+            return { expired: [], removed: [], repriced: [], closed: [] };
+        }
+
+        // Anything added while the catalog loaded stays, after the saved lines;
+        // a dish in both gets both quantities
+        const { lines, removed, repriced, closed } = reconciled;
+        const added = this.lines;
+        this.lines = lines.map(line => {
+            const same = added.find(existing => existing.lineId === line.lineId);
+            return same ? { ...line, quantity: line.quantity + same.quantity } : line;
+        });
+        this.lines.push(...added.filter(line => !this.getLine(line.lineId)));
+        this.updatedAt = this.updatedAt || saved.updatedAt;
+        this.publish({ type: 'restore', lines: this.lines });
+        return { expired: [], removed, repriced, closed };
+    }
+
+    // Saved lines checked against the menu as it is now: dishes that are gone
+    // or unavailable are dropped, dishes from a restaurant that is closed are
+    // kept but flagged closed, and prices are brought up to date
+    reconcile(savedLines) {
+        const lines = [];
+        const removed = [];
+        const repriced = [];
+        const closed = [];
+
+        savedLines.forEach(line => {
+            const dish = this.repository.getDishById(line.id);
+            const restaurant = dish && this.repository.getRestaurantById(dish.restaurantId);
+            if (!dish) {
+                removed.push({ line, reason: 'removed' });
+                return;
+            }
+            if (dish.available === false || !window.orderParser.offersPortion(dish, line.portion)) {
+                removed.push({ line, reason: 'unavailable' });
+                return;
+            }
+
+            const item = line.portion ? window.orderParser.toCartItem({ dish, portion: line.portion }) : dish;
+            const current = { ...item, lineId: line.lineId, restaurantName: line.restaurantName, quantity: line.quantity, addedAt: line.addedAt };
+            if (restaurant?.isOpen === false) {
+                current.closed = true;
+                closed.push(current);
+            }
+            if (current.price !== line.price) {
+                repriced.push({ line: current, oldPrice: line.price });
+            }
+            lines.push(current);
+        });
+        return { lines, removed, repriced, closed };
+    }
+
+    // ===== TABS & EXPIRY =====
+    openChannel() {
+        if (!window.BroadcastChannel) return null;
+        const channel = new BroadcastChannel(this.channelName);
+        channel.onmessage = (event) => this.receive(event.data);
+        return channel;
+    }
+
+    // Another tab changed the cart; it has already saved and recorded it, and
+    // an expiry there is that tab's to report, so every change here is a sync
+    receive({ lines, updatedAt }) {
+        this.lines = lines;
+        this.updatedAt = updatedAt;
+        this.scheduleExpiry();
+        this.emit({ type: 'sync', lines });
+    }
+
+    // Every tab counts from the same updatedAt, so they empty the cart together.
+    // Longer waits than one timer allows are made in steps
+    scheduleExpiry() {
+        clearTimeout(this.expiryTimer);
+        if (this.lines.length === 0) return;
+        const remaining = Date.parse(this.updatedAt) + this.idleMs - Date.now();
+        this.expiryTimer = remaining > MAX_TIMER_MS ?
+            setTimeout(() => this.scheduleExpiry(), MAX_TIMER_MS) :
+            setTimeout(() => this.expire(), Math.max(0, remaining));
+    }
+
+    // The first tab to get here empties the cart; one whose timer fires later
+    // finds the saved cart already gone or changed and takes it from storage
+    expire() {
+        const saved = this.loadCart();
+        if ((saved?.updatedAt ?? null) !== this.updatedAt) {
+            this.receive({ lines: saved?.lines || [], updatedAt: saved?.updatedAt || null });
+            return;
+        }
+        const lines = this.lines;
+        this.lines = [];
+        lines.forEach(line => this.recordCartAction('expire', line, line.quantity));
+        this.publish({ type: 'expire', lines });
+    }
+
+    // ===== HISTORY =====
+    // Cart changes go into the chat history next to the messages that caused them
+    recordCartAction(action, line, quantity = null) {
+        window.chatHistory?.record({
+            kind: 'cart',
+            action,
+            name: line.name,
+            quantity,
+            restaurant: line.restaurantName || line.restaurant || null
+        });
+    }
+
+    // ===== EVENTS =====
+    // listener({ type: 'add' | 'update' | 'remove' | 'clear' | 'restore' | 'sync' | 'expire', lines }, store)
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(change) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(change, this);
+            } catch (error) {
+                console.error('Cart listener failed:', error);
+            }
+        });
+    }
+}
+
+window.cartStore = new CartStore(window.restaurantRepository, window.appConfig?.cart);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartStore;
+}
@@ -0,0 +1,325 @@
+// ===== CHAT HISTORY =====
+// The whole conversation, kept in IndexedDB: messages, the cards the bot drew
+// (restaurant lists, menus) as the blocks that draw them again, and cart actions.
+// The chat is restored from it on reload; clearing the chat starts a new
+// conversation and keeps the old one. Conversations export as JSON, plain text
+// or Markdown, and a JSON transcript can be imported to see what a user saw.
+
+class ChatHistory {
+    constructor(config = {}) {
+        this.dbName = config.dbName || 'foodiebot_history';
+        this.storageKey = config.storageKey || 'foodiebot_conversation_id';
+        this.maxConversations = config.maxConversations ?? 20;
+        this.format = 'foodiebot-transcript';
+        this.version = 1;
+
+        this.conversationId = localStorage.getItem(this.storageKey);
+        // Entries are written one after another so a new conversation is created once
+        this.writes = Promise.resolve();
+        this.db = this.openDatabase();
+    }
+
+    // ===== DATABASE =====
+    // Resolves to null without IndexedDB; the chat then simply isn't kept
+    openDatabase() {
+        if (!window.indexedDB) {
+            console.warn('IndexedDB not supported, chat history will not be kept');
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('conversations', { keyPath: 'id' });
+                const entries = db.createObjectStore('entries', { keyPath: 'seq', autoIncrement: true });
+                entries.createIndex('conversationId', 'conversationId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening chat history:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    // Runs fn(stores) in one transaction; resolves with fn's request result
+    async transaction(storeNames, mode, fn) {
+        const db = await this.db;
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+            const request = fn(stores);
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+            // Aborted without a failed request, e.g. when storage is full
+            transaction.onabort = () => reject(transaction.error || new Error('Chat history transaction aborted'));
+        });
+    }
+
+    // ===== RECORDING =====
+    // entry: { kind: 'message', sender, text, name } | { kind: 'card', block }
+    //      | { kind: 'cart', action, name, quantity, restaurant }
+    record(entry) {
+        this.writes = this.writes
+            .then(() => this.write({ ...entry, timestamp: entry.timestamp || new Date().toISOString() }))
+            .catch(error => console.error('Error saving chat history:', error));
+        return this.writes;
+    }
+
+    async write(entry) {
+        if (!await this.db) return;
+        if (!this.conversationId) {
+            await this.createConversation();
+        }
+
+        const conversationId = this.conversationId;
+        await this.transaction(['conversations', 'entries'], 'readwrite', ({ conversations, entries }) => {
+            entries.add({ ...entry, conversationId });
+            const request = conversations.get(conversationId);
+            request.onsuccess = () => {
+                if (request.result) {
+                    conversations.put({ ...request.result, updatedAt: entry.timestamp, entryCount: request.result.entryCount + 1 });
+                }
+            };
+            return null;
+        });
+    }
+
+    // An import is pruned once its entries are written (see importConversation)
+    async createConversation(startedAt = new Date().toISOString(), imported = false) {
+        const conversation = { id: this.generateConversationId(), startedAt, updatedAt: startedAt, entryCount: 0, imported };
+        if (imported) conversation.importedAt = new Date().toISOString();
+        await this.transaction(['conversations'], 'readwrite', ({ conversations }) => conversations.add(conversation));
+        this.setConversation(conversation.id);
+        if (!imported) await this.prune();
+        return conversation;
+    }
+
+    setConversation(id) {
+        this.conversationId = id;
+        if (id) {
+            localStorage.setItem(this.storageKey, id);
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    generateConversationId() {
+        const timestamp = Date.now().toString();
+        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+        return `CHT${timestamp.slice(-6)}${random}`;
+    }
+
+    // ===== CONVERSATIONS =====
+    // Entries of a conversation (the current one by default), oldest first
+    async getEntries(conversationId = null) {
+        await this.writes;
+        const id = conversationId || this.conversationId;
+        if (!id) return [];
+        const entries = await this.transaction(['entries'], 'readonly', ({ entries }) =>
+            entries.index('conversationId').getAll(id));
+        return (entries || []).sort((a, b) => a.seq - b.seq);
+    }
+
+    async getConversation(conversationId = null) {
+        await this.writes;
+        const id = conversationId || this.conversationId;
+        if (!id) return null;
+        return this.transaction(['conversations'], 'readonly', ({ conversations }) => conversations.get(id));
+    }
+
+    // Newest first
+    async listConversations() {
+        await this.writes;
+        const conversations = await this.transaction(['conversations'], 'readonly', ({ conversations }) => conversations.getAll());
+        return (conversations || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    // The next message starts a new conversation; the old one is kept
+    async startNew() {
+        await this.writes;
+        this.setConversation(null);
+    }
+
+    async switchTo(conversationId) {
+        await this.writes;
+        this.setConversation(conversationId);
+        return this.getEntries(conversationId);
+    }
+
+    // Only the newest maxConversations are kept. An import counts from when it
+    // was imported, as its entries keep their original, older timestamps
+    async prune() {
+        const lastActive = (conversation) => [conversation.updatedAt, conversation.importedAt || ''].sort().pop();
+        const stale = (await this.transaction(['conversations'], 'readonly', ({ conversations }) => conversations.getAll()) || [])
+            .sort((a, b) => lastActive(b).localeCompare(lastActive(a)))
+            .slice(this.maxConversations);
+
+        for (const conversation of stale) {
+            await this.deleteConversation(conversation.id);
+        }
+    }
+
+    async deleteConversation(conversationId) {
+        const keys = await this.transaction(['entries'], 'readonly', ({ entries }) =>
+            entries.index('conversationId').getAllKeys(conversationId));
+        await this.transaction(['conversations', 'entries'], 'readwrite', ({ conversations, entries }) => {
+            (keys || []).forEach(key => entries.delete(key));
+            conversations.delete(conversationId);
+            return null;
+        });
+    }
+
+    // ===== EXPORT & IMPORT =====
+    // { content, filename, mimeType } for 'json', 'text' or 'markdown'
+    async exportConversation(format, conversationId = null) {
+        const entries = (await this.getEntries(conversationId)).map(({ seq, conversationId: id, ...entry }) => entry);
+        const id = conversationId || this.conversationId;
+        const name = `foodiebot-chat-${id || 'empty'}`;
+
+        if (format === 'json') {
+            const transcript = { format: this.format, version: this.version, conversationId: id, exportedAt: new Date().toISOString(), entries };
+            return { content: JSON.stringify(transcript, null, 2), filename: `${name}.json`, mimeType: 'application/json' };
+        }
+        if (format === 'markdown') {
+            return { content: this.formatMarkdown(entries), filename: `${name}.md`, mimeType: 'text/markdown' };
+        }
+        return { content: this.formatText(entries), filename: `${name}.txt`, mimeType: 'text/plain' };
+    }
+
+    // A JSON transcript becomes a new conversation and the current one. It may
+    // come from anyone, so it is marked imported and shown as plain text.
+    // Returns { success, entries } or { success: false, message }
+    async importConversation(json) {
+        let transcript;
+        try {
+            transcript = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            return { success: false, message: "That file isn't valid JSON." };
+        }
+        if (transcript?.format !== this.format || !Array.isArray(transcript.entries)) {
+            return { success: false, message: "That file isn't a FoodieBot chat transcript." };
+        }
+
+        const entries = transcript.entries
+            .filter(entry => ['message', 'card', 'cart'].includes(entry?.kind))
+            .map(({ seq, conversationId, ...entry }) => ({ ...entry, timestamp: String(entry.timestamp || new Date().toISOString()) }));
+        if (!await this.db) {
+            return { success: false, message: 'Chat history is not available in this browser.' };
+        }
+
+        // Queued like record(), so a message recorded meanwhile is written after
+        // the transcript rather than in the middle of it
+        const imported = this.writes.then(() => this.writeImport(entries));
+        this.writes = imported.catch(error => console.error('Error importing chat transcript:', error));
+        const result = await imported;
+        return result.success ? { success: true, entries: await this.getEntries(result.conversationId) } : result;
+    }
+
+    // { success, conversationId } or { success: false, message }
+    async writeImport(entries) {
+        const conversation = await this.createConversation(entries[0]?.timestamp, true);
+        try {
+            for (const entry of entries) {
+                await this.write(entry);
+            }
+        } catch (error) {
+            // Storage full, usually: don't keep half a transcript
+            console.error('Error importing chat transcript:', error);
+            await this.deleteConversation(conversation.id).catch(() => {});
+            this.setConversation(null);
+            return { success: false, message: "Couldn't save that transcript - the browser may be out of storage space." };
+        }
+        await this.prune();
+        return { success: true, conversationId: conversation.id };
+    }
+
+    formatText(entries) {
+        return entries.map(entry => `[${this.formatTime(entry.timestamp)}] ${this.describeEntry(entry, false)}`).join('\n\n') + '\n';
+    }
+
+    formatMarkdown(entries) {
+        const started = entries[0] ? new Date(entries[0].timestamp).toLocaleString() : '';
+        const lines = entries.map(entry => `_${this.formatTime(entry.timestamp)}_ ${this.describeEntry(entry, true)}`);
+        return `# FoodieBot chat${started ? ` (${started})` : ''}\n\n${lines.join('\n\n')}\n`;
+    }
+
+    describeEntry(entry, markdown) {
+        const bold = (text) => markdown ? `**${text}**` : text;
+        if (entry.kind === 'message') {
+            const speaker = entry.sender === 'user' ? 'You' : entry.sender === 'agent' ? (entry.name || 'Support agent') : 'FoodieBot';
+            return `${bold(`${speaker}:`)} ${this.toPlainText(entry.text, markdown)}`;
+        }
+        if (entry.kind === 'cart') {
+            const verbs = { add: 'Added', remove: 'Removed', update: 'Changed to', expire: 'Emptied from the idle cart:', clear: 'Emptied the cart', order: 'Placed order' };
+            const item = entry.name ? ` ${entry.quantity ? `${entry.quantity} × ` : ''}${entry.name}` : '';
+            return `🛒 ${verbs[entry.action] || entry.action}${item}${entry.orderId ? ` ${entry.orderId}` : ''}`;
+        }
+        return `📋 ${this.describeCard(entry)}`;
+    }
+
+    describeCard(entry) {
+        if (entry.block) {
+            return this.describeBlock(entry.block);
+        }
+        const data = entry.data;
+        if (Array.isArray(data)) {
+            const names = data.map(item => item.name).filter(Boolean);
+            return `Showed ${names.length} ${entry.action === 'show_restaurants' ? 'restaurants' : 'items'}: ${names.join(', ')}`;
+        }
+        if (data?.name) {
+            return entry.action === 'show_menu' ? `Showed the menu of ${data.name}` : `Showed ${data.name}`;
+        }
+        return `Showed ${entry.action}`;
+    }
+
+    // Cards recorded as response blocks (js/response-schema.js)
+    describeBlock(block) {
+        const names = (items) => items.map(item => item.name).filter(Boolean).join(', ');
+        switch (block.type) {
+            case 'restaurants':
+                return `Showed ${block.restaurants.length} restaurants: ${names(block.restaurants)}`;
+            case 'dishes':
+                return `Showed ${block.dishes.length} items: ${names(block.dishes)}`;
+            case 'menu':
+                return `Showed the menu of ${block.restaurant?.name}`;
+            case 'order_summary':
+                return `Showed an order summary: ${block.lines.map(line => `${line.quantity} × ${line.name}`).join(', ')}`;
+            default:
+                return `Showed ${block.type}`;
+        }
+    }
+
+    // Exports keep just the words: in-app links become their label, and the
+    // card HTML older versions put in messages is dropped
+    toPlainText(text, markdown) {
+        const plain = String(text)
+            .replace(/\[([^\]]+)\]\((say|action):[^)]+\)/g, '$1')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(div|p|h\d|li)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+        return markdown ? plain : plain.replace(/\*\*(.*?)\*\*/g, '$1');
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+window.chatHistory = new ChatHistory(window.appConfig?.history);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatHistory;
+}
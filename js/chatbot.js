@@ -1,679 +1,2755 @@
-// ===== FOODIEBOT AI ENGINE - ENHANCED FOR REAL-TIME PRODUCTION =====
-
-class FoodieBotAI {
-    constructor() {
-        this.nearbyRestaurants = [];
-        this.selectedRestaurant = null;
-        this.orderMode = 'discovery'; // 'discovery' or 'restaurant'
-        this.currentLocation = "Nagaram, Dammiguda";
-        this.conversationContext = [];
-        this.userPreferences = this.loadUserPreferences();
-        this.cache = new Map();
-        this.apiEndpoints = this.initializeAPIEndpoints();
-        this.websocket = null;
-        this.retryAttempts = 0;
-        this.maxRetries = 3;
-        this.init();
-    }
-
-    init() {
-        this.loadRestaurantData();
-        this.initializeWebSocket();
-        this.setupPerformanceMonitoring();
-        this.loadUserSession();
-    }
-
-    // ===== REAL-TIME API INTEGRATION =====
-    initializeAPIEndpoints() {
-        return {
-            restaurants: '/api/restaurants',
-            menu: '/api/restaurants/{id}/menu',
-            orders: '/api/orders',
-            tracking: '/api/orders/{id}/track',
-            search: '/api/search',
-            recommendations: '/api/recommendations',
-            analytics: '/api/analytics/events'
-        };
-    }
-
-    // ===== WEBSOCKET FOR REAL-TIME UPDATES =====
-    initializeWebSocket() {
-        if (!window.WebSocket) {
-            console.warn('WebSocket not supported');
-            return;
-        }
-
-        try {
-            const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-            const wsUrl = `${wsProtocol}//${window.location.host}/ws/foodiebot`;
-            
-            this.websocket = new WebSocket(wsUrl);
-            
-            this.websocket.onopen = () => {
-                console.log('WebSocket connected');
-                this.retryAttempts = 0;
-                this.sendWebSocketMessage({
-                    type: 'subscribe',
-                    channels: ['restaurant_updates', 'order_status', 'menu_changes']
-                });
-            };
-
-            this.websocket.onmessage = (event) => {
-                this.handleWebSocketMessage(JSON.parse(event.data));
-            };
-
-            this.websocket.onclose = () => {
-                console.log('WebSocket disconnected');
-                this.reconnectWebSocket();
-            };
-
-            this.websocket.onerror = (error) => {
-                console.error('WebSocket error:', error);
-            };
-        } catch (error) {
-            console.error('Failed to initialize WebSocket:', error);
-        }
-    }
-
-    reconnectWebSocket() {
-        if (this.retryAttempts < this.maxRetries) {
-            this.retryAttempts++;
-            const delay = Math.pow(2, this.retryAttempts) * 1000; // Exponential backoff
-            
-            setTimeout(() => {
-                console.log(`Reconnecting WebSocket (attempt ${this.retryAttempts})`);
-                this.initializeWebSocket();
-            }, delay);
-        }
-    }
-
-    sendWebSocketMessage(message) {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-            this.websocket.send(JSON.stringify(message));
-        }
-    }
-
-    handleWebSocketMessage(data) {
-        switch (data.type) {
-            case 'restaurant_update':
-                this.updateRestaurantData(data.restaurant);
-                break;
-            case 'order_status':
-                this.updateOrderStatus(data.order);
-                break;
-            case 'menu_update':
-                this.updateMenuData(data.menu);
-                break;
-            case 'real_time_recommendation':
-                this.showRealtimeRecommendation(data.recommendation);
-                break;
-            default:
-                console.log('Unknown WebSocket message type:', data.type);
-        }
-    }
-
-    // ===== ENHANCED DATA LOADING WITH API INTEGRATION =====
-    async loadRestaurantData() {
-        try {
-            // Check cache first
-            const cacheKey = `restaurants_${this.currentLocation}`;
-            if (this.cache.has(cacheKey)) {
-                const cachedData = this.cache.get(cacheKey);
-                if (Date.now() - cachedData.timestamp < 300000) { // 5 minutes cache
-                    this.nearbyRestaurants = cachedData.data;
-                    return;
-                }
-            }
-
-            // Show loading state
-            this.showLoadingState('Loading restaurants...');
-
-            // Fetch from API
-            const response = await this.fetchWithRetry(this.apiEndpoints.restaurants, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Location': this.currentLocation,
-                    'X-User-ID': this.getUserId()
-                }
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                this.nearbyRestaurants = data.restaurants || this.getFallbackRestaurants();
-                
-                // Cache the data
-                this.cache.set(cacheKey, {
-                    data: this.nearbyRestaurants,
-                    timestamp: Date.now()
-                });
-
-                // Track analytics
-                this.trackEvent('restaurants_loaded', {
-                    location: this.currentLocation,
-                    count: this.nearbyRestaurants.length
-                });
-            } else {
-                throw new Error(`API Error: ${response.status}`);
-            }
-        } catch (error) {
-            console.error('Error loading restaurant data:', error);
-            this.nearbyRestaurants = this.getFallbackRestaurants();
-            this.showErrorNotification('Using offline restaurant data');
-        } finally {
-            this.hideLoadingState();
-        }
-    }
-
-    // ===== ENHANCED API CALLS WITH RETRY LOGIC =====
-    async fetchWithRetry(url, options, retries = 3) {
-        for (let i = 0; i < retries; i++) {
-            try {
-                const response = await fetch(url, {
-                    ...options,
-                    timeout: 10000 // 10 second timeout
-                });
-                
-                if (response.ok) {
-                    return response;
-                }
-                
-                if (response.status >= 500 && i < retries - 1) {
-                    // Retry on server errors
-                    await this.delay(Math.pow(2, i) * 1000);
-                    continue;
-                }
-                
-                return response;
-            } catch (error) {
-                if (i === retries - 1) {
-                    throw error;
-                }
-                await this.delay(Math.pow(2, i) * 1000);
-            }
-        }
-    }
-
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    // ===== ENHANCED AI RESPONSE GENERATION =====
-    async generateResponse(userMessage, conversationHistory = []) {
-        try {
-            // Track user interaction
-            this.trackEvent('user_message', {
-                message_length: userMessage.length,
-                intent: this.detectIntent(userMessage)
-            });
-
-            // Add to conversation context
-            this.conversationContext.push({
-                role: 'user',
-                content: userMessage,
-                timestamp: Date.now()
-            });
-
-            // Detect intent and generate response
-            const intent = this.detectIntent(userMessage);
-            const response = await this.generateContextualResponse(intent, userMessage);
-
-            // Add AI response to context
-            this.conversationContext.push({
-                role: 'assistant',
-                content: response.text,
-                timestamp: Date.now()
-            });
-
-            // Limit context size for performance
-            if (this.conversationContext.length > 20) {
-                this.conversationContext = this.conversationContext.slice(-20);
-            }
-
-            return response;
-        } catch (error) {
-            console.error('Error generating response:', error);
-            return {
-                text: "I apologize, but I'm experiencing technical difficulties. Please try again in a moment.",
-                action: null,
-                data: null
-            };
-        }
-    }
-
-    // ===== ENHANCED INTENT DETECTION =====
-    detectIntent(message) {
-        const lowerMessage = message.toLowerCase();
-        
-        // Use more sophisticated intent detection
-        const intents = {
-            search_restaurants: [
-                'find', 'search', 'show', 'restaurants', 'nearby', 'around', 'close'
-            ],
-            view_menu: [
-                'menu', 'food', 'dishes', 'items', 'what do you have', 'options'
-            ],
-            order_food: [
-                'order', 'buy', 'purchase', 'add to cart', 'i want', 'get me'
-            ],
-            track_order: [
-                'track', 'status', 'where is', 'delivery', 'order status'
-            ],
-            recommendations: [
-                'recommend', 'suggest', 'popular', 'best', 'top rated', 'what should'
-            ],
-            location: [
-                'location', 'address', 'where', 'area', 'delivery to'
-            ],
-            help: [
-                'help', 'how', 'what can you do', 'assist', 'support'
-            ]
-        };
-
-        for (const [intent, keywords] of Object.entries(intents)) {
-            if (keywords.some(keyword => lowerMessage.includes(keyword))) {
-                return intent;
-            }
-        }
-
-        return 'general';
-    }
-
-    // ===== PERFORMANCE MONITORING =====
-    setupPerformanceMonitoring() {
-        // Monitor API response times
-        this.performanceMetrics = {
-            apiCalls: [],
-            responseGeneration: [],
-            userInteractions: []
-        };
-
-        // Set up performance observer if available
-        if ('PerformanceObserver' in window) {
-            const observer = new PerformanceObserver((list) => {
-                for (const entry of list.getEntries()) {
-                    if (entry.name.includes('foodiebot')) {
-                        this.performanceMetrics.apiCalls.push({
-                            name: entry.name,
-                            duration: entry.duration,
-                            timestamp: entry.startTime
-                        });
-                    }
-                }
-            });
-            observer.observe({ entryTypes: ['measure'] });
-        }
-    }
-
-    // ===== USER SESSION MANAGEMENT =====
-    loadUserSession() {
-        try {
-            const sessionData = localStorage.getItem('foodiebot_session');
-            if (sessionData) {
-                const session = JSON.parse(sessionData);
-                this.userPreferences = { ...this.userPreferences, ...session.preferences };
-                this.conversationContext = session.context || [];
-            }
-        } catch (error) {
-            console.error('Error loading user session:', error);
-        }
-    }
-
-    saveUserSession() {
-        try {
-            const sessionData = {
-                preferences: this.userPreferences,
-                context: this.conversationContext.slice(-10), // Save last 10 interactions
-                timestamp: Date.now()
-            };
-            localStorage.setItem('foodiebot_session', JSON.stringify(sessionData));
-        } catch (error) {
-            console.error('Error saving user session:', error);
-        }
-    }
-
-    // ===== ANALYTICS AND TRACKING =====
-    trackEvent(eventName, properties = {}) {
-        try {
-            const eventData = {
-                event: eventName,
-                properties: {
-                    ...properties,
-                    timestamp: Date.now(),
-                    user_id: this.getUserId(),
-                    session_id: this.getSessionId(),
-                    location: this.currentLocation,
-                    user_agent: navigator.userAgent
-                }
-            };
-
-            // Send to analytics API
-            if (navigator.sendBeacon) {
-                navigator.sendBeacon(
-                    this.apiEndpoints.analytics,
-                    JSON.stringify(eventData)
-                );
-            } else {
-                fetch(this.apiEndpoints.analytics, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(eventData)
-                }).catch(error => console.error('Analytics error:', error));
-            }
-        } catch (error) {
-            console.error('Error tracking event:', error);
-        }
-    }
-
-    // ===== REAL-TIME RECOMMENDATIONS =====
-    async getPersonalizedRecommendations() {
-        try {
-            const response = await this.fetchWithRetry(this.apiEndpoints.recommendations, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-User-ID': this.getUserId()
-                },
-                body: JSON.stringify({
-                    location: this.currentLocation,
-                    preferences: this.userPreferences,
-                    context: this.conversationContext.slice(-5)
-                })
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return data.recommendations;
-            }
-        } catch (error) {
-            console.error('Error getting recommendations:', error);
-        }
-
-        return this.getFallbackRecommendations();
-    }
-
-    // ===== ERROR HANDLING AND FALLBACKS =====
-    getFallbackRestaurants() {
-        return [
-            {
-                id: 1,
-                name: "Biryani Paradise",
-                image: "🍛",
-                rating: 4.5,
-                deliveryTime: "25-35 min",
-                distance: "1.2 km",
-                cuisines: ["Indian", "Biryani", "Hyderabadi"],
-                priceRange: "₹₹",
-                location: "Nagaram Main Road",
-                offers: ["20% OFF", "Free Delivery"],
-                menu: {
-                    biryani: [
-                        {
-                            id: 101,
-                            name: "Chicken Dum Biryani",
-                            description: "Aromatic basmati rice cooked with tender chicken pieces and traditional spices",
-                            price: 280,
-                            veg: false,
-                            rating: 4.7,
-                            popular: true
-                        },
-                        {
-                            id: 102,
-                            name: "Mutton Biryani",
-                            description: "Premium mutton pieces slow-cooked with fragrant basmati rice",
-                            price: 350,
-                            veg: false,
-                            rating: 4.6
-                        },
-                        {
-                            id: 103,
-                            name: "Veg Dum Biryani",
-                            description: "Mixed vegetables and paneer cooked with aromatic spices and basmati rice",
-                            price: 220,
-                            veg: true,
-                            rating: 4.3
-                        }
-                    ],
-                    starters: [
-                        {
-                            id: 201,
-                            name: "Chicken 65",
-                            description: "Spicy deep-fried chicken with curry leaves and green chilies",
-                            price: 180,
-                            veg: false,
-                            rating: 4.4,
-                            popular: true
-                        },
-                        {
-                            id: 202,
-                            name: "Paneer Tikka",
-                            description: "Grilled cottage cheese marinated in spices and yogurt",
-                            price: 160,
-                            veg: true,
-                            rating: 4.2
-                        }
-                    ]
-                }
-            },
-            {
-                id: 2,
-                name: "Pizza Corner",
-                image: "🍕",
-                rating: 4.3,
-                deliveryTime: "20-30 min",
-                distance: "0.8 km",
-                cuisines: ["Italian", "Pizza", "Fast Food"],
-                priceRange: "₹₹",
-                location: "Dammiguda Circle",
-                offers: ["Buy 1 Get 1", "Free Garlic Bread"],
-                menu: {
-                    pizza: [
-                        {
-                            id: 301,
-                            name: "Margherita Pizza",
-                            description: "Classic pizza with fresh tomatoes, mozzarella, and basil",
-                            price: 250,
-                            veg: true,
-                            rating: 4.5,
-                            popular: true
-                        },
-                        {
-                            id: 302,
-                            name: "Chicken Supreme",
-                            description: "Loaded with chicken, bell peppers, onions, and cheese",
-                            price: 320,
-                            veg: false,
-                            rating: 4.4
-                        }
-                    ]
-                }
-            }
-        ];
-    }
-
-    // ===== UTILITY METHODS =====
-    getUserId() {
-        let userId = localStorage.getItem('foodiebot_user_id');
-        if (!userId) {
-            userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            localStorage.setItem('foodiebot_user_id', userId);
-        }
-        return userId;
-    }
-
-    getSessionId() {
-        let sessionId = sessionStorage.getItem('foodiebot_session_id');
-        if (!sessionId) {
-            sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            sessionStorage.setItem('foodiebot_session_id', sessionId);
-        }
-        return sessionId;
-    }
-
-    loadUserPreferences() {
-        try {
-            const prefs = localStorage.getItem('foodiebot_preferences');
-            return prefs ? JSON.parse(prefs) : {
-                dietary: [],
-                cuisines: [],
-                priceRange: 'any',
-                deliveryTime: 'any'
-            };
-        } catch (error) {
-            return {
-                dietary: [],
-                cuisines: [],
-                priceRange: 'any',
-                deliveryTime: 'any'
-            };
-        }
-    }
-
-    showLoadingState(message) {
-        const loadingOverlay = document.getElementById('loadingOverlay');
-        const loadingText = document.getElementById('loadingText');
-        if (loadingOverlay && loadingText) {
-            loadingText.textContent = message;
-            loadingOverlay.classList.remove('hidden');
-        }
-    }
-
-    hideLoadingState() {
-        const loadingOverlay = document.getElementById('loadingOverlay');
-        if (loadingOverlay) {
-            loadingOverlay.classList.add('hidden');
-        }
-    }
-
-    showErrorNotification(message) {
-        console.warn(message);
-        // Could show a toast notification here
-    }
-
-    // ===== CLEANUP =====
-    destroy() {
-        if (this.websocket) {
-            this.websocket.close();
-        }
-        this.saveUserSession();
-    }
-
-    // ===== EXISTING METHODS (Enhanced) =====
-    async generateContextualResponse(intent, userMessage) {
-        const startTime = performance.now();
-        
-        try {
-            let response;
-            
-            switch (intent) {
-                case 'search_restaurants':
-                    response = await this.handleRestaurantSearch(userMessage);
-                    break;
-                case 'view_menu':
-                    response = await this.handleMenuRequest(userMessage);
-                    break;
-                case 'recommendations':
-                    response = await this.handleRecommendations(userMessage);
-                    break;
-                default:
-                    response = await this.handleGeneralQuery(userMessage);
-            }
-
-            // Track performance
-            const duration = performance.now() - startTime;
-            this.performanceMetrics.responseGeneration.push({
-                intent,
-                duration,
-                timestamp: Date.now()
-            });
-
-            return response;
-        } catch (error) {
-            console.error('Error in contextual response:', error);
-            return {
-                text: "I apologize for the technical difficulty. Let me help you in a different way.",
-                action: null,
-                data: null
-            };
-        }
-    }
-
-    async handleRestaurantSearch(userMessage) {
-        await this.loadRestaurantData(); // Ensure fresh data
-        
-        return {
-            text: `I found ${this.nearbyRestaurants.length} restaurants near ${this.currentLocation}! Here are your options:`,
-            action: 'show_restaurants',
-            data: this.nearbyRestaurants
-        };
-    }
-
-    async handleMenuRequest(userMessage) {
-        if (this.selectedRestaurant) {
-            return {
-                text: `Here's the menu for ${this.selectedRestaurant.name}:`,
-                action: 'show_menu',
-                data: this.selectedRestaurant
-            };
-        } else {
-            return {
-                text: "Please select a restaurant first to view their menu. Would you like me to show nearby restaurants?",
-                action: 'show_restaurants',
-                data: this.nearbyRestaurants
-            };
-        }
-    }
-
-    async handleRecommendations(userMessage) {
-        const recommendations = await this.getPersonalizedRecommendations();
-        
-        return {
-            text: "Based on your preferences and popular choices in your area, here are my recommendations:",
-            action: 'show_popular',
-            data: recommendations
-        };
-    }
-
-    async handleGeneralQuery(userMessage) {
-        // Enhanced general query handling with context awareness
-        const responses = [
-            "I'm here to help you discover great restaurants and order delicious food! What would you like to do?",
-            "I can help you find restaurants, browse menus, place orders, and track deliveries. How can I assist you today?",
-            "Looking for something specific? I can recommend restaurants based on your preferences!"
-        ];
-        
-        return {
-            text: responses[Math.floor(Math.random() * responses.length)],
-            action: null,
-            data: null
-        };
-    }
-
-    setSelectedRestaurant(restaurantId) {
-        this.selectedRestaurant = this.nearbyRestaurants.find(r => r.id === restaurantId);
-        if (this.selectedRestaurant) {
-            this.trackEvent('restaurant_selected', {
-                restaurant_id: restaurantId,
-                restaurant_name: this.selectedRestaurant.name
-            });
-        }
-    }
-
-    getFallbackRecommendations() {
-        return this.nearbyRestaurants.slice(0, 3);
-    }
-}
-
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    if (!window.chatbotAI) {
-        window.chatbotAI = new FoodieBotAI();
-    }
-});
-
-// Cleanup on page unload
-window.addEventListener('beforeunload', () => {
-    if (window.chatbotAI) {
-        window.chatbotAI.destroy();
-    }
-});
\ No newline at end of file
+// ===== RESTAURANT DISCOVERY AI ENGINE FOR NAGARAM-DAMMIGUDA =====
+
+// Dialogue state shared by the reservation and complaint slot-filling flows
+const state = {
+    currentStep: 'greeting',
+    reservation: {
+        restaurantId: null,
+        name: null,
+        date: null,
+        time: null,
+        people: null,
+        phone: null,
+        editingId: null
+    },
+    complaint: {
+        orderId: null,
+        items: null,
+        issueType: null,
+        description: null,
+        photo: null,
+        photoAsked: false
+    }
+};
+
+// Make state globally accessible
+window.chatbotState = state;
+
+// Recent messages and the dishes and restaurants each reply showed
+const conversationMemory = {
+    messages: [],
+    userPreferences: {},
+    currentTopic: '',
+    lastAction: '',
+    addMessage(role, content) {
+        this.messages.push({
+            role,
+            content,
+            timestamp: new Date().toISOString()
+        });
+        if (this.messages.length > 20) {
+            this.messages = this.messages.slice(-20);
+        }
+    },
+    getRecentContext() {
+        return this.messages.slice(-5).map(m => `${m.role}: ${m.content}`).join('\n');
+    },
+    // Dishes and restaurants each bot reply displayed, newest last
+    shownEntities: [],
+    recordEntities(entities) {
+        this.shownEntities.push({
+            ...entities,
+            timestamp: new Date().toISOString()
+        });
+        if (this.shownEntities.length > 20) {
+            this.shownEntities = this.shownEntities.slice(-20);
+        }
+    },
+    // Most recent non-empty list of 'dishes' or 'restaurants'
+    getLastShown(kind) {
+        for (let i = this.shownEntities.length - 1; i >= 0; i--) {
+            if (this.shownEntities[i][kind].length > 0) {
+                return this.shownEntities[i][kind];
+            }
+        }
+        return [];
+    }
+};
+
+class FoodieBotAI {
+    constructor() {
+        this.currentLocation = "Nagaram, Dammiguda";
+        this.restaurantRepository = window.restaurantRepository;
+        this.nearbyRestaurants = this.restaurantRepository.getCachedRestaurants();
+        this.contextMemory = new Map();
+        this.currentContext = 'discovery';
+        this.userPreferences = this.loadUserPreferences();
+        this.orderSession = null;
+        this.conversationState = 'greeting';
+        this.selectedRestaurant = null;
+        this.pendingClarification = null;
+        this.pendingBasket = null;
+        this.pendingMealPlan = null;
+        this.exclusions = [];
+        this.messageDietary = null;
+        this.dishCategories = this.initializeDishCategories();
+        this.ecoFriendlyMode = this.userPreferences.ecoMode === true;
+        // How sure the classifier must be of another intent to end a reservation or complaint dialogue
+        this.dialogueExitConfidence = 0.8;
+        this.restaurantSubscription = null;
+        this.websocket = null;
+        this.retryAttempts = 0;
+        this.maxRetries = 3;
+        
+        // Initialize real-time data
+        this.loadRestaurantData();
+        this.initializeWebSocket();
+    }
+
+    // Also called by the error handler to retry after a failed load
+    async loadRestaurantData() {
+        try {
+            // Get initial restaurant data from the shared repository
+            this.nearbyRestaurants = await this.restaurantRepository.getRestaurants();
+            
+            // Keep in sync with repository updates (menu changes, price updates)
+            if (!this.restaurantSubscription) {
+                this.restaurantSubscription = this.restaurantRepository.subscribe((restaurants) => {
+                    this.nearbyRestaurants = restaurants;
+                    if (this.selectedRestaurant) {
+                        this.selectedRestaurant = this.restaurantRepository.getRestaurantById(this.selectedRestaurant.id);
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('Error loading restaurant data:', error);
+            this.nearbyRestaurants = this.restaurantRepository.getCachedRestaurants();
+        }
+    }
+
+    // ===== WEBSOCKET FOR REAL-TIME UPDATES =====
+    // Restaurant and menu changes arrive here, and support messages are passed
+    // on to the agent handoff
+    initializeWebSocket() {
+        if (!window.WebSocket) {
+            console.warn('WebSocket not supported');
+            return;
+        }
+
+        try {
+            const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            this.websocket = new WebSocket(`${wsProtocol}//${window.location.host}/ws/foodiebot`);
+
+            this.websocket.onopen = () => {
+                this.retryAttempts = 0;
+                this.sendWebSocketMessage({
+                    type: 'subscribe',
+                    channels: ['restaurant_updates', 'order_status', 'menu_changes']
+                });
+            };
+            this.websocket.onmessage = (event) => {
+                try {
+                    this.handleWebSocketMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.error('Bad WebSocket message:', error);
+                }
+            };
+            this.websocket.onclose = () => this.reconnectWebSocket();
+            this.websocket.onerror = (error) => console.error('WebSocket error:', error);
+        } catch (error) {
+            console.error('Failed to initialize WebSocket:', error);
+        }
+    }
+
+    reconnectWebSocket() {
+        if (this.retryAttempts < this.maxRetries) {
+            this.retryAttempts++;
+            // Exponential backoff
+            setTimeout(() => this.initializeWebSocket(), Math.pow(2, this.retryAttempts) * 1000);
+        }
+    }
+
+    sendWebSocketMessage(message) {
+        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+            this.websocket.send(JSON.stringify(message));
+        }
+    }
+
+    handleWebSocketMessage(data) {
+        switch (data.type) {
+            case 'restaurant_update':
+                this.restaurantRepository.updateRestaurant(data.restaurant);
+                break;
+            case 'menu_update':
+                this.restaurantRepository.updateMenu(data.menu.restaurantId, data.menu.items);
+                break;
+            case 'handoff_queued':
+            case 'agent_joined':
+            case 'agent_message':
+            case 'handoff_ended':
+                window.agentHandoff?.handleMessage(data);
+                break;
+            default:
+                // Other updates are not shown in chat
+                break;
+        }
+    }
+
+    destroy() {
+        if (this.websocket) {
+            this.websocket.onclose = null;
+            this.websocket.close();
+        }
+    }
+
+    initializeDishCategories() {
+        return {
+            'biryani': {
+                name: 'Biryani',
+                description: 'Aromatic rice dishes with premium ingredients',
+                icon: '🍛',
+                popular_items: []
+            },
+            'pizza': {
+                name: 'Pizza',
+                description: 'Italian classics with fresh toppings',
+                icon: '🍕',
+                popular_items: []
+            },
+            'dosa': {
+                name: 'Dosa',
+                description: 'South Indian crispy crepes',
+                icon: '🥞',
+                popular_items: []
+            },
+            'burger': {
+                name: 'Burger',
+                description: 'Juicy burgers with premium patties',
+                icon: '🍔',
+                popular_items: []
+            },
+            'noodles': {
+                name: 'Noodles',
+                description: 'Stir-fried noodles with authentic flavors',
+                icon: '🍜',
+                popular_items: []
+            },
+            'beverage': {
+                name: 'Beverages',
+                description: 'Refreshing drinks and traditional teas',
+                icon: '☕',
+                popular_items: []
+            },
+            'curry': {
+                name: 'Curry',
+                description: 'Rich gravies with authentic spices',
+                icon: '🍛',
+                popular_items: []
+            },
+            'fast_food': {
+                name: 'Fast Food',
+                description: 'Quick bites and crispy snacks',
+                icon: '🍟',
+                popular_items: []
+            }
+        };
+    }
+
+    async generateResponse(userMessage, conversationHistory) {
+        const response = await this.respondTo(this.preprocessMessage(userMessage), conversationHistory);
+        this.rememberShownEntities(response);
+        return response;
+    }
+
+    async respondTo(processedMessage, conversationHistory) {
+        this.messageDietary = null;
+
+        // Answer to an open "Did you mean...?" question
+        if (this.pendingClarification) {
+            const resolved = this.resolveClarification(processedMessage);
+            if (resolved) {
+                return this.addPersonality(resolved, { type: 'clarification' });
+            }
+        }
+
+        // Answer to an open "Shall I add these?" question
+        if (this.pendingBasket) {
+            const confirmed = this.resolveBasketConfirmation(processedMessage);
+            if (confirmed) {
+                return this.addPersonality(confirmed, { type: 'basket_confirmation' });
+            }
+        }
+
+        // Picking one of the group meal plans, or filling in a missing headcount or budget
+        if (this.pendingMealPlan) {
+            const planned = this.resolveMealPlan(processedMessage);
+            if (planned) {
+                return this.addPersonality(planned, { type: 'meal_planner' });
+            }
+        }
+
+        // Table reservation dialogue in progress; an order, a cart edit or a
+        // different request stops it and is answered instead
+        if (this.isReservationInProgress()) {
+            if (!this.leavesDialogue(processedMessage)) {
+                return this.addPersonality(this.continueReservation(processedMessage), { type: 'reservation' });
+            }
+            const note = state.reservation.editingId ? "I've left your reservation as it was." : "I've stopped the booking.";
+            this.endReservation();
+            const response = await this.respondTo(processedMessage, conversationHistory);
+            return { ...response, text: `${note}\n\n${response.text}` };
+        }
+
+        // Complaint dialogue in progress (no cheerful emoji on these replies)
+        if (this.isComplaintInProgress()) {
+            if (!this.leavesDialogue(processedMessage)) {
+                return this.continueComplaint(processedMessage);
+            }
+            this.endComplaint();
+            const response = await this.respondTo(processedMessage, conversationHistory);
+            return { ...response, text: `I haven't filed the complaint.\n\n${response.text}` };
+        }
+
+        // Dietary profile statements ("I'm allergic to nuts") are saved for every
+        // later search; anything else in the message is answered as usual
+        const profileUpdate = this.updateDietaryProfile(processedMessage);
+        if (profileUpdate) {
+            if (!profileUpdate.text) {
+                return this.addPersonality(this.handleProfileUpdate(profileUpdate), { type: 'dietary_profile' });
+            }
+            const response = await this.respondToSearch(this.preprocessMessage(profileUpdate.text), conversationHistory);
+            return { ...response, text: `${this.describeProfileUpdate(profileUpdate)}\n\n${response.text}` };
+        }
+
+        return this.respondToSearch(processedMessage, conversationHistory);
+    }
+
+    async respondToSearch(processedMessage, conversationHistory) {
+        // Exclusions ("no seafood", "without onion") stay active until cleared;
+        // the rest of the message is searched without the negated words
+        const exclusionUpdate = this.updateExclusions(processedMessage);
+        const searchMessage = exclusionUpdate.changed ? this.preprocessMessage(exclusionUpdate.text) : processedMessage;
+        // "jain options", "mild dishes" narrow this reply only
+        this.messageDietary = window.dietaryFilter.parse(searchMessage.original);
+        // Cart edits ("remove the dosa") first, then "add the second one", "what about its price?"
+        const intent = this.detectCartCommand(searchMessage) ||
+            this.resolveReference(searchMessage) ||
+            this.detectIntent(searchMessage, conversationHistory);
+        
+        // Eco-friendly mode on/off, and "how much plastic have I saved?"
+        const ecoCommand = this.detectEcoCommand(processedMessage.lowercase);
+        if (ecoCommand) {
+            return this.handleEcoCommand(ecoCommand);
+        }
+
+        // A message that only sets or clears filters ("something without onion")
+        if (exclusionUpdate.changed && (['general', 'clarify_intent'].includes(intent.type) || this.isFilterOnly(exclusionUpdate.text))) {
+            return this.addPersonality(this.handleExclusionUpdate(exclusionUpdate), intent);
+        }
+
+        // Free-form questions no rule covers (including ones the classifier would
+        // otherwise ask about) go to the language model, if one is set up
+        if (['general', 'clarify_intent'].includes(intent.type) && window.llmBackend?.isAvailable()) {
+            const answer = await this.askLanguageModel(searchMessage, conversationHistory);
+            if (answer) return answer;
+        }
+        
+        const response = this.routeIntent(intent);
+        return ['complaint', 'ticket_status', 'human_agent'].includes(intent.type) ? response : this.addPersonality(response, intent);
+    }
+
+    routeIntent(intent) {
+        let response;
+
+        switch (intent.type) {
+            case 'greeting':
+                response = this.generateGreeting(intent);
+                break;
+            case 'find_restaurants':
+                response = this.handleRestaurantSearch(intent);
+                break;
+            case 'cuisine_search':
+                response = this.handleCuisineSearch(intent);
+                break;
+            case 'restaurant_details':
+                response = this.handleRestaurantDetails(intent);
+                break;
+            case 'menu_inquiry':
+                response = this.handleMenuInquiry(intent);
+                break;
+            case 'add_to_cart':
+                response = this.handleAddToCart(intent);
+                break;
+            case 'dietary_filter':
+                response = this.handleDietaryFilter(intent);
+                break;
+            case 'location_inquiry':
+                response = this.handleLocationInquiry(intent);
+                break;
+            case 'delivery_inquiry':
+                response = this.handleDeliveryInquiry(intent);
+                break;
+            case 'popular_items':
+                response = this.handlePopularItems(intent);
+                break;
+            case 'recommendations':
+                response = this.handleRecommendations(intent);
+                break;
+            case 'best_dishes':
+                response = this.handleBestDishes(intent);
+                break;
+            case 'dish_category_search':
+                response = this.handleDishCategorySearch(intent);
+                break;
+            case 'price_inquiry':
+                response = this.handlePriceInquiry(intent);
+                break;
+            case 'dish_lookup':
+                response = this.handleDishLookup(intent);
+                break;
+            case 'reservation':
+                response = this.handleReservation(intent);
+                break;
+            case 'clarify_intent':
+                response = this.askIntentClarification(intent);
+                break;
+            case 'edit_cart':
+                response = this.handleCartEdit(intent);
+                break;
+            case 'meal_planner':
+                response = this.handleMealPlanner(intent);
+                break;
+            case 'restaurant_faq':
+                response = this.handleRestaurantFAQ(intent);
+                break;
+            case 'complaint':
+                response = this.startComplaint(intent.message);
+                break;
+            case 'ticket_status':
+                response = this.listTickets(intent.message);
+                break;
+            case 'reviews':
+                response = this.handleReviews(intent);
+                break;
+            case 'human_agent':
+                response = this.startAgentHandoff(intent);
+                break;
+            case 'reference_problem':
+                response = { text: intent.text, action: null, data: null };
+                break;
+            default:
+                response = this.generateCannedResponse(intent) || this.generateFallbackResponse(intent);
+        }
+        
+        return response;
+    }
+
+    preprocessMessage(message) {
+        return {
+            original: message,
+            lowercase: message.toLowerCase(),
+            tokens: message.toLowerCase().split(/\s+/),
+            normalized: message.toLowerCase().replace(/[^\w\s]/g, '').trim()
+        };
+    }
+
+    // Intent words come from the shared classifier (data/intents.json); dish,
+    // restaurant, cuisine and category mentions come from the catalog
+    detectIntent(processedMessage, history) {
+        const { tokens, lowercase, original } = processedMessage;
+        const prediction = window.intentClassifier.predict(original);
+        const predicted = prediction.intent;
+        // Cart edits need an edit word or the cart itself ("remove", "one less", "show my cart"),
+        // and complaints a problem ("it was cold", "wrong item")
+        const isConfident = predicted !== 'general' && !prediction.needsClarification &&
+            (predicted !== 'edit_cart' || window.cartCommandParser.isCartMessage(original)) &&
+            (predicted !== 'complaint' || window.supportTickets.describesProblem(original));
+        const priceFilter = window.priceFilter.parse(original);
+
+        // Table reservations, including "cancel RSV123456789"
+        if (this.isReservationRequest(original)) {
+            return this.buildIntent('reservation', processedMessage, prediction.confidence);
+        }
+
+        // "Status of TKT123456789"
+        if (/\btkt\d+\b/i.test(original)) {
+            return this.buildIntent('ticket_status', processedMessage, prediction.confidence);
+        }
+
+        // "I want to complain", "file a complaint about my order"
+        if (/\bcomplain(t|ts|ing)?\b/.test(lowercase)) {
+            return this.buildIntent('complaint', processedMessage, 0.9);
+        }
+
+        // "Talk to a human", "connect me to customer care"
+        if ((predicted === 'human_agent' && isConfident) || /\b(human agent|real person|live (agent|chat)|(talk|speak|chat) (to|with) (an? )?(human|agent|person|someone|somebody)|connect me (to|with)|customer (care|service|support))\b/.test(lowercase)) {
+            return { type: 'human_agent', message: processedMessage, history, confidence: 0.9 };
+        }
+
+        // "What do people say about Biryani Paradise?"
+        if ((predicted === 'reviews' && isConfident) || /\b(reviews?|what (do|are|did) (people|customers|others|folks) (say|saying|think|thinking))\b/.test(lowercase)) {
+            return this.matchReviewTarget(processedMessage);
+        }
+
+        // Group meals on a budget ("feed 5 people under ₹1000, 2 of them vegetarian")
+        const mealRequest = window.mealPlanner.parse(original, this.listCuisines());
+        if (mealRequest) {
+            return { type: 'meal_planner', request: mealRequest, message: processedMessage, confidence: 0.9 };
+        }
+
+        // Parking, payment, hours, policies... of the restaurant named or being viewed
+        const faq = this.matchFAQ(processedMessage);
+        if (faq) {
+            return faq;
+        }
+
+        const dishMatch = this.matchMenuItems(lowercase);
+        // Several dishes, quantities or portions in one message count as an order
+        const basket = window.orderParser.parse(lowercase, this.restaurantRepository.getAllDishes());
+        const isBasket = basket.lines.length > 1 || basket.unavailable.length > 0 ||
+            basket.lines.some(line => line.quantity > 1 || line.portion);
+        // "Add chicken biryani", "order 2 dosas", "2 biryani and 3 idli": an order,
+        // whatever else the words resemble
+        const isExplicitOrder = (Boolean(dishMatch.best) && this.isOrderRequest(lowercase)) ||
+            (isBasket && basket.lines.length > 0);
+
+        // Conversational intents (help, tracking, payment, feedback, and any intent
+        // added only in the data file) do not depend on dishes or restaurants
+        const catalogIntents = ['find_restaurants', 'menu_inquiry', 'add_to_cart', 'popular_items', 'recommendations', 'best_dishes', 'dietary_filter', 'price_inquiry'];
+        if (isConfident && !catalogIntents.includes(predicted) && !this.messageDietary && !isExplicitOrder) {
+            return this.buildIntent(predicted, processedMessage, prediction.confidence);
+        }
+
+        // A restaurant mentioned by name (typos allowed), unless a dish name fits better
+        const restaurantMatch = this.matchRestaurant(lowercase);
+        if (restaurantMatch.best && !restaurantMatch.ambiguous && restaurantMatch.score > dishMatch.score) {
+            return { type: 'restaurant_details', restaurant: restaurantMatch.best, confidence: 0.85 };
+        }
+
+        // Restaurant search
+        if (predicted === 'find_restaurants' && isConfident) {
+            return this.buildIntent('find_restaurants', processedMessage, prediction.confidence, priceFilter);
+        }
+
+        // Orders, checked before category search so "add chiken biriyani" is an order
+        if ((dishMatch.best || basket.lines.length > 0 || basket.unavailable.length > 0) && (predicted === 'add_to_cart' || isBasket || isExplicitOrder)) {
+            if (basket.lines.length > 0 || basket.ambiguous.length > 0 || basket.unavailable.length > 0) {
+                return { type: 'add_to_cart', basket, confidence: 0.85 };
+            }
+            return { type: 'add_to_cart', ...this.describeDishMatch(dishMatch), confidence: 0.85 };
+        }
+
+        // A specific dish named on its own ("masla dosa")
+        if (dishMatch.best && !dishMatch.ambiguous && dishMatch.score >= 0.85) {
+            return { type: 'dish_lookup', item: dishMatch.best, alternatives: [], confidence: 0.85 };
+        }
+        
+        // Best dishes / Top rated queries
+        const dishCategory = this.detectDishCategory(tokens);
+        if (dishCategory && ['best_dishes', 'popular_items', 'recommendations'].includes(predicted)) {
+            return { type: 'best_dishes', category: dishCategory, priceFilter, confidence: 0.9 };
+        }
+
+        // Prices, exclusions and diets apply to dishes, so "biryani under 150",
+        // "biryani but not chicken" and "mild biryani" list dishes, not restaurants
+        if (dishCategory && (priceFilter || this.hasActiveFilters())) {
+            return { type: 'dish_category_search', category: dishCategory, priceFilter, confidence: 0.85 };
+        }
+
+        // Cuisine-specific search
+        const cuisine = this.detectCuisine(tokens);
+        if (cuisine) {
+            return { type: 'cuisine_search', cuisine, priceFilter, confidence: 0.8 };
+        }
+
+        // Dish category search (without "best" qualifier)
+        if (dishCategory) {
+            return { type: 'dish_category_search', category: dishCategory, priceFilter, confidence: 0.8 };
+        }
+
+        // "Something under 150", "cheap eats for 3 people under 600"
+        if (priceFilter && (!isConfident || ['price_inquiry', 'popular_items', 'recommendations', 'best_dishes'].includes(predicted))) {
+            const wantsRestaurants = predicted === 'find_restaurants' || /\b(restaurants?|places|hotels?)\b/.test(lowercase);
+            const type = wantsRestaurants ? 'find_restaurants' : 'price_inquiry';
+            return this.buildIntent(type, processedMessage, prediction.confidence, priceFilter);
+        }
+
+        // "Jain options", "mild dishes", "vegan food"
+        if (this.messageDietary && !['find_restaurants', 'menu_inquiry', 'add_to_cart'].includes(predicted)) {
+            return { type: 'dietary_filter', dietary: null, confidence: 0.85 };
+        }
+
+        // Menus, orders, diets, prices and popular dishes in general
+        if (isConfident) {
+            return this.buildIntent(predicted, processedMessage, prediction.confidence, priceFilter);
+        }
+
+        // A dish mentioned on its own
+        if (dishMatch.best) {
+            return { type: 'dish_lookup', ...this.describeDishMatch(dishMatch), confidence: 0.7 };
+        }
+
+        // Two intents scored almost alike ("delivery": tracking, or delivery
+        // times and charges?): ask rather than take the top one
+        if (prediction.needsClarification && prediction.options.length > 1) {
+            return { type: 'clarify_intent', options: prediction.options, message: processedMessage, confidence: prediction.confidence };
+        }
+
+        // "Is there parking?" with no restaurant in view: what each one says
+        const anyFAQ = this.matchFAQ(processedMessage, { anyRestaurant: true });
+        if (anyFAQ) {
+            return anyFAQ;
+        }
+
+        // Unsure of even the best intent: ask instead of guessing
+        if (prediction.needsClarification) {
+            return { type: 'clarify_intent', options: prediction.options, message: processedMessage, confidence: prediction.confidence };
+        }
+        
+        return { type: 'general', confidence: prediction.confidence };
+    }
+
+    buildIntent(type, processedMessage, confidence, priceFilter = null) {
+        const intent = { type, message: processedMessage, confidence, priceFilter };
+        if (type === 'dietary_filter') {
+            intent.dietary = this.detectDietaryType(processedMessage.tokens);
+        }
+        if (type === 'edit_cart') {
+            intent.command = window.cartCommandParser.parse(processedMessage.original);
+        }
+        // "Is there parking?": answered from the FAQs of every restaurant nearby
+        if (type === 'restaurant_faq') {
+            return this.matchFAQ(processedMessage, { anyRestaurant: true }) || { type: 'general', confidence };
+        }
+        return intent;
+    }
+
+    // Starts with "add"/"order", perhaps after "please" or "I'd like to", so
+    // "a complaint about my order" is not one
+    isOrderRequest(text) {
+        return /^(?:(?:please|pls|can you|could you|can i|could i|i'?d like to|i would like to|i want to|i wanna|let me|just)\s+)*(?:add|order)\b/.test(text.trim());
+    }
+
+    askIntentClarification(intent) {
+        this.pendingClarification = { intent, options: intent.options };
+
+        return {
+            text: window.intentClassifier.clarificationQuestion(intent.options),
+            action: 'clarify_intent',
+            data: { options: intent.options.map(option => option.intent) }
+        };
+    }
+
+    // Reply for intents that only have a canned response in data/intents.json
+    generateCannedResponse(intent) {
+        const text = window.intentClassifier.getResponse(intent.type);
+        return text ? { text, action: null, data: null } : null;
+    }
+
+    matchPatterns(tokens, patterns) {
+        return patterns.some(pattern => 
+            pattern.some(word => tokens.includes(word))
+        );
+    }
+
+    detectCuisine(tokens) {
+        const cuisines = {
+            'indian': ['indian', 'biryani', 'curry', 'dal', 'roti'],
+            'south indian': ['south', 'dosa', 'idli', 'sambar', 'vada'],
+            'chinese': ['chinese', 'noodles', 'fried rice', 'manchurian'],
+            'italian': ['italian', 'pizza', 'pasta'],
+            'fast food': ['fast', 'burger', 'fries', 'quick'],
+            'beverages': ['tea', 'coffee', 'chai', 'drinks']
+        };
+        
+        for (const [cuisine, keywords] of Object.entries(cuisines)) {
+            if (keywords.some(keyword => window.fuzzyMatcher.containsKeyword(tokens, keyword))) {
+                return cuisine;
+            }
+        }
+        return null;
+    }
+
+    detectDishCategory(tokens) {
+        const categories = {
+            'biryani': ['biryani', 'biriyani', 'rice'],
+            'pizza': ['pizza', 'pizzas'],
+            'dosa': ['dosa', 'dosas', 'crepe'],
+            'burger': ['burger', 'burgers'],
+            'noodles': ['noodles', 'noodle'],
+            'beverage': ['tea', 'coffee', 'chai', 'drink', 'beverage'],
+            'curry': ['curry', 'curries', 'gravy'],
+            'fast_food': ['fries', 'nuggets', 'wings'],
+            'snack': ['samosa', 'pakoda', 'snacks'],
+            'fried_rice': ['fried rice', 'rice']
+        };
+        
+        for (const [category, keywords] of Object.entries(categories)) {
+            if (keywords.some(keyword => window.fuzzyMatcher.containsKeyword(tokens, keyword))) {
+                return category;
+            }
+        }
+        return null;
+    }
+
+    generateGreeting(intent) {
+        const greetings = [
+            "Hello! Welcome to FoodieBot! 🍽️ I can help you discover amazing restaurants near Nagaram-Dammiguda. What are you craving today?",
+            "Hi there! 👋 Ready to explore delicious food options in your area? I know all the best spots around Nagaram and Dammiguda!",
+            "Welcome! 😊 I'm here to help you find the perfect meal from restaurants near you. What type of cuisine are you in the mood for?",
+            "Hey! 🤖 Hungry? Let me help you discover fantastic restaurants and order your favorite food right to your doorstep!"
+        ];
+        
+        return {
+            text: greetings[Math.floor(Math.random() * greetings.length)],
+            action: 'show_welcome',
+            data: { location: this.currentLocation },
+            chips: [
+                { label: '🍽️ Find restaurants', message: 'Show me nearby restaurants' },
+                { label: '⭐ Popular dishes', message: "What's popular in my area?" },
+                { label: '🚀 Fast delivery', message: 'Show me fast delivery' },
+                { label: '🥗 Vegetarian', message: 'Show me vegetarian restaurants' }
+            ]
+        };
+    }
+
+    handleRestaurantSearch(intent) {
+        if (intent.priceFilter) {
+            return this.handleRestaurantPriceSearch(intent.priceFilter);
+        }
+
+        try {
+            // Sort restaurants by rating and distance
+            const sortedRestaurants = this.rankForEco([...this.getVisibleRestaurants()].sort((a, b) => {
+                if (b.rating !== a.rating) {
+                    return b.rating - a.rating;
+                }
+                return parseFloat(a.distance) - parseFloat(b.distance);
+            }));
+
+            const restaurantList = sortedRestaurants.map(r => 
+                `🍽️ **${r.name}** (${r.rating}⭐)\n` +
+                `📍 ${r.location} • ${r.distance}\n` +
+                `🍴 ${r.cuisines.join(', ')}\n` +
+                `⏱️ ${r.deliveryTime} • ${r.priceRange}\n` +
+                `🆔 ${r.id}` +
+                this.describeEcoBadges(r)
+            ).join('\n\n');
+
+            return {
+                text: `${this.describeActiveFilters()}Here are all the restaurants near you in ${this.currentLocation}:\n\n${restaurantList}\n\nTap on any restaurant to view their menu! 🍽️`,
+                action: 'show_restaurants',
+                data: sortedRestaurants,
+                chips: [
+                    { label: '⭐ Popular dishes', message: "What's popular in my area?" },
+                    { label: '🚀 Fast delivery', message: 'Show me fast delivery' },
+                    { label: '💰 Under ₹200', message: 'Restaurants under ₹200' }
+                ]
+            };
+        } catch (error) {
+            console.error('Error in restaurant search:', error);
+            return {
+                text: "I'm having trouble finding restaurants at the moment. Please try again.",
+                action: null,
+                data: null
+            };
+        }
+    }
+
+    // Restaurants with dishes inside the price limits, best value first
+    handleRestaurantPriceSearch(priceFilter) {
+        const matches = this.rankForEco(window.priceFilter.filterRestaurants(this.getVisibleRestaurants(), priceFilter), match => match.restaurant);
+
+        if (matches.length === 0) {
+            return {
+                text: `${this.describeActiveFilters(priceFilter)}No restaurant near you has dishes in that range right now. Try a higher budget? 🤔`,
+                action: null,
+                data: null
+            };
+        }
+
+        const restaurantList = matches.map(match => 
+            `🍽️ **${match.restaurant.name}** (${match.restaurant.rating}⭐)\n` +
+            `📍 ${match.restaurant.location} • ${match.restaurant.distance}\n` +
+            `${window.priceFilter.summarizeMatch(match, priceFilter)}` +
+            this.describeEcoBadges(match.restaurant)
+        ).join('\n\n');
+
+        return {
+            text: `${this.describeActiveFilters(priceFilter)}These restaurants near ${this.currentLocation} fit your budget:\n\n${restaurantList}\n\nTap on any restaurant to view their menu! 🍽️`,
+            action: 'show_restaurants',
+            data: matches.map(match => match.restaurant)
+        };
+    }
+
+    handleCuisineSearch(intent) {
+        const { cuisine, priceFilter } = intent;
+        window.recommendationEngine.recordSearch({ cuisine });
+        const cuisineRestaurants = this.rankForEco(this.getVisibleRestaurants().filter(r => 
+            r.cuisines.some(c => c.toLowerCase().includes(cuisine.toLowerCase()))
+        ));
+        const priceMatches = priceFilter ?
+            this.rankForEco(window.priceFilter.filterRestaurants(cuisineRestaurants, priceFilter), match => match.restaurant) :
+            [];
+        const filteredRestaurants = priceFilter ? priceMatches.map(match => match.restaurant) : cuisineRestaurants;
+        
+        if (filteredRestaurants.length > 0) {
+            const restaurantList = filteredRestaurants.slice(0, 4).map((r, index) => 
+                `🍽️ **${r.name}** (${r.rating}⭐)\n📍 ${r.distance} • ${r.deliveryTime}\n` +
+                (priceFilter ? window.priceFilter.summarizeMatch(priceMatches[index], priceFilter) : `🎯 Specializes in ${cuisine}`) +
+                this.describeEcoBadges(r)
+            ).join('\n\n');
+            return {
+                text: `${this.describeActiveFilters(priceFilter)}Great choice! Here are the best ${cuisine} restaurants near you:\n\n${restaurantList}\n\nWhich one catches your eye? 👀`,
+                action: 'show_restaurants',
+                data: filteredRestaurants
+            };
+        } else if (priceFilter && cuisineRestaurants.length > 0) {
+            return {
+                text: `${this.describeActiveFilters(priceFilter)}None of the ${cuisine} restaurants near you have dishes in that range. Here they are without the price filter:`,
+                action: 'show_restaurants',
+                data: cuisineRestaurants
+            };
+        } else if (this.exclusions.length) {
+            return {
+                text: `${this.describeActiveFilters()}Nothing from ${cuisine} restaurants near you fits your filters. Say "clear filters" to see everything again.`,
+                action: null,
+                data: null
+            };
+        } else {
+            return {
+                text: `I couldn't find ${cuisine} restaurants in your immediate area, but let me show you some similar options that you might love! 🤔`,
+                action: 'show_alternatives',
+                data: { requestedCuisine: cuisine }
+            };
+        }
+    }
+
+    handleMenuInquiry(intent) {
+        if (this.selectedRestaurant) {
+            const restaurant = this.filterRestaurantMenu(this.selectedRestaurant);
+            const menuText = this.formatRestaurantMenu(restaurant);
+            
+            return {
+                text: `${this.describeActiveFilters()}Here's the menu for **${restaurant.name}**:\n\n${menuText}\n\nWhat would you like to add to your cart? 🛒`,
+                action: 'show_menu',
+                data: restaurant
+            };
+        } else {
+            return {
+                text: "Which restaurant's menu would you like to see? Here are some popular options near you:",
+                action: 'show_restaurants',
+                data: this.getVisibleRestaurants().slice(0, 4)
+            };
+        }
+    }
+
+    // Trending from real orders, for this area and time of day where there are enough
+    handlePopularItems(intent) {
+        const dishes = this.listDishes(this.getVisibleRestaurants());
+        const trending = window.trendingDishes.rank({
+            dishes,
+            area: window.locationService?.getCurrentLocation().name || this.currentLocation,
+            limit: 4
+        });
+
+        if (trending.items.length === 0) {
+            // No orders to go on yet
+            const topRated = [...dishes].sort((a, b) => b.rating - a.rating).slice(0, 4);
+            if (topRated.length === 0) {
+                return {
+                    text: `${this.describeActiveFilters()}I couldn't find anything that fits right now. 🤔`,
+                    action: null,
+                    data: null
+                };
+            }
+            return {
+                text: `${this.describeActiveFilters()}Nobody's ordered through me yet, so here are the top-rated dishes near you:\n\n` +
+                    `${topRated.map(dish => `⭐ **${dish.name}** - ₹${dish.price}\nFrom ${dish.restaurant} • rated ${dish.rating}`).join('\n\n')}\n\nWant to order any of these? Just let me know! 🌟`,
+                action: 'show_popular',
+                data: topRated.map(dish => ({ restaurant: dish.restaurant, item: dish.name, price: dish.price, reason: `rated ${dish.rating}` })),
+                chips: [{ label: `🛒 Add ${topRated[0].name}`, message: 'Add the first one' }]
+            };
+        }
+
+        const itemList = trending.items.map(({ dish, orders }) =>
+            `🔥 **${dish.name}** - ₹${dish.price}\nFrom ${dish.restaurant} • ${orders} order${orders !== 1 ? 's' : ''} lately`
+        ).join('\n\n');
+
+        return {
+            text: `${this.describeActiveFilters()}Trending ${trending.label}:\n\n${itemList}\n\nWant to order any of these? Just let me know! 🌟`,
+            action: 'show_popular',
+            data: trending.items.map(({ dish, orders }) => ({
+                restaurant: dish.restaurant,
+                item: dish.name,
+                price: dish.price,
+                reason: `${orders} order${orders !== 1 ? 's' : ''} lately`
+            })),
+            chips: [{ label: `🛒 Add ${trending.items[0].dish.name}`, message: 'Add the first one' }]
+        };
+    }
+
+    // Ranked on the device from the user's orders, cart, searches and the time of day
+    handleRecommendations(intent) {
+        const engine = window.recommendationEngine;
+        engine.learnFromOrders(window.paymentService?.orderHistory);
+        const recommendations = engine.recommend(this.listDishes(this.getVisibleRestaurants()), { limit: 4 });
+
+        if (recommendations.length === 0) {
+            return {
+                text: `${this.describeActiveFilters()}I couldn't find anything that fits right now. 🤔`,
+                action: null,
+                data: null
+            };
+        }
+        
+        const itemList = recommendations.map(({ dish, reason }) => 
+            `⭐ **${dish.name}** - ₹${dish.price}\nFrom ${dish.restaurant} • ${reason}`
+        ).join('\n\n');
+        
+        return {
+            text: `${this.describeActiveFilters()}Here's what I'd pick for you right now:\n\n${itemList}\n\nWant to order any of these? Just let me know! 🌟`,
+            action: 'show_popular',
+            data: recommendations.map(({ dish, reason }) => ({
+                restaurant: dish.restaurant,
+                item: dish.name,
+                price: dish.price,
+                reason
+            })),
+            chips: [{ label: `🛒 Add ${recommendations[0].dish.name}`, message: 'Add the first one' }]
+        };
+    }
+
+    handleDeliveryInquiry(intent) {
+        const fastDeliveryRestaurants = this.nearbyRestaurants
+            .filter(r => parseInt(r.deliveryTime) <= 25)
+            .slice(0, 4);
+        
+        const deliveryList = fastDeliveryRestaurants.map(r => 
+            `🚀 **${r.name}** - ${r.deliveryTime}\n📍 ${r.distance} away`
+        ).join('\n\n');
+        
+        return {
+            text: `These restaurants offer the fastest delivery to ${this.currentLocation}:\n\n${deliveryList}\n\nAll deliver within 25 minutes! ⚡`,
+            action: 'show_fast_delivery',
+            data: fastDeliveryRestaurants
+        };
+    }
+
+    handleLocationInquiry(intent) {
+        if (this.selectedRestaurant) {
+            const restaurant = this.selectedRestaurant;
+            return {
+                text: `📍 **${restaurant.name}** is at ${restaurant.location}, ${restaurant.distance} from ${this.currentLocation}.`,
+                action: null,
+                data: null
+            };
+        }
+
+        const closest = [...this.nearbyRestaurants]
+            .sort((a, b) => parseFloat(a.distance) - parseFloat(b.distance))
+            .slice(0, 4);
+        const locationList = closest.map(r => 
+            `📍 **${r.name}** - ${r.location} (${r.distance})`
+        ).join('\n');
+
+        return {
+            text: `I'm finding food around **${this.currentLocation}**. The closest restaurants are:\n\n${locationList}`,
+            action: 'show_restaurants',
+            data: closest
+        };
+    }
+
+    handleBestDishes(intent) {
+        const { category, priceFilter } = intent;
+        if (priceFilter) {
+            return this.handleDishCategorySearch(intent);
+        }
+        window.recommendationEngine.recordSearch({ category });
+        const bestDishes = this.getBestDishesByCategory(category);
+        
+        if (bestDishes.length === 0) {
+            return {
+                text: `I couldn't find any ${category} dishes in your area. Let me show you other popular options! 🤔`,
+                action: 'show_alternatives',
+                data: { requestedCategory: category }
+            };
+        }
+
+        const categoryInfo = this.dishCategories[category];
+        
+        return {
+            text: `Here are the **best ${categoryInfo?.name || category}** dishes near you! 🌟`,
+            action: 'show_dish_cards',
+            data: {
+                dishes: bestDishes,
+                title: `Best ${categoryInfo?.name || category}`,
+                category: category
+            }
+        };
+    }
+
+    handleDishCategorySearch(intent) {
+        const { category, priceFilter } = intent;
+        window.recommendationEngine.recordSearch({ category });
+        const allCategoryDishes = this.getDishesByCategory(category);
+        const categoryDishes = priceFilter ?
+            window.priceFilter.filterDishes(allCategoryDishes, priceFilter) :
+            allCategoryDishes;
+        
+        if (allCategoryDishes.length === 0 && this.hasActiveFilters()) {
+            return {
+                text: `${this.describeActiveFilters(priceFilter)}No ${this.dishCategories[category]?.name || category} near you fits your filters right now.${this.exclusions.length ? ' Say "clear filters" to see everything again.' : ''}`,
+                action: null,
+                data: null
+            };
+        }
+
+        if (allCategoryDishes.length === 0) {
+            return {
+                text: `No ${category} dishes found in your area. Let me show you similar options! 🔍`,
+                action: 'show_alternatives',
+                data: { requestedCategory: category }
+            };
+        }
+
+        const categoryInfo = this.dishCategories[category];
+        const categoryName = categoryInfo?.name || category;
+
+        if (categoryDishes.length === 0) {
+            const cheapest = [...allCategoryDishes].sort((a, b) => a.price - b.price)[0];
+            return {
+                text: `${this.describeActiveFilters(priceFilter)}No ${categoryName} fits that budget - the cheapest is **${cheapest.name}** at ₹${cheapest.price} from ${cheapest.restaurant}.`,
+                action: 'show_dish_cards',
+                data: {
+                    dishes: [cheapest],
+                    title: `Cheapest ${categoryName}`,
+                    category: category
+                }
+            };
+        }
+
+        return {
+            text: `${this.describeActiveFilters(priceFilter)}Found **${categoryDishes.length} ${categoryName}** options for you! 📋`,
+            action: 'show_dish_cards',
+            data: {
+                dishes: categoryDishes.slice(0, 8),
+                title: priceFilter ? `${categoryName} ${priceFilter.label}` : `${categoryName} Options`,
+                category: category
+            }
+        };
+    }
+
+    // Dishes anywhere within a budget, or the price ranges when no limit is given
+    handlePriceInquiry(intent) {
+        const { priceFilter } = intent;
+
+        const restaurants = this.selectedRestaurant ?
+            [this.filterRestaurantMenu(this.selectedRestaurant)] :
+            this.getVisibleRestaurants();
+
+        if (!priceFilter) {
+            const priceList = restaurants.filter(r => Object.keys(r.menu).length > 0).map(r => {
+                const prices = Object.values(r.menu).flat().map(item => item.price);
+                return `💰 **${r.name}** (${r.priceRange}) - ₹${Math.min(...prices)} to ₹${Math.max(...prices)}`;
+            }).join('\n');
+
+            return {
+                text: `Here's what dishes cost:\n\n${priceList}\n\nTell me a budget like "under 150" or "for 3 people under 600" and I'll find what fits! 🙂`,
+                action: null,
+                data: null
+            };
+        }
+
+        const affordable = window.priceFilter.filterDishes(this.listDishes(restaurants), priceFilter);
+        const where = this.selectedRestaurant ? ` at ${this.selectedRestaurant.name}` : '';
+
+        if (affordable.length === 0) {
+            return {
+                text: `${this.describeActiveFilters(priceFilter)}Nothing${where} fits that budget right now. Try raising it a little? 🤔`,
+                action: null,
+                data: null
+            };
+        }
+
+        return {
+            text: `${this.describeActiveFilters(priceFilter)}Found **${affordable.length}** dishes${where} in your budget! 📋`,
+            action: 'show_dish_cards',
+            data: {
+                dishes: affordable.slice(0, 8),
+                title: `Dishes ${priceFilter.label}`,
+                category: null
+            }
+        };
+    }
+
+    // ===== EXCLUSION FILTERS =====
+    // Groups such as "chicken" or "onion" the user asked to leave out; they apply
+    // to every search until the user clears them
+    updateExclusions(processedMessage) {
+        const update = window.exclusionFilter.parse(processedMessage.original);
+        if (update.clear) {
+            this.exclusions = [];
+        }
+        this.exclusions = this.exclusions.filter(group => !update.remove.includes(group));
+        update.add.forEach(group => {
+            if (!this.exclusions.includes(group)) this.exclusions.push(group);
+        });
+
+        return {
+            ...update,
+            text: update.clear ? '' : update.text,
+            changed: update.clear || update.add.length > 0 || update.remove.length > 0
+        };
+    }
+
+    isFilterOnly(text) {
+        const genericWords = ['something', 'anything', 'food', 'dish', 'dishes', 'options', 'items', 'stuff', 'eat', 'only', 'but'];
+        return window.fuzzyMatcher.contentTokens(text).every(token => genericWords.includes(token));
+    }
+
+    handleExclusionUpdate(update) {
+        if (this.exclusions.length === 0) {
+            return {
+                text: update.clear ?
+                    "✅ Filters cleared - I'll show you everything again!" :
+                    `✅ Okay, **${window.exclusionFilter.describe(update.remove)}** is back on the menu - no filters are active now.`,
+                action: null,
+                data: null
+            };
+        }
+
+        if (update.add.length === 0) {
+            return {
+                text: `✅ Okay, I'll include **${window.exclusionFilter.describe(update.remove)}** again.\n\n${this.describeActiveFilters()}`.trim(),
+                action: null,
+                data: null
+            };
+        }
+
+        const dishes = this.listDishes(this.getVisibleRestaurants())
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, 8);
+
+        return {
+            text: `🚫 Got it - I'll leave out **${window.exclusionFilter.describe(this.exclusions)}** from now on. Say "clear filters" any time to see everything again.\n\nHere are some top-rated dishes that fit:`,
+            action: 'show_dish_cards',
+            data: {
+                dishes,
+                title: 'Dishes For You',
+                category: null
+            }
+        };
+    }
+
+    // Restaurants with excluded dishes, and dishes outside the dietary profile or
+    // this message's diet, removed from their menus
+    getVisibleRestaurants() {
+        const restaurants = window.exclusionFilter.filterRestaurants(this.nearbyRestaurants, this.exclusions);
+        return window.dietaryFilter.filterRestaurants(restaurants, this.getDietaryCriteria());
+    }
+
+    hasActiveFilters() {
+        return this.exclusions.length > 0 || !window.dietaryFilter.isEmpty(this.getDietaryCriteria());
+    }
+
+    filterRestaurantMenu(restaurant) {
+        const menu = window.exclusionFilter.filterMenu(restaurant, this.exclusions);
+        return window.dietaryFilter.filterMenu(menu, this.getDietaryCriteria());
+    }
+
+    listDishes(restaurants) {
+        return restaurants.flatMap(restaurant =>
+            Object.values(restaurant.menu).flat().map(item => ({
+                ...item,
+                restaurant: restaurant.name,
+                restaurantId: restaurant.id
+            }))
+        );
+    }
+
+    // "💰 Filter: under ₹150", "🚫 Leaving out: chicken" and diet lines for search replies
+    describeActiveFilters(priceFilter = null) {
+        const lines = [];
+        if (priceFilter) {
+            lines.push(`💰 Filter: **${priceFilter.label}**`);
+        }
+        if (this.exclusions.length) {
+            lines.push(`🚫 Leaving out: **${window.exclusionFilter.describe(this.exclusions)}**`);
+        }
+        const diet = window.dietaryFilter.describe(this.messageDietary);
+        if (diet) {
+            lines.push(`🥗 Diet: **${diet}**`);
+        }
+        const profile = window.dietaryFilter.describe(this.getDietaryProfile());
+        if (profile) {
+            lines.push(`📝 Your profile: **${profile}**`);
+        }
+        return lines.length ? `${lines.join('\n')}\n\n` : '';
+    }
+
+    formatRestaurantMenu(restaurant) {
+        let menuText = '';
+        for (const [category, items] of Object.entries(restaurant.menu)) {
+            menuText += `**${category.toUpperCase()}**\n`;
+            items.forEach(item => {
+                const vegIcon = item.veg ? '🟢' : '🔴';
+                menuText += `${vegIcon} ${item.name} - ₹${item.price}\n${item.description}\n\n`;
+            });
+        }
+        return menuText;
+    }
+
+    // ===== ECO MODE =====
+    // Puts restaurants with greener packaging and sourcing first and badges
+    // them; the setting is kept in userPreferences so checkout can offer
+    // "no cutlery" by default
+    detectEcoCommand(lowercase) {
+        if (/\bhow much plastic\b|\bplastic\b.*\b(saved|avoided)\b|\b(eco|green) (impact|stats|score)\b/.test(lowercase)) return 'impact';
+        if (!/\beco\b|\bsustainab\w*|\bgreen (mode|dining|options|restaurants|places)\b/.test(lowercase)) return null;
+        if (/\b(off|disable|deactivate|stop|exit)\b/.test(lowercase)) return 'off';
+        if (/\b(on|enable|activate|start)\b|\b(restaurants?|places|options|food|show|find)\b/.test(lowercase)) return 'on';
+        return 'toggle';
+    }
+
+    handleEcoCommand(command) {
+        if (command === 'impact') {
+            return this.handleEcoImpact();
+        }
+
+        this.ecoFriendlyMode = command === 'toggle' ? !this.ecoFriendlyMode : command === 'on';
+        this.userPreferences = { ...this.userPreferences, ecoMode: this.ecoFriendlyMode };
+        this.saveUserPreferences();
+
+        if (!this.ecoFriendlyMode) {
+            return {
+                text: "Eco-friendly mode deactivated. Results go back to rating order.",
+                action: 'toggle_eco_mode',
+                data: { ecoFriendlyMode: false }
+            };
+        }
+
+        const restaurants = this.rankForEco([...this.getVisibleRestaurants()].sort((a, b) => b.rating - a.rating));
+        const restaurantList = restaurants.slice(0, 4).map(r =>
+            `🍽️ **${r.name}** (${r.rating}⭐) - eco score ${window.ecoImpact.score(r)}/8${this.describeEcoBadges(r)}`
+        ).join('\n\n');
+
+        return {
+            text: `🌱 Eco-friendly mode activated! Restaurants with greener packaging and local sourcing now come first, and checkout will skip cutlery.\n\n${restaurantList}`,
+            action: 'toggle_eco_mode',
+            data: { ecoFriendlyMode: true, restaurants }
+        };
+    }
+
+    handleEcoImpact() {
+        const { grams, orders } = window.ecoImpact.getTotal();
+        if (grams === 0) {
+            return {
+                text: "🌱 No plastic saved yet. Pick \"No cutlery\" at checkout and order from eco-packaged restaurants to start counting!",
+                action: null,
+                data: null
+            };
+        }
+        return {
+            text: `🌱 You've avoided **${window.ecoImpact.formatGrams(grams)}** of plastic across ${orders} order${orders === 1 ? '' : 's'}. Thank you! 💚`,
+            action: null,
+            data: { grams, orders }
+        };
+    }
+
+    // Greenest first in eco mode; untouched otherwise
+    rankForEco(list, getRestaurant) {
+        return this.ecoFriendlyMode ? window.ecoImpact.rank(list, getRestaurant) : list;
+    }
+
+    // "\n🌱 🚯 No plastic • 🥬 Locally sourced" for restaurant lines in eco mode
+    describeEcoBadges(restaurant) {
+        if (!this.ecoFriendlyMode) return '';
+        const badges = window.ecoImpact.badges(restaurant);
+        return badges.length ? `\n🌱 ${badges.join(' • ')}` : '';
+    }
+
+    // ===== DIETARY PROFILE =====
+    // Standing diet, allergies and spice preference, kept in userPreferences
+    // (shared with the API client's 'foodiebot_preferences') and applied to
+    // every search and menu
+    loadUserPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem('foodiebot_preferences')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveUserPreferences() {
+        try {
+            localStorage.setItem('foodiebot_preferences', JSON.stringify(this.userPreferences));
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+        }
+    }
+
+    updateDietaryProfile(processedMessage) {
+        const update = window.dietaryFilter.parseProfile(processedMessage.original);
+        if (!update) return null;
+
+        const preferences = this.userPreferences;
+        if (update.clear) {
+            this.userPreferences = { ...preferences, dietary: [], allergens: [], spiceMax: null };
+        } else {
+            this.userPreferences = {
+                ...preferences,
+                dietary: [...new Set([...(preferences.dietary || []), ...update.tags])],
+                allergens: [...new Set([...(preferences.allergens || []), ...update.allergens])],
+                spiceMax: update.spiceMax ?? preferences.spiceMax ?? null
+            };
+        }
+        this.saveUserPreferences();
+        return update;
+    }
+
+    getDietaryProfile() {
+        return window.dietaryFilter.fromPreferences(this.userPreferences);
+    }
+
+    getDietaryCriteria() {
+        return window.dietaryFilter.merge(this.getDietaryProfile(), this.messageDietary);
+    }
+
+    describeProfileUpdate(update) {
+        if (update.clear) {
+            return "🗑️ Dietary profile cleared - I'll show you everything again.";
+        }
+        return `📝 Saved to your dietary profile: **${window.dietaryFilter.describe(this.getDietaryProfile())}**. I'll apply it to every search and menu - say "clear my dietary profile" to remove it.`;
+    }
+
+    handleProfileUpdate(update) {
+        const text = this.describeProfileUpdate(update);
+        if (update.clear) {
+            return { text, action: null, data: null };
+        }
+
+        const dishes = this.listDishes(this.getVisibleRestaurants())
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, 8);
+
+        return {
+            text: dishes.length ? `${text}\n\nHere are some top-rated dishes that fit:` : `${text}\n\nNothing near you fits it right now. 🤔`,
+            action: dishes.length ? 'show_dish_cards' : null,
+            data: dishes.length ? { dishes, title: 'Dishes For You', category: null } : null
+        };
+    }
+
+    // "⚠️ Contains nuts" when a dish goes against the dietary profile
+    describeProfileConflict(dish) {
+        const profile = this.getDietaryProfile();
+        if (window.dietaryFilter.matches(dish, profile)) return '';
+        const allergens = profile.allergens.filter(allergen => (dish.allergens || []).includes(allergen));
+        const reason = allergens.length ?
+            `contains ${allergens.join(' and ')}` :
+            `doesn't fit your **${window.dietaryFilter.describe(profile)}** profile`;
+        return `⚠️ Heads up: ${dish.name} ${reason}.`;
+    }
+
+    // "🌶️🌶️ Medium • 🌱 Vegan • ⚠️ Contains: dairy"
+    describeDishDiet(dish) {
+        return window.dietaryFilter.badges(dish).map(badge => badge.text).join(' • ');
+    }
+
+    // ===== TABLE RESERVATIONS =====
+    // Slot-filling dialogue backed by state.reservation; records are kept by
+    // window.reservationManager
+    isReservationRequest(text) {
+        const prediction = window.intentClassifier.predict(text);
+        return (prediction.intent === 'reservation' && !prediction.needsClarification) || /\brsv\d+\b/i.test(text);
+    }
+
+    isReservationInProgress() {
+        return state.currentStep === 'reservation' || state.currentStep === 'reservation_confirm';
+    }
+
+    handleReservation(intent) {
+        const { lowercase } = intent.message;
+
+        if (/\b(my|show|list|view|upcoming|see)\b/.test(lowercase) && /\b(reservations?|bookings?)\b/.test(lowercase) &&
+            !/\b(cancel|change|modify|update|reschedule|move|edit)\b/.test(lowercase)) {
+            return this.listReservations();
+        }
+        if (/\b(cancel|delete)\b/.test(lowercase)) {
+            return this.cancelReservation(intent.message);
+        }
+        if (/\b(change|modify|update|reschedule|move|edit)\b/.test(lowercase)) {
+            return this.startReservationChange(intent.message);
+        }
+        return this.startReservation(intent.message);
+    }
+
+    startReservation(processedMessage) {
+        this.resetReservation();
+        state.currentStep = 'reservation';
+
+        const restaurantMatch = window.fuzzyMatcher.match(processedMessage.lowercase, this.nearbyRestaurants, r => r.name, 0.7);
+        const restaurant = restaurantMatch.best && !restaurantMatch.ambiguous ? restaurantMatch.best : this.selectedRestaurant;
+        state.reservation.restaurantId = restaurant ? restaurant.id : null;
+
+        const problem = this.fillReservationSlots(processedMessage, false);
+        return this.promptReservation(problem, 'Let\'s book you a table! 🍽️ Say "cancel" any time to stop.');
+    }
+
+    continueReservation(processedMessage) {
+        const { lowercase, original } = processedMessage;
+
+        if (/^(stop|quit|exit|cancel|never ?mind|forget it)\b/.test(lowercase.trim())) {
+            const editing = state.reservation.editingId;
+            this.endReservation();
+            return {
+                text: editing ? "Okay, I've left your reservation as it was." : "No problem, I've stopped the booking. Let me know if you want to book later!",
+                action: null,
+                data: null
+            };
+        }
+
+        if (state.currentStep === 'reservation_confirm') {
+            if (window.orderParser.isConfirmation(original)) {
+                return this.saveReservation();
+            }
+            if (window.orderParser.isRejection(original)) {
+                state.currentStep = 'reservation';
+                return {
+                    text: "Okay, what should I change? Tell me a new date, time, number of people, name or phone number.",
+                    action: null,
+                    data: null
+                };
+            }
+        }
+
+        const problem = this.fillReservationSlots(processedMessage, true);
+        return this.promptReservation(problem);
+    }
+
+    // Copies every detail found in the message into state.reservation.
+    // Returns the validation message for the first invalid slot, if any.
+    fillReservationSlots(processedMessage, isReply) {
+        const manager = window.reservationManager;
+        const reservation = state.reservation;
+        const { original, lowercase } = processedMessage;
+        const details = manager.parseDetails(original);
+        const expected = this.nextReservationSlot();
+
+        // Bare answers to the question that was just asked ("4", "8", "Priya", "Dosa Junction")
+        if (isReply) {
+            const bareNumber = lowercase.trim().match(/^(\d{1,2})$/);
+            if (expected === 'restaurant') {
+                const choice = /^\d+$/.test(lowercase.trim()) ?
+                    this.nearbyRestaurants[parseInt(lowercase) - 1] :
+                    window.fuzzyMatcher.resolveChoice(original, this.nearbyRestaurants);
+                if (choice) reservation.restaurantId = choice.id;
+            } else if (expected === 'people' && !details.people && bareNumber) {
+                details.people = parseInt(bareNumber[1]);
+            } else if (expected === 'time' && !details.time && bareNumber) {
+                details.time = manager.formatClock(parseInt(bareNumber[1]), 0);
+                details.timeIsAmbiguous = true;
+            } else if (expected === 'name' && !details.name && Object.keys(details).length === 0) {
+                const name = manager.parseNameReply(original);
+                if (name) details.name = name;
+            }
+        }
+
+        const { timeIsAmbiguous, ...slots } = details;
+        Object.assign(reservation, slots);
+
+        const restaurant = this.getReservationRestaurant();
+        if (timeIsAmbiguous) {
+            reservation.time = manager.resolveTime(reservation.time, restaurant);
+        }
+
+        const problem = manager.validate(reservation, restaurant, reservation.editingId);
+        if (problem) {
+            reservation[problem.slot] = null;
+            return problem.message;
+        }
+        return null;
+    }
+
+    nextReservationSlot() {
+        const reservation = state.reservation;
+        if (!reservation.restaurantId) return 'restaurant';
+        return ['date', 'time', 'people', 'name', 'phone'].find(slot => !reservation[slot]) || null;
+    }
+
+    getReservationRestaurant() {
+        return this.restaurantRepository.getRestaurantById(state.reservation.restaurantId);
+    }
+
+    // Ask for the next missing detail, or summarize and ask for confirmation
+    promptReservation(problem = null, intro = '') {
+        const manager = window.reservationManager;
+        const restaurant = this.getReservationRestaurant();
+        const slot = this.nextReservationSlot();
+        const lead = [intro, problem].filter(Boolean).join('\n');
+        let question;
+
+        switch (slot) {
+            case 'restaurant':
+                question = `Which restaurant would you like to book?\n${this.nearbyRestaurants.map((r, i) => `${i + 1}. ${r.name}`).join('\n')}`;
+                break;
+            case 'date':
+                question = `📅 Which day would you like a table at ${restaurant.name}? (e.g. today, tomorrow, this Saturday, 25 Oct)`;
+                break;
+            case 'time': {
+                const { open, close } = manager.getOpeningHours(restaurant);
+                question = `🕗 What time? ${restaurant.name} is open ${manager.formatTime(open)} - ${manager.formatTime(close)}.`;
+                break;
+            }
+            case 'people':
+                question = "👥 How many people?";
+                break;
+            case 'name':
+                question = "👤 What name should I book the table under?";
+                break;
+            case 'phone':
+                question = "📞 And a phone number for the booking?";
+                break;
+            default: {
+                state.currentStep = 'reservation_confirm';
+                const reservation = state.reservation;
+                question = `Here's your booking:\n🍽️ ${restaurant.name}\n📅 ${manager.formatDate(reservation.date)} at ${manager.formatTime(reservation.time)}\n` +
+                    `👥 ${reservation.people} ${reservation.people === 1 ? 'person' : 'people'}\n👤 ${reservation.name}\n📞 ${reservation.phone}\n\n` +
+                    `Shall I confirm it? (yes / no) You can also tell me anything to change.`;
+                break;
+            }
+        }
+
+        if (slot) {
+            state.currentStep = 'reservation';
+        }
+
+        return {
+            text: lead ? `${lead}\n\n${question}` : question,
+            action: null,
+            data: null
+        };
+    }
+
+    saveReservation() {
+        const manager = window.reservationManager;
+        const restaurant = this.getReservationRestaurant();
+        const { editingId, restaurantId, ...details } = state.reservation;
+
+        // Seats may have been taken since the summary was shown
+        const problem = manager.validate(details, restaurant, editingId);
+        if (problem) {
+            state.reservation[problem.slot] = null;
+            return this.promptReservation(problem.message);
+        }
+
+        const record = editingId ?
+            manager.update(editingId, { ...details, restaurantId: restaurant.id, restaurantName: restaurant.name }) :
+            manager.create(details, restaurant);
+        this.endReservation();
+
+        return {
+            text: `✅ Your table is ${editingId ? 'updated' : 'booked'}!\n${manager.formatReservation(record)}\n\nSay "my reservations" any time to view, change or cancel it.`,
+            action: 'reservation_confirmed',
+            data: record,
+            chips: [{ label: '📋 My reservations', message: 'My reservations' }]
+        };
+    }
+
+    listReservations(unknownId = null) {
+        const manager = window.reservationManager;
+        const upcoming = manager.getUpcoming();
+        const notFound = unknownId ? `I couldn't find a reservation with ID ${unknownId}. ` : '';
+
+        if (upcoming.length === 0) {
+            return {
+                text: `${notFound}You don't have any upcoming reservations. Say "book a table" to make one! 🍽️`,
+                action: null,
+                data: null
+            };
+        }
+
+        return {
+            text: `${notFound}📋 Your upcoming reservations:\n\n${upcoming.map(r => manager.formatReservation(r)).join('\n\n')}\n\n` +
+                `To change one, say e.g. "change ${upcoming[0].id} to 9pm". To cancel, say "cancel ${upcoming[0].id}".`,
+            action: 'show_reservations',
+            data: upcoming
+        };
+    }
+
+    // The reservation a change/cancel message refers to: by id, or the only upcoming one
+    findTargetReservation(processedMessage) {
+        const manager = window.reservationManager;
+        const mentionedId = processedMessage.original.match(/\brsv\d+\b/i);
+        if (mentionedId) {
+            return { reservation: manager.get(mentionedId[0]), upcoming: manager.getUpcoming(), unknownId: mentionedId[0].toUpperCase() };
+        }
+
+        const upcoming = manager.getUpcoming();
+        if (upcoming.length === 1) return { reservation: upcoming[0] };
+        return { reservation: null, upcoming };
+    }
+
+    cancelReservation(processedMessage) {
+        const manager = window.reservationManager;
+        const { reservation, upcoming, unknownId } = this.findTargetReservation(processedMessage);
+
+        if (!reservation) {
+            return upcoming.length === 0 || unknownId ?
+                this.listReservations(unknownId) :
+                { text: `Which reservation should I cancel?\n\n${upcoming.map(r => manager.formatReservation(r)).join('\n\n')}\n\nSay "cancel" followed by the reservation ID.`, action: null, data: null };
+        }
+        if (reservation.status === 'cancelled') {
+            return { text: `Reservation ${reservation.id} is already cancelled.`, action: null, data: null };
+        }
+
+        manager.cancel(reservation.id);
+        return {
+            text: `🗑️ Reservation ${reservation.id} at ${reservation.restaurantName} on ${manager.formatDate(reservation.date)} has been cancelled.`,
+            action: 'reservation_cancelled',
+            data: reservation
+        };
+    }
+
+    startReservationChange(processedMessage) {
+        const manager = window.reservationManager;
+        const { reservation, upcoming, unknownId } = this.findTargetReservation(processedMessage);
+
+        if (!reservation) {
+            return upcoming.length === 0 || unknownId ?
+                this.listReservations(unknownId) :
+                { text: `Which reservation should I change?\n\n${upcoming.map(r => manager.formatReservation(r)).join('\n\n')}\n\nSay "change" followed by the reservation ID.`, action: null, data: null };
+        }
+
+        this.resetReservation();
+        const { restaurantId, name, date, time, people, phone, id } = reservation;
+        Object.assign(state.reservation, { restaurantId, name, date, time, people, phone, editingId: id });
+
+        // Apply any new details given in the same message ("change RSV... to 9pm")
+        const problem = this.fillReservationSlots(processedMessage, false);
+        return this.promptReservation(problem, `Changing reservation ${id}. ✏️`);
+    }
+
+    resetReservation() {
+        Object.assign(state.reservation, {
+            restaurantId: null, name: null, date: null, time: null, people: null, phone: null, editingId: null
+        });
+    }
+
+    endReservation() {
+        this.resetReservation();
+        state.currentStep = 'greeting';
+    }
+
+    // Whether a message sent mid-reservation or mid-complaint is something else:
+    // a cart edit, an order ("add a dosa", "2 biryani and 3 idli") or a clear
+    // request for another intent ("talk to a human", "track my order"). Replies
+    // to the question asked ("4", "tomorrow 8pm", "it was cold") are not
+    leavesDialogue(processedMessage) {
+        const { original, lowercase } = processedMessage;
+        const flow = this.isReservationInProgress() ? 'reservation' : 'complaint';
+        if (window.cartCommandParser.parse(original)) {
+            return true;
+        }
+
+        // Affected items are named like an order, so a dish list is only an order elsewhere
+        const dishMatch = this.matchMenuItems(lowercase);
+        const basket = window.orderParser.parse(lowercase, this.restaurantRepository.getAllDishes());
+        const isBasket = basket.lines.length > 1 || basket.lines.some(line => line.quantity > 1 || line.portion);
+        if ((dishMatch.best && this.isOrderRequest(lowercase)) || (isBasket && this.nextComplaintSlot() !== 'items')) {
+            return true;
+        }
+
+        const prediction = window.intentClassifier.predict(original);
+        return prediction.intent !== flow && prediction.intent !== 'general' && !prediction.needsClarification &&
+            prediction.confidence >= this.dialogueExitConfidence;
+    }
+
+    // ===== COMPLAINTS =====
+    // Which order, what went wrong, which items, and a photo when it helps;
+    // then a support ticket. Details already in the first message are used.
+    isComplaintInProgress() {
+        return state.currentStep === 'complaint';
+    }
+
+    startComplaint(processedMessage) {
+        const tickets = window.supportTickets;
+        const { original } = processedMessage;
+        this.resetComplaint();
+        state.currentStep = 'complaint';
+
+        const complaint = state.complaint;
+        complaint.description = original;
+        complaint.issueType = tickets.parseIssueType(original);
+
+        const orders = this.getRecentOrders();
+        const order = this.findComplaintOrder(original, orders) || (orders.length === 1 ? orders[0] : null);
+        if (order) {
+            complaint.orderId = order.id;
+            const items = this.matchComplaintItems(original, order.items);
+            if (items.length) complaint.items = items;
+        }
+
+        return this.promptComplaint(null, 'I\'m really sorry about that. 😔 Let\'s get it sorted - say "cancel" any time to stop.');
+    }
+
+    continueComplaint(processedMessage) {
+        const tickets = window.supportTickets;
+        const { lowercase, original } = processedMessage;
+        const complaint = state.complaint;
+        const reply = lowercase.trim();
+
+        if (/^(stop|quit|exit|cancel|never ?mind|forget it)\b/.test(reply)) {
+            this.endComplaint();
+            return {
+                text: "Okay, I haven't filed anything. If something else went wrong, just tell me.",
+                action: null,
+                data: null
+            };
+        }
+
+        let problem = null;
+        switch (this.nextComplaintSlot()) {
+            case 'order': {
+                const orders = this.getRecentOrders();
+                const order = this.findComplaintOrder(original, orders) ||
+                    (/^\d+$/.test(reply) ? orders[parseInt(reply) - 1] : null) ||
+                    (/\b(latest|last|recent|newest|today)\b/.test(reply) ? orders[0] : null);
+                if (order) {
+                    complaint.orderId = order.id;
+                } else {
+                    problem = orders.length ?
+                        'I couldn\'t tell which order you mean. Reply with its number or order ID, or say "cancel" to stop.' :
+                        'That doesn\'t look like an order ID. It starts with ORD, e.g. ORD123456789. Say "cancel" to stop.';
+                }
+                break;
+            }
+            case 'issue': {
+                const keys = Object.keys(tickets.issueTypes);
+                complaint.issueType = (/^\d$/.test(reply) ? keys[parseInt(reply) - 1] : null) || tickets.parseIssueType(original);
+                if (!complaint.issueType) {
+                    problem = 'Sorry, I didn\'t catch that. Reply with a number from the list.';
+                }
+                break;
+            }
+            case 'items': {
+                const order = this.getComplaintOrder();
+                // Orders placed elsewhere have no item list; the reply is kept as written
+                complaint.items = order ? this.matchComplaintItems(original, order.items, true) : [{ name: original, quantity: 1 }];
+                if (complaint.items.length === 0) {
+                    complaint.items = null;
+                    problem = "I couldn't match that to an item in the order. Reply with the item numbers, or \"all\".";
+                }
+                break;
+            }
+            case 'photo':
+                complaint.photoAsked = true;
+                if (!/^(skip|no|nope|none|no photo|not now)\b/.test(reply)) {
+                    complaint.description += `\n${original}`;
+                }
+                break;
+        }
+
+        return this.promptComplaint(problem);
+    }
+
+    nextComplaintSlot() {
+        const complaint = state.complaint;
+        if (!complaint.orderId) return 'order';
+        if (!complaint.issueType) return 'issue';
+        // Lateness affects the whole order
+        if (!complaint.items && complaint.issueType !== 'late') return 'items';
+        if (window.supportTickets.needsPhoto(complaint.issueType) && !complaint.photo && !complaint.photoAsked) return 'photo';
+        return null;
+    }
+
+    promptComplaint(problem = null, intro = '') {
+        const tickets = window.supportTickets;
+        const lead = [intro, problem].filter(Boolean).join('\n');
+        const slot = this.nextComplaintSlot();
+        let question;
+        let action = null;
+
+        switch (slot) {
+            case 'order': {
+                const orders = this.getRecentOrders();
+                question = orders.length ?
+                    `Which order was it?\n${orders.map((order, i) => `${i + 1}. ${this.describeOrder(order)}`).join('\n')}` :
+                    "I can't find any orders placed from this device. What's the order ID? (e.g. ORD123456789)";
+                break;
+            }
+            case 'issue':
+                question = `What went wrong?\n${tickets.formatIssueTypes()}`;
+                break;
+            case 'items': {
+                const order = this.getComplaintOrder();
+                question = order ?
+                    `Which items were affected? (numbers, names or "all")\n${order.items.map((item, i) => `${i + 1}. ${item.quantity} × ${item.name}`).join('\n')}` :
+                    'Which items were affected?';
+                break;
+            }
+            case 'photo':
+                question = '📷 A photo helps the restaurant make it right. Upload one, or say "skip".';
+                action = 'request_photo';
+                break;
+            default:
+                return this.fileComplaint(lead);
+        }
+
+        return {
+            text: lead ? `${lead}\n\n${question}` : question,
+            action,
+            data: null
+        };
+    }
+
+    // Photo picked from the upload prompt (a data: URL)
+    attachComplaintPhoto(photo) {
+        if (!this.isComplaintInProgress() || this.nextComplaintSlot() !== 'photo') {
+            return { text: "There's no open complaint to attach a photo to.", action: null, data: null };
+        }
+        if (!window.supportTickets.isValidPhoto(photo)) {
+            return {
+                text: 'Sorry, I couldn\'t use that photo. Please pick a JPEG, PNG or WebP image, or say "skip".',
+                action: 'request_photo',
+                data: null
+            };
+        }
+        state.complaint.photo = photo;
+        return this.promptComplaint(null, '📷 Got the photo, thanks!');
+    }
+
+    fileComplaint(lead = '') {
+        const tickets = window.supportTickets;
+        const complaint = state.complaint;
+        const order = this.getComplaintOrder() || { id: complaint.orderId, items: [] };
+
+        const ticket = tickets.create({
+            order: { id: order.id, restaurants: [...new Set(order.items.map(item => item.restaurant).filter(Boolean))] },
+            items: complaint.items || [],
+            issueType: complaint.issueType,
+            description: complaint.description,
+            photo: complaint.photo
+        });
+        this.endComplaint();
+
+        return {
+            text: `${lead ? `${lead}\n\n` : ''}✅ I've opened a support ticket:\n${tickets.formatTicket(ticket)}\n\n` +
+                'Our support team will get back to you shortly. Say "ticket status" any time to check on it.',
+            action: 'ticket_created',
+            data: ticket,
+            chips: [{ label: '🎫 Ticket status', message: `Status of ${ticket.id}` }]
+        };
+    }
+
+    listTickets(processedMessage) {
+        const tickets = window.supportTickets;
+        tickets.refreshIfStale();
+
+        const mentionedId = processedMessage?.original.match(/\btkt\d+\b/i);
+        if (mentionedId) {
+            const ticket = tickets.get(mentionedId[0]);
+            return {
+                text: ticket ? tickets.formatTicket(ticket) : `I couldn't find a ticket with ID ${mentionedId[0].toUpperCase()}.`,
+                action: null,
+                data: ticket
+            };
+        }
+
+        const recent = tickets.getAll().slice(0, 3);
+        if (recent.length === 0) {
+            return {
+                text: "You don't have any support tickets. If something went wrong with an order, just tell me what happened.",
+                action: null,
+                data: null
+            };
+        }
+        return {
+            text: `🎫 Your support tickets:\n\n${recent.map(ticket => tickets.formatTicket(ticket)).join('\n\n')}`,
+            action: 'show_tickets',
+            data: recent
+        };
+    }
+
+    // Orders placed from this device, newest first: this session's plus the saved log
+    getRecentOrders(limit = 5) {
+        const orders = new Map();
+        [...(window.trendingDishes?.orders || []), ...(window.paymentService?.orderHistory || [])].forEach(order => {
+            orders.set(order.id, {
+                id: order.id,
+                placedAt: new Date(order.placedAt),
+                items: order.items.map(item => ({
+                    name: item.name,
+                    quantity: item.quantity || 1,
+                    restaurant: item.restaurantName || item.restaurant || null
+                }))
+            });
+        });
+        return [...orders.values()].sort((a, b) => b.placedAt - a.placedAt).slice(0, limit);
+    }
+
+    getComplaintOrder() {
+        return this.getRecentOrders(Infinity).find(order => order.id === state.complaint.orderId) || null;
+    }
+
+    // An order ID in the text; unknown IDs are accepted as orders placed elsewhere
+    findComplaintOrder(text, orders) {
+        const mentionedId = text.match(/\bord\d{6,}\b/i);
+        if (!mentionedId) return null;
+        const id = mentionedId[0].toUpperCase();
+        return orders.find(order => order.id === id) || { id, placedAt: new Date(), items: [] };
+    }
+
+    // Items named, numbered or "all"; bareNumbers only when answering the item list
+    matchComplaintItems(text, items, bareNumbers = false) {
+        const lowercase = text.toLowerCase();
+        if (items.length === 0) return [];
+        if (/\b(all|everything|whole|entire)\b/.test(lowercase)) return items;
+        if (bareNumbers && /^\d+((\s*(,|and|&)\s*|\s+)\d+)*$/.test(lowercase.trim())) {
+            return [...new Set(lowercase.match(/\d+/g).map(Number))]
+                .map(number => items[number - 1])
+                .filter(Boolean);
+        }
+        if (bareNumbers && items.length === 1 && /^(yes|yeah|yep|it|that|that one|the item)\b/.test(lowercase.trim())) {
+            return items;
+        }
+        return window.fuzzyMatcher.rank(text, items, item => item.name, 0.7).map(result => result.item);
+    }
+
+    describeOrder(order) {
+        const items = order.items.map(item => `${item.quantity} × ${item.name}`).join(', ');
+        const placed = order.placedAt.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        return `**${order.id}** (${placed}) - ${items}`;
+    }
+
+    resetComplaint() {
+        Object.assign(state.complaint, {
+            orderId: null, items: null, issueType: null, description: null, photo: null, photoAsked: false
+        });
+    }
+
+    endComplaint() {
+        this.resetComplaint();
+        state.currentStep = 'greeting';
+    }
+
+    // ===== HUMAN AGENT HANDOFF =====
+    // Hands the chat to a support agent with the transcript and what they'd
+    // otherwise ask for; the chat relays messages until either side ends it
+    startAgentHandoff(intent) {
+        const session = window.agentHandoff?.start({
+            reason: intent.message.original,
+            transcript: intent.history || [],
+            context: this.getHandoffContext()
+        });
+
+        if (!session) {
+            return {
+                text: "I'm sorry, I can't reach our support team from here right now. 😔 If something went wrong with an order, tell me what happened and I'll open a support ticket.",
+                action: null,
+                data: null
+            };
+        }
+        return {
+            text: "🧑‍💼 Connecting you to a support agent... I've shared our chat and your order details, so you won't have to repeat yourself.\n\nSay **back to bot** any time to come back to me.",
+            action: null,
+            data: null
+        };
+    }
+
+    getHandoffContext() {
+        const orderStatus = (id) => window.paymentService?.orderHistory.find(order => order.id === id)?.status || null;
+        return {
+            location: this.currentLocation,
+            restaurant: this.selectedRestaurant ? { id: this.selectedRestaurant.id, name: this.selectedRestaurant.name } : null,
+            cart: window.cartStore.getLines().map(line => ({
+                name: line.name,
+                restaurant: line.restaurantName,
+                quantity: line.quantity,
+                price: line.price
+            })),
+            orders: this.getRecentOrders(3).map(order => ({ ...order, status: orderStatus(order.id) })),
+            tickets: (window.supportTickets?.getAll() || []).slice(0, 3).map(ticket => ({
+                id: ticket.id,
+                orderId: ticket.orderId,
+                issueType: ticket.issueType,
+                status: ticket.status
+            }))
+        };
+    }
+
+    // ===== RESTAURANT FAQ =====
+    // Answers from a restaurant's own FAQ entries: the one named in the message,
+    // else the one being viewed (or scanned at the table). With anyRestaurant,
+    // every restaurant that has a matching entry answers.
+    matchFAQ(processedMessage, { anyRestaurant = false } = {}) {
+        const knowledgeBase = window.faqKnowledgeBase;
+        const mentioned = knowledgeBase.findMentionedRestaurants(processedMessage.original, this.nearbyRestaurants);
+        const current = this.selectedRestaurant || window.qrCodeSystem?.getCurrentRestaurant() || null;
+        const restaurants = mentioned.length ? mentioned : (current ? [current] : (anyRestaurant ? this.nearbyRestaurants : []));
+
+        const answers = restaurants
+            .map(restaurant => ({ restaurant, match: knowledgeBase.answer(processedMessage.original, restaurant) }))
+            .filter(answer => answer.match);
+        if (answers.length === 0) return null;
+
+        return {
+            type: 'restaurant_faq',
+            answers,
+            confidence: Math.max(...answers.map(answer => answer.match.score))
+        };
+    }
+
+    handleRestaurantFAQ(intent) {
+        const knowledgeBase = window.faqKnowledgeBase;
+        const { answers } = intent;
+
+        // Follow-ups ("do they take cards?") stay with the restaurant asked about
+        if (answers.length === 1) {
+            const [{ restaurant, match }] = answers;
+            this.setSelectedRestaurant(restaurant.id);
+            return {
+                text: `${knowledgeBase.icon(match.entry)} **${restaurant.name}**: ${match.answer}`,
+                action: null,
+                data: null
+            };
+        }
+
+        const lines = answers.map(({ restaurant, match }) =>
+            `${knowledgeBase.icon(match.entry)} **${restaurant.name}**: ${match.answer}`);
+        return {
+            text: `Here's what each restaurant says:\n\n${lines.join('\n\n')}\n\nAsk about one by name for more! 😊`,
+            action: null,
+            data: null
+        };
+    }
+
+    // ===== REVIEWS =====
+    // What people said after their orders arrived, about the restaurant or dish
+    // named, else the one being viewed
+    matchReviewTarget(processedMessage) {
+        const { lowercase, original } = processedMessage;
+        const [mentioned] = window.faqKnowledgeBase.findMentionedRestaurants(original, this.nearbyRestaurants);
+        if (mentioned) {
+            // "...about Biryani Paradise's mutton biryani"
+            const dishMatch = this.matchMenuItems(lowercase, mentioned);
+            const dish = dishMatch.best && !dishMatch.ambiguous ? dishMatch.best : null;
+            return { type: 'reviews', restaurant: dish ? null : mentioned, dish, confidence: 0.9 };
+        }
+
+        const restaurantMatch = this.matchRestaurant(lowercase);
+        const dishMatch = this.matchMenuItems(lowercase);
+        if (restaurantMatch.best && !restaurantMatch.ambiguous && restaurantMatch.score >= dishMatch.score) {
+            return { type: 'reviews', restaurant: restaurantMatch.best, dish: null, confidence: 0.9 };
+        }
+        if (dishMatch.best && !dishMatch.ambiguous) {
+            return { type: 'reviews', restaurant: null, dish: dishMatch.best, confidence: 0.85 };
+        }
+        const current = this.selectedRestaurant || window.qrCodeSystem?.getCurrentRestaurant() || null;
+        return { type: 'reviews', restaurant: current, dish: null, confidence: 0.7 };
+    }
+
+    handleReviews(intent) {
+        const store = window.reviewStore;
+        if (!intent.restaurant && !intent.dish) {
+            return {
+                text: "Which restaurant or dish would you like reviews for? 💬 (e.g. \"what do people say about Biryani Paradise?\")",
+                action: null,
+                data: null
+            };
+        }
+
+        // Current ratings, which already include the reviews
+        const restaurant = this.restaurantRepository.getRestaurantById(intent.restaurant?.id ?? intent.dish.restaurantId);
+        const dish = intent.dish ? this.restaurantRepository.getDishById(intent.dish.id) : null;
+        const title = dish ? `**${dish.name}** from **${restaurant.name}**` : `**${restaurant.name}**`;
+        const rating = dish ? dish.rating : restaurant.rating;
+        const summary = store.summarize(dish ? { dishId: dish.id } : { restaurantId: restaurant.id });
+        this.setSelectedRestaurant(restaurant.id);
+
+        if (summary.count === 0) {
+            return {
+                text: `💬 No one has reviewed ${title} yet. It's rated ${rating}⭐ in the listing.\n\nOrder it and be the first to share what you think! 😊`,
+                action: null,
+                data: null
+            };
+        }
+
+        let text = `💬 ${title} is rated ${rating}⭐.\n` +
+            `${summary.count} review${summary.count > 1 ? 's' : ''} from FoodieBot orders` +
+            `${summary.average !== null ? `, averaging ${summary.average}⭐` : ''}.`;
+
+        if (summary.themes.length > 0) {
+            text += `\n\nPeople talk about: ${summary.themes.map(theme => theme.label).join(', ')}`;
+        }
+        if (summary.quotes.length > 0) {
+            text += `\n\n${summary.quotes.map(quote => `🗨️ "${quote}"`).join('\n')}`;
+        }
+
+        // The restaurant's dishes reviewers rated highest
+        if (!dish) {
+            const praised = Object.values(restaurant.menu).flat()
+                .filter(item => item.reviewCount > 0 && item.rating >= 4)
+                .sort((a, b) => b.rating - a.rating)
+                .slice(0, 3);
+            if (praised.length > 0) {
+                text += `\n\n⭐ Reviewers' favourites: ${praised.map(item => `${item.name} (${item.rating}⭐)`).join(', ')}`;
+            }
+        }
+
+        return { text, action: null, data: null };
+    }
+
+    // ===== GROUP MEAL PLANNER =====
+    // "feed 5 people under ₹1000, 2 of them vegetarian": a few alternative baskets
+    // priced like checkout (delivery and tax included); the chosen one goes into
+    // the cart in one step
+    handleMealPlanner(intent) {
+        const planner = window.mealPlanner;
+        const request = intent.request ||
+            planner.complete({ people: null, budget: null, vegCount: 0, cuisine: null, singleRestaurant: null }, intent.message.original) ||
+            { people: null, budget: null, vegCount: 0, cuisine: null, singleRestaurant: null };
+
+        if (!request.people || request.budget === null) {
+            this.pendingMealPlan = { request, plans: [] };
+            const missing = !request.people && request.budget === null ? "How many people, and what's the total budget?" :
+                !request.people ? `How many people should ₹${request.budget} feed?` :
+                `What's the total budget for ${request.people} people?`;
+            return {
+                text: `🧮 Happy to plan a group meal! ${missing} (e.g. "5 people, ₹1000, 2 vegetarian")`,
+                action: null,
+                data: null
+            };
+        }
+
+        let restaurants = this.getVisibleRestaurants();
+        if (request.cuisine) {
+            restaurants = restaurants.filter(restaurant =>
+                restaurant.cuisines.some(cuisine => cuisine.toLowerCase() === request.cuisine));
+        }
+        const dishes = this.listDishes(restaurants);
+        const priceLines = lines => window.paymentService.calculateTotals(lines, 'delivery');
+        const plans = planner.plan(request, dishes, priceLines);
+
+        if (plans.length === 0) {
+            // Quote the cheapest basket there is, so the user knows how far off the budget is
+            const [cheapest] = planner.plan({ ...request, budget: Infinity }, dishes, priceLines)
+                .sort((a, b) => a.totals.total - b.totals.total);
+            return {
+                text: `${this.describeActiveFilters()}I couldn't fit a meal for ${planner.describeRequest(request)} 😕` +
+                    (cheapest ? `\n\nThe cheapest I can do is **₹${Math.ceil(cheapest.totals.total)}** with delivery and tax. Want to raise the budget a little?` : ''),
+                action: null,
+                data: null
+            };
+        }
+
+        this.pendingMealPlan = { request, plans };
+        return {
+            text: `${this.describeActiveFilters()}🧮 Meal plans for **${planner.describeRequest(request)}** (delivery and tax included):\n\n` +
+                `${plans.map((plan, index) => planner.describePlan(plan, index, request.people)).join('\n\n')}\n\n` +
+                `Reply with an option number and I'll add it all to your cart in one go! 🛒`,
+            action: 'show_meal_plans',
+            data: { request, plans }
+        };
+    }
+
+    resolveMealPlan(processedMessage) {
+        const { request, plans } = this.pendingMealPlan;
+        this.pendingMealPlan = null;
+        const planner = window.mealPlanner;
+
+        // Still waiting for the headcount or budget
+        if (plans.length === 0) {
+            const completed = planner.complete(request, processedMessage.original);
+            return completed ? this.handleMealPlanner({ request: completed }) : null;
+        }
+
+        if (window.orderParser.isRejection(processedMessage.original)) {
+            return {
+                text: "No problem, I haven't added anything. Change the budget or headcount any time and I'll plan again! 😊",
+                action: null,
+                data: null
+            };
+        }
+
+        const index = plans.length === 1 && window.orderParser.isConfirmation(processedMessage.original) ? 0 :
+            planner.choosePlan(processedMessage.original, plans);
+        if (index === null) {
+            // The user moved on; handle the message normally
+            return null;
+        }
+
+        const plan = plans[index];
+        const parser = window.orderParser;
+        const count = plan.lines.reduce((sum, line) => sum + line.quantity, 0);
+        return {
+            text: `✅ Added option ${index + 1} to your cart: ${count} items, **₹${plan.totals.total.toFixed(2)}** with delivery and tax. [Check out](action:checkout) when you're ready!`,
+            action: 'add_basket_to_cart',
+            data: { items: plan.lines.map(line => ({ item: parser.toCartItem(line), quantity: line.quantity })) }
+        };
+    }
+
+    listCuisines() {
+        return [...new Set(this.nearbyRestaurants.flatMap(restaurant => restaurant.cuisines || []))];
+    }
+
+    // ===== CART EDITS =====
+    // "remove the dosa", "make the biryani 3", "one less idli", "empty my cart";
+    // changes go straight to the cart store so the reply can quote new totals
+    detectCartCommand(processedMessage) {
+        const command = window.cartCommandParser.parse(processedMessage.original);
+        return command ? { type: 'edit_cart', command, message: processedMessage, confidence: 0.9 } : null;
+    }
+
+    handleCartEdit(intent) {
+        const store = window.cartStore;
+        const cart = store.getLines();
+        const { command } = intent;
+
+        if (cart.length === 0) {
+            return {
+                text: "🛒 Your cart is empty right now - tell me what you'd like to order!",
+                action: null,
+                data: null
+            };
+        }
+
+        if (!command) {
+            const lines = cart.map((line, index) => `${index + 1}. ${this.formatCartLine(line)}`).join('\n');
+            return {
+                text: `Here's your cart:\n${lines}\n\nTell me what to change - e.g. "remove the ${cart[0].name}", "make it 2" or "empty my cart". ✏️`,
+                action: null,
+                data: null
+            };
+        }
+
+        if (command.type === 'clear') {
+            store.clear();
+            return {
+                text: "🗑️ Done - your cart is now empty. What would you like instead? 😊",
+                action: 'cart_updated',
+                data: window.paymentService.calculateCartTotal()
+            };
+        }
+
+        const found = intent.line ?
+            { line: intent.line } :
+            window.cartCommandParser.findLines(command.target, cart, this.contextMemory.get('focusDish'));
+
+        if (found.options) {
+            this.pendingClarification = { intent, options: found.options };
+            return {
+                text: `Which one do you mean: ${window.fuzzyMatcher.formatChoices(found.options, line => this.formatCartLine(line))}? 🤔`,
+                action: 'clarify_cart_line',
+                data: { options: found.options }
+            };
+        }
+
+        if (!found.line) {
+            return {
+                text: `I couldn't find "${command.target}" in your cart. You have: ${cart.map(line => this.formatCartLine(line)).join(', ')}.`,
+                action: null,
+                data: null
+            };
+        }
+
+        const { line } = found;
+        const quantity = command.type === 'remove' ? 0 :
+            command.type === 'set' ? command.quantity :
+            line.quantity - command.quantity;
+
+        let change;
+        if (quantity <= 0) {
+            store.remove(line.lineId);
+            change = `🗑️ Removed **${line.name}** from your cart.`;
+        } else {
+            store.setQuantity(line.lineId, quantity);
+            change = `✏️ **${line.name}** is now × ${quantity}.`;
+            this.contextMemory.set('focusDish', line);
+        }
+
+        return {
+            text: `${change}\n\n${this.describeCartTotals()}`,
+            action: 'cart_updated',
+            data: window.paymentService.calculateCartTotal()
+        };
+    }
+
+    formatCartLine(line) {
+        return `${line.name} × ${line.quantity}${line.closed ? ' (restaurant closed now)' : ''}`;
+    }
+
+    describeCartTotals() {
+        const store = window.cartStore;
+        if (store.isEmpty()) {
+            return "Your cart is now empty.";
+        }
+
+        const count = store.getItemCount();
+        const totals = window.paymentService.calculateCartTotal();
+        return `🛒 ${count} item${count !== 1 ? 's' : ''} • Subtotal ₹${totals.subtotal}\n` +
+            `Delivery ₹${totals.deliveryFee} • Tax ₹${totals.taxAmount.toFixed(2)}\n` +
+            `**Total: ₹${totals.total.toFixed(2)}**`;
+    }
+
+    // ===== REFERENCES =====
+    // Lists shown are kept in conversationMemory; the single dish or restaurant
+    // currently in focus is kept in contextMemory
+    rememberShownEntities(response) {
+        const shown = window.referenceResolver.extractShown(response);
+        if (!shown) return;
+
+        conversationMemory.recordEntities(shown);
+
+        const { dishes, restaurants } = shown;
+        const isBasket = ['confirm_basket', 'add_basket_to_cart'].includes(response.action);
+        if (dishes.length === 1 || (isBasket && dishes.length > 0)) {
+            const dish = dishes[dishes.length - 1];
+            this.contextMemory.set('focusDish', dish);
+            this.contextMemory.set('focusRestaurant', this.restaurantRepository.getRestaurantById(dish.restaurantId));
+        } else if (dishes.length > 1) {
+            this.contextMemory.delete('focusDish');
+        }
+        if (restaurants.length === 1) {
+            this.contextMemory.set('focusRestaurant', restaurants[0]);
+        } else if (restaurants.length > 1) {
+            this.contextMemory.delete('focusRestaurant');
+        }
+    }
+
+    resolveReference(processedMessage) {
+        const reference = window.referenceResolver.parse(processedMessage.original);
+        if (!reference || this.isReservationRequest(processedMessage.original)) return null;
+
+        // A dish or restaurant named outright beats a pronoun
+        if (reference.ordinal === null) {
+            const dishMatch = this.matchMenuItems(processedMessage.lowercase);
+            if ((dishMatch.best && dishMatch.score >= 0.85) || this.matchRestaurant(processedMessage.lowercase).best) {
+                return null;
+            }
+        }
+
+        const target = reference.ordinal !== null ?
+            this.findListedEntity(reference) :
+            this.findFocusedEntity(reference);
+        if (!target) return null;
+
+        const { dish, restaurant, options, problem } = target;
+        if (problem) {
+            return { type: 'reference_problem', text: problem, confidence: 0.9 };
+        }
+        if (options) {
+            return reference.action === 'add' ?
+                { type: 'add_to_cart', item: null, alternatives: options, quantity: reference.quantity, confidence: 0.8 } :
+                { type: 'dish_lookup', item: null, alternatives: options, confidence: 0.8 };
+        }
+
+        const dishRestaurant = dish ? this.restaurantRepository.getRestaurantById(dish.restaurantId) : null;
+        if (reference.kind === 'restaurant' || reference.action === 'menu' || !dish) {
+            const shownRestaurant = restaurant || dishRestaurant;
+            return shownRestaurant ? { type: 'restaurant_details', restaurant: shownRestaurant, confidence: 0.9 } : null;
+        }
+        if (reference.action === 'add') {
+            return { type: 'add_to_cart', item: dish, alternatives: [], quantity: reference.quantity, confidence: 0.9 };
+        }
+        return { type: 'dish_lookup', item: dish, alternatives: [], confidence: 0.9 };
+    }
+
+    // "the second one": position in the most recent list of that kind
+    findListedEntity(reference) {
+        const dishes = conversationMemory.getLastShown('dishes');
+        const restaurants = conversationMemory.getLastShown('restaurants');
+        const latest = conversationMemory.shownEntities[conversationMemory.shownEntities.length - 1];
+        const kind = reference.kind ||
+            (latest && latest.dishes.length === 0 && latest.restaurants.length > 0 ? 'restaurant' : 'dish');
+        const list = kind === 'restaurant' ? restaurants : dishes;
+
+        if (list.length === 0) return null;
+
+        const entity = window.referenceResolver.pick(list, reference.ordinal);
+        if (!entity) {
+            const noun = kind === 'restaurant' ? 'restaurant' : 'dish';
+            const plural = list.length === 1 ? noun : `${noun}${kind === 'restaurant' ? 's' : 'es'}`;
+            return { problem: `I only showed ${list.length} ${plural} there - which one did you mean? 🤔` };
+        }
+        return kind === 'restaurant' ? { restaurant: entity } : { dish: entity };
+    }
+
+    // "its price", "another of those", "that restaurant's menu"
+    findFocusedEntity(reference) {
+        const focusDish = this.contextMemory.get('focusDish');
+        const focusRestaurant = this.contextMemory.get('focusRestaurant');
+
+        if (reference.kind === 'restaurant') {
+            return focusRestaurant ? { restaurant: focusRestaurant } : null;
+        }
+        if (focusDish) {
+            return { dish: focusDish };
+        }
+
+        // Several dishes on screen and none singled out: ask which one
+        const dishes = conversationMemory.getLastShown('dishes');
+        if (dishes.length > 1) {
+            return { options: dishes.slice(0, 3) };
+        }
+        return focusRestaurant && reference.kind !== 'dish' ? { restaurant: focusRestaurant } : null;
+    }
+
+    // ===== FUZZY LOOKUPS =====
+    matchMenuItems(query, restaurant = null) {
+        const dishes = this.restaurantRepository.getAllDishes()
+            .filter(dish => !restaurant || dish.restaurantId === restaurant.id);
+        return window.fuzzyMatcher.match(query, dishes);
+    }
+
+    matchRestaurant(query) {
+        // Restaurant names share words with dishes ("Biryani Paradise"), so demand a closer match
+        return window.fuzzyMatcher.match(query, this.nearbyRestaurants, r => r.name, 0.85);
+    }
+
+    findMenuItemAcrossRestaurants(query) {
+        const result = this.matchMenuItems(query);
+        return result.best && !result.ambiguous ? result.best : null;
+    }
+
+    describeDishMatch(match) {
+        return {
+            item: match.ambiguous ? null : match.best,
+            alternatives: match.ambiguous ? match.alternatives : []
+        };
+    }
+
+    formatDishChoice(dish) {
+        return `${dish.name} (${dish.restaurant})`;
+    }
+
+    askDishClarification(intent) {
+        const options = intent.alternatives;
+        this.pendingClarification = { intent, options };
+
+        return {
+            text: `Did you mean ${window.fuzzyMatcher.formatChoices(options, dish => this.formatDishChoice(dish))}? 🤔`,
+            action: 'clarify_dish',
+            data: { options }
+        };
+    }
+
+    resolveClarification(processedMessage) {
+        const { intent, options } = this.pendingClarification;
+        this.pendingClarification = null;
+
+        if (intent.type === 'clarify_intent') {
+            const classifier = window.intentClassifier;
+            const choice = window.fuzzyMatcher.resolveChoice(processedMessage.original, options,
+                option => classifier.getDescription(option.intent));
+            return choice ? this.routeIntent(this.buildIntent(choice.intent, intent.message, 1)) : null;
+        }
+
+        if (intent.type === 'edit_cart') {
+            // A fresh cart command ("remove 1 idli") is not an answer
+            if (window.cartCommandParser.parse(processedMessage.original)) return null;
+            const parser = window.cartCommandParser;
+            const line = window.fuzzyMatcher.resolveChoice(processedMessage.original, options, option => parser.lineText(option));
+            return line ? this.handleCartEdit({ ...intent, line }) : null;
+        }
+
+        const choice = window.fuzzyMatcher.resolveChoice(processedMessage.original, options);
+        if (!choice) {
+            // The user moved on; handle the message normally
+            return null;
+        }
+
+        const resolvedIntent = { ...intent, item: choice, alternatives: [] };
+        return resolvedIntent.type === 'add_to_cart' ?
+            this.handleAddToCart(resolvedIntent) :
+            this.handleDishLookup(resolvedIntent);
+    }
+
+    // Nothing goes into the cart until the user confirms the parsed basket
+    handleAddToCart(intent) {
+        const parser = window.orderParser;
+        const basket = parser.checkPortions(intent.basket || this.basketFromIntent(intent));
+
+        // Nothing certain yet: ask about the first unclear dish
+        if (basket.lines.length === 0 && basket.ambiguous.length > 0) {
+            const [{ quantity, portion, options }] = basket.ambiguous;
+            return this.askDishClarification({ type: 'add_to_cart', quantity, portion, alternatives: options });
+        }
+
+        // Only portions the menu doesn't have: offer the full one instead
+        if (basket.lines.length === 0 && basket.unavailable.length > 0) {
+            return {
+                text: `${basket.unavailable.map(line => parser.describeUnavailable(line)).join('\n')}.\n\nWould you like that instead? 😊`,
+                action: null,
+                data: null,
+                chips: basket.unavailable.map(({ dish, quantity }) => ({ label: `🛒 ${quantity} × ${dish.name}`, message: `Add ${quantity} ${dish.name}` }))
+            };
+        }
+
+        if (basket.lines.length === 0) {
+            return {
+                text: "Which dish would you like to add? Tell me its name - spelling doesn't have to be perfect! 😊",
+                action: null,
+                data: null
+            };
+        }
+
+        this.pendingBasket = basket.lines;
+        const conflicts = basket.lines.map(line => this.describeProfileConflict(line.dish)).filter(Boolean);
+        return {
+            text: `🧺 Here's your order:\n${parser.describeBasket(basket)}${conflicts.length ? `\n\n${conflicts.join('\n')}` : ''}\n\nShall I add ${basket.lines.length > 1 ? 'these' : 'this'} to your cart? (yes / no)`,
+            action: 'confirm_basket',
+            data: { lines: basket.lines }
+        };
+    }
+
+    basketFromIntent(intent) {
+        const quantity = intent.quantity || 1;
+        const portion = intent.portion || null;
+        return {
+            lines: intent.item ? [{ dish: intent.item, quantity, portion }] : [],
+            ambiguous: intent.alternatives?.length > 1 ? [{ quantity, portion, options: intent.alternatives }] : [],
+            unmatched: []
+        };
+    }
+
+    resolveBasketConfirmation(processedMessage) {
+        const lines = this.pendingBasket;
+        this.pendingBasket = null;
+        const parser = window.orderParser;
+
+        if (parser.isConfirmation(processedMessage.original)) {
+            const count = lines.reduce((sum, line) => sum + line.quantity, 0);
+            return {
+                text: `✅ Added ${count} item${count !== 1 ? 's' : ''} (₹${parser.basketTotal(lines)}) to your cart! Anything else, or [check out](action:checkout)? 😊`,
+                action: 'add_basket_to_cart',
+                data: { items: lines.map(line => ({ item: parser.toCartItem(line), quantity: line.quantity })) }
+            };
+        }
+
+        if (parser.isRejection(processedMessage.original)) {
+            return {
+                text: "No problem, I haven't added anything. Tell me what you'd like instead! 😊",
+                action: null,
+                data: null
+            };
+        }
+
+        // The user moved on; handle the message normally
+        return null;
+    }
+
+    handleDishLookup(intent) {
+        if (intent.alternatives?.length > 1) {
+            return this.askDishClarification(intent);
+        }
+
+        const { item } = intent;
+        const vegIcon = item.veg ? '🟢' : '🔴';
+        const diet = this.describeDishDiet(item);
+        const conflict = this.describeProfileConflict(item);
+        return {
+            text: `${vegIcon} **${item.name}** - ₹${item.price}\nFrom ${item.restaurant} (${item.rating}⭐)\n${item.description}${diet ? `\n${diet}` : ''}${conflict ? `\n\n${conflict}` : ''}\n\nSay "add ${item.name}" to put it in your cart! 🛒`,
+            action: 'show_dish_cards',
+            data: {
+                dishes: [item],
+                title: item.name,
+                category: item.category
+            },
+            chips: [{ label: `🛒 Add ${item.name}`, message: 'Add it to my cart' }]
+        };
+    }
+
+    handleRestaurantDetails(intent) {
+        this.setSelectedRestaurant(intent.restaurant.id);
+        const restaurant = this.filterRestaurantMenu(intent.restaurant);
+
+        return {
+            text: `${this.describeActiveFilters()}🍽️ **${restaurant.name}** (${restaurant.rating}⭐)\n📍 ${restaurant.location} • ${restaurant.distance}\n🍴 ${restaurant.cuisines.join(', ')}\n⏱️ ${restaurant.deliveryTime} • ${restaurant.priceRange}\n\nHere's their menu!`,
+            action: 'show_menu',
+            data: restaurant
+        };
+    }
+
+    // null when the message names no diet, so the handler can ask instead of guessing
+    detectDietaryType(tokens) {
+        const text = tokens.join(' ');
+        if (/\bnon[\s-]?veg/.test(text) || tokens.includes('chicken') || tokens.includes('mutton')) return 'non-vegetarian';
+        if (tokens.includes('vegetarian') || tokens.includes('veg')) return 'vegetarian';
+        return null;
+    }
+
+    // Vegetarian becomes an exclusion that lasts the conversation; non-veg only
+    // lists meat dishes for this reply. Tags and spice ("jain", "mild") list
+    // matching dishes through the dietary filter.
+    handleDietaryFilter(intent) {
+        const { dietary } = intent;
+
+        if (!dietary && this.messageDietary) {
+            return this.handleDietaryCriteria();
+        }
+
+        if (!dietary) {
+            return {
+                text: "Would you like vegetarian 🟢 or non-vegetarian 🔴 options?",
+                action: null,
+                data: null
+            };
+        }
+
+        if (dietary === 'non-vegetarian') {
+            this.exclusions = this.exclusions.filter(group => group !== 'nonveg');
+        } else if (!this.exclusions.includes('nonveg')) {
+            this.exclusions.push('nonveg');
+        }
+
+        const dishes = this.listDishes(this.getVisibleRestaurants())
+            .filter(dish => dietary !== 'non-vegetarian' || !dish.veg)
+            .sort((a, b) => b.rating - a.rating);
+
+        if (dishes.length === 0) {
+            return {
+                text: `${this.describeActiveFilters()}I couldn't find any ${dietary} dishes that fit right now. 🤔`,
+                action: null,
+                data: null
+            };
+        }
+
+        return {
+            text: `${this.describeActiveFilters()}Here are the top **${dietary}** dishes near you! ${dietary === 'non-vegetarian' ? '🔴' : '🟢'}`,
+            action: 'show_dish_cards',
+            data: {
+                dishes: dishes.slice(0, 8),
+                title: `${dietary.charAt(0).toUpperCase()}${dietary.slice(1)} Options`,
+                category: null
+            }
+        };
+    }
+
+    handleDietaryCriteria() {
+        const label = window.dietaryFilter.describe(this.messageDietary);
+        const dishes = this.listDishes(this.getVisibleRestaurants())
+            .sort((a, b) => b.rating - a.rating);
+
+        if (dishes.length === 0) {
+            return {
+                text: `${this.describeActiveFilters()}I couldn't find any dishes near you that fit. 🤔`,
+                action: null,
+                data: null
+            };
+        }
+
+        return {
+            text: `${this.describeActiveFilters()}Found **${dishes.length}** ${label.toLowerCase()} dish${dishes.length === 1 ? '' : 'es'} near you! 📋`,
+            action: 'show_dish_cards',
+            data: {
+                dishes: dishes.slice(0, 8),
+                title: `${label.charAt(0).toUpperCase()}${label.slice(1)} Options`,
+                category: null
+            }
+        };
+    }
+
+    // A streamed answer grounded in the visible catalog ({ stream } is rendered
+    // token by token), or null when the backend can't be reached
+    async askLanguageModel(processedMessage, conversationHistory) {
+        try {
+            const stream = await window.llmBackend.ask(processedMessage.original, conversationHistory,
+                this.getVisibleRestaurants(), this.selectedRestaurant);
+            return { text: '', action: null, data: null, stream };
+        } catch (error) {
+            console.error('Language model unavailable, using rule-based reply:', error);
+            return null;
+        }
+    }
+
+    generateFallbackResponse(intent) {
+        const fallbacks = [
+            "I'd love to help you find great food! Try asking me about restaurants near you, specific cuisines, or popular dishes! 🍽️",
+            "Not sure what you're looking for? Ask me about nearby restaurants, delivery options, or what's popular in your area! 😊",
+            "I'm here to help you discover amazing food! You can ask about restaurants, menus, prices, or place orders. What sounds good? 🤔",
+            "Let me help you find something delicious! Try searching for cuisines like 'Indian food' or 'pizza near me'! 🍕"
+        ];
+        
+        return {
+            text: fallbacks[Math.floor(Math.random() * fallbacks.length)],
+            action: null,
+            data: null
+        };
+    }
+
+    addPersonality(response, intent) {
+        // Add location context and emojis
+        if (!response.text.includes('😊') && !response.text.includes('🍽️') && Math.random() > 0.3) {
+            const emojis = ['😊', '🍽️', '🤤', '✨', '🎉', '🚀'];
+            response.text += ' ' + emojis[Math.floor(Math.random() * emojis.length)];
+        }
+        
+        return response;
+    }
+
+    // Helper methods for dish categories
+    getBestDishesByCategory(category) {
+        const allDishes = [];
+        
+        this.getVisibleRestaurants().forEach(restaurant => {
+            Object.values(restaurant.menu).forEach(menuCategory => {
+                menuCategory.forEach(dish => {
+                    if (dish.category === category && dish.rating >= 4.5) {
+                        allDishes.push({
+                            ...dish,
+                            restaurant: restaurant.name,
+                            restaurantId: restaurant.id
+                        });
+                    }
+                });
+            });
+        });
+        
+        // Sort by rating (highest first) and popularity
+        return allDishes
+            .sort((a, b) => {
+                if (a.popular && !b.popular) return -1;
+                if (!a.popular && b.popular) return 1;
+                return b.rating - a.rating;
+            })
+            .slice(0, 5);
+    }
+    
+    getDishesByCategory(category) {
+        const allDishes = [];
+        
+        this.getVisibleRestaurants().forEach(restaurant => {
+            Object.values(restaurant.menu).forEach(menuCategory => {
+                menuCategory.forEach(dish => {
+                    if (dish.category === category) {
+                        allDishes.push({
+                            ...dish,
+                            restaurant: restaurant.name,
+                            restaurantId: restaurant.id
+                        });
+                    }
+                });
+            });
+        });
+        
+        // Sort by rating and popularity
+        return allDishes
+            .sort((a, b) => {
+                if (a.popular && !b.popular) return -1;
+                if (!a.popular && b.popular) return 1;
+                return b.rating - a.rating;
+            });
+    }
+
+    // Helper method to set current restaurant context
+    setSelectedRestaurant(restaurantId) {
+        this.selectedRestaurant = this.restaurantRepository.getRestaurantById(restaurantId);
+    }
+}
+
+// Initialize the AI when script loads
+const chatbotAI = new FoodieBotAI();
+
+// Make it globally accessible
+window.chatbotAI = chatbotAI;
+
+// Close the bot's socket on page unload
+window.addEventListener('beforeunload', () => {
+    chatbotAI.destroy();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FoodieBotAI;
+}
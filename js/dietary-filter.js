@@ -0,0 +1,235 @@
+// ===== DIETARY FILTER =====
+// Matches dishes against dietary tags (vegan, Jain, no onion/garlic, halal,
+// gluten-free), allergens and spice level from the menu data. Reads one-off
+// requests ("jain options", "mild dishes") and the standing preferences that
+// make up a user's dietary profile ("I'm allergic to nuts", "I am vegan").
+
+class DietaryFilter {
+    constructor() {
+        this.tags = {
+            vegetarian: { label: 'Vegetarian', badge: '🟢 Veg' },
+            vegan: { label: 'Vegan', badge: '🌱 Vegan' },
+            jain: { label: 'Jain', badge: '🙏 Jain' },
+            no_onion_garlic: { label: 'No onion/garlic', badge: '🧅 No onion/garlic' },
+            halal: { label: 'Halal', badge: '☪️ Halal' },
+            gluten_free: { label: 'Gluten-free', badge: '🌾 Gluten-free' }
+        };
+        this.allergens = {
+            nuts: ['nuts', 'nut', 'peanut', 'peanuts', 'cashew', 'cashews', 'almond', 'almonds'],
+            dairy: ['dairy', 'milk', 'lactose', 'cheese'],
+            gluten: ['gluten', 'wheat'],
+            egg: ['egg', 'eggs'],
+            shellfish: ['shellfish', 'prawn', 'prawns', 'shrimp', 'crab', 'seafood']
+        };
+        this.spiceLabels = ['Not spicy', 'Mild', 'Medium', 'Hot'];
+
+        // Tags a single message can ask for; "vegetarian" stays with the
+        // conversation-wide veg filter
+        this.tagPatterns = {
+            vegan: /\bvegan\b/,
+            jain: /\bjain\b/,
+            no_onion_garlic: /\b(sattvic|satvik|satvic)\b/,
+            halal: /\bhalal\b/,
+            gluten_free: /\bgluten[\s-]?free\b|\b(no|without)\s+gluten\b|\b(celiac|coeliac)\b/
+        };
+    }
+
+    // ===== PARSING =====
+    // { tags, allergens, spice } for this message only, or null
+    parse(text) {
+        const lowercase = this.normalize(text);
+        const tags = Object.keys(this.tagPatterns).filter(tag => this.tagPatterns[tag].test(lowercase));
+        const spice = this.parseSpice(lowercase);
+
+        if (tags.length === 0 && !spice) return null;
+        return { tags, allergens: [], spice };
+    }
+
+    // "mild" caps the spice level, "spicy" asks for medium and up; "not spicy"
+    // is left to the exclusion filter
+    parseSpice(lowercase) {
+        if (/\b(mild|mildly spiced|less spicy|not too spicy|low spice)\b/.test(lowercase)) return { min: null, max: 1 };
+        if (/\bmedium\s+spic/.test(lowercase)) return { min: 2, max: 2 };
+        if (/\b(extra|very|super|really)\s+(spicy|hot)\b|\bfiery\b/.test(lowercase)) return { min: 3, max: null };
+        if (/(?<!\b(not|no|without|less|too|non)\s+)\bspicy\b/.test(lowercase)) return { min: 2, max: null };
+        return null;
+    }
+
+    // Standing preferences: { tags, allergens, spiceMax, clear, text } or null.
+    // text is the message with the profile statement taken out
+    parseProfile(text) {
+        let lowercase = this.normalize(text);
+        const profile = { tags: [], allergens: [], spiceMax: null, clear: false };
+
+        if (/\b(clear|reset|forget|delete|remove)\s+(my\s+)?(dietary|diet|food)\s+(profile|preferences)\b/.test(lowercase)) {
+            return { ...profile, clear: true, text: '' };
+        }
+
+        // "I'm vegan", "we are jain", "my diet is halal"
+        const identity = /\b(?:i am|i'm|im|we are|we're|i follow|we follow|i only eat|i eat only|my diet is|i keep)\s+(?:a\s+)?(?:strict\s+|pure\s+|strictly\s+)?(vegan|jain|vegetarian|halal|gluten[\s-]?free|sattvic|satvik)\b(?:\s+(?:diet|food))?/g;
+        lowercase = lowercase.replace(identity, (phrase, diet) => {
+            profile.tags.push(this.tagFromWord(diet));
+            return ' ';
+        });
+
+        // "allergic to nuts and dairy", "can't eat gluten", "peanut allergy", "lactose intolerant"
+        const allergyList = /\b(?:i am |i'm |im |i |we )?(?:allergic to|(?:have an? )?allergy to|intolerant to|can't eat|cannot eat|can't have)\s+([a-z ,]+?)(?=$|[.!?;]|\s+(?:so|please|but|show|find|what|any)\b)/g;
+        lowercase = lowercase.replace(allergyList, (phrase, list) => {
+            const found = this.readAllergens(list);
+            if (found.length === 0) return phrase;
+            profile.allergens.push(...found);
+            return ' ';
+        });
+        lowercase = lowercase.replace(/\b(?:i have (?:an? )?|i've got (?:an? )?|i am |i'm |im )?([a-z]+)\s+(?:allergy|allergies|intolerant|intolerance)\b/g, (phrase, word) => {
+            const found = this.readAllergens(word);
+            if (found.length === 0) return phrase;
+            profile.allergens.push(...found);
+            return ' ';
+        });
+
+        // "I prefer mild food", "I can't handle spicy food"
+        lowercase = lowercase.replace(/\b(?:i|we)\s+(?:prefer|like|only eat|always want)\s+(?:it\s+|my food\s+)?(?:mild|less spicy)(?:\s+food)?\b|\b(?:i|we)\s+(?:can't|cannot|don't)\s+(?:handle|take|tolerate)\s+(?:spicy|spice|heat)(?:\s+food)?\b/g, () => {
+            profile.spiceMax = 1;
+            return ' ';
+        });
+
+        if (profile.tags.length === 0 && profile.allergens.length === 0 && profile.spiceMax === null) return null;
+        return {
+            ...profile,
+            tags: [...new Set(profile.tags)],
+            allergens: [...new Set(profile.allergens)],
+            text: lowercase.replace(/^[\s,.!]*(?:and|so|also)?\s*/, '').replace(/\s+/g, ' ').trim()
+        };
+    }
+
+    readAllergens(text) {
+        const words = text.split(/[\s,]+/);
+        return Object.keys(this.allergens).filter(allergen =>
+            this.allergens[allergen].some(keyword => words.includes(keyword)));
+    }
+
+    tagFromWord(word) {
+        if (/^gluten/.test(word)) return 'gluten_free';
+        if (/^sat/.test(word)) return 'no_onion_garlic';
+        return word;
+    }
+
+    normalize(text) {
+        return text.toLowerCase().replace(/[’]/g, "'").replace(/\s+/g, ' ').trim();
+    }
+
+    // ===== PROFILES =====
+    // A profile kept in userPreferences as { dietary, allergens, spiceMax }
+    fromPreferences(preferences = {}) {
+        const tags = (preferences.dietary || []).filter(tag => tag in this.tags);
+        const allergens = (preferences.allergens || []).filter(allergen => allergen in this.allergens);
+        const spice = preferences.spiceMax !== null && preferences.spiceMax !== undefined ?
+            { min: null, max: preferences.spiceMax } : null;
+        return { tags, allergens, spice };
+    }
+
+    // Several criteria combined: every tag and allergen, and the tightest spice range
+    merge(...criteria) {
+        const active = criteria.filter(Boolean);
+        const spices = active.map(item => item.spice).filter(Boolean);
+        const mins = spices.map(spice => spice.min).filter(value => value !== null);
+        const maxes = spices.map(spice => spice.max).filter(value => value !== null);
+        return {
+            tags: [...new Set(active.flatMap(item => item.tags))],
+            allergens: [...new Set(active.flatMap(item => item.allergens))],
+            spice: spices.length ? {
+                min: mins.length ? Math.max(...mins) : null,
+                max: maxes.length ? Math.min(...maxes) : null
+            } : null
+        };
+    }
+
+    isEmpty(criteria) {
+        return !criteria || (criteria.tags.length === 0 && criteria.allergens.length === 0 && !criteria.spice);
+    }
+
+    // ===== FILTERING =====
+    hasTag(dish, tag) {
+        const tags = dish.dietaryTags || [];
+        if (tag === 'vegetarian') return dish.veg === true;
+        // Vegetarian food needs no halal certification
+        if (tag === 'halal') return dish.veg === true || tags.includes('halal');
+        if (tag === 'no_onion_garlic') return tags.includes('no_onion_garlic') || tags.includes('jain');
+        return tags.includes(tag);
+    }
+
+    // Dishes without allergen or spice data never pass those checks
+    matches(dish, criteria) {
+        if (this.isEmpty(criteria)) return true;
+        if (!criteria.tags.every(tag => this.hasTag(dish, tag))) return false;
+        if (criteria.allergens.length && (!Array.isArray(dish.allergens) ||
+            criteria.allergens.some(allergen => dish.allergens.includes(allergen)))) return false;
+        if (criteria.spice) {
+            if (typeof dish.spiceLevel !== 'number') return false;
+            if (criteria.spice.min !== null && dish.spiceLevel < criteria.spice.min) return false;
+            if (criteria.spice.max !== null && dish.spiceLevel > criteria.spice.max) return false;
+        }
+        return true;
+    }
+
+    filterDishes(dishes, criteria) {
+        if (this.isEmpty(criteria)) return dishes;
+        return dishes.filter(dish => this.matches(dish, criteria));
+    }
+
+    // Copy of the restaurant with non-matching dishes (and emptied categories) removed
+    filterMenu(restaurant, criteria) {
+        if (this.isEmpty(criteria)) return restaurant;
+        const menu = {};
+        Object.entries(restaurant.menu || {}).forEach(([category, items]) => {
+            const allowed = this.filterDishes(items, criteria);
+            if (allowed.length) menu[category] = allowed;
+        });
+        return { ...restaurant, menu };
+    }
+
+    filterRestaurants(restaurants, criteria) {
+        if (this.isEmpty(criteria)) return restaurants;
+        return restaurants
+            .map(restaurant => this.filterMenu(restaurant, criteria))
+            .filter(restaurant => Object.keys(restaurant.menu).length > 0);
+    }
+
+    // ===== DISPLAY =====
+    // "Jain, nut-free, mild"
+    describe(criteria) {
+        if (this.isEmpty(criteria)) return '';
+        const parts = criteria.tags.map(tag => this.tags[tag]?.label || tag);
+        parts.push(...criteria.allergens.map(allergen => `${allergen === 'nuts' ? 'nut' : allergen}-free`));
+        if (criteria.spice) parts.push(this.describeSpice(criteria.spice));
+        return parts.join(', ');
+    }
+
+    describeSpice({ min, max }) {
+        if (max !== null && min === max) return this.spiceLabels[max].toLowerCase();
+        if (max !== null) return max <= 1 ? this.spiceLabels[max].toLowerCase() : 'medium or milder';
+        return min >= 3 ? 'extra spicy' : 'spicy';
+    }
+
+    // Short labels for a menu card: spice, tags, then allergens
+    badges(dish) {
+        const badges = [];
+        if (typeof dish.spiceLevel === 'number' && dish.spiceLevel > 0) {
+            badges.push({ type: 'spice', text: `${'🌶️'.repeat(dish.spiceLevel)} ${this.spiceLabels[dish.spiceLevel]}` });
+        }
+        (dish.dietaryTags || []).forEach(tag => {
+            if (this.tags[tag]) badges.push({ type: 'tag', text: this.tags[tag].badge });
+        });
+        if (Array.isArray(dish.allergens) && dish.allergens.length) {
+            badges.push({ type: 'allergen', text: `⚠️ Contains: ${dish.allergens.join(', ')}` });
+        }
+        return badges;
+    }
+}
+
+window.dietaryFilter = new DietaryFilter();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DietaryFilter;
+}
@@ -0,0 +1,122 @@
+// ===== ECO IMPACT =====
+// Scores restaurants by their sustainability attributes (packaging, cutlery
+// opt-out, local sourcing, no-plastic pledge) for eco mode, and keeps a running
+// total of the plastic each user avoided through their orders in localStorage.
+
+class EcoImpact {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'foodiebot_eco_impact';
+        this.cutleryGrams = config.cutleryGrams ?? 10;
+        this.containerGrams = config.containerGrams ?? 15;
+        this.packagingScores = { compostable: 3, recyclable: 2, plastic: 0 };
+        this.totals = this.loadTotals();
+    }
+
+    // ===== RANKING =====
+    // 0-8: compostable packaging 3, recyclable 2, local sourcing 2, no plastic 2, cutlery opt-out 1
+    score(restaurant) {
+        const eco = restaurant.sustainability;
+        if (!eco) return 0;
+        return (this.packagingScores[eco.packaging] || 0) +
+            (eco.localSourcing ? 2 : 0) +
+            (eco.noPlastic ? 2 : 0) +
+            (eco.cutleryOptOut ? 1 : 0);
+    }
+
+    // Greenest first; equal scores keep their existing order
+    rank(restaurants, getRestaurant = restaurant => restaurant) {
+        return [...restaurants].sort((a, b) => this.score(getRestaurant(b)) - this.score(getRestaurant(a)));
+    }
+
+    badges(restaurant) {
+        const eco = restaurant.sustainability;
+        if (!eco) return [];
+        const badges = [];
+        if (eco.noPlastic) badges.push('🚯 No plastic');
+        if (eco.packaging === 'compostable') badges.push('🌿 Compostable packaging');
+        if (eco.packaging === 'recyclable') badges.push('♻️ Recyclable packaging');
+        if (eco.localSourcing) badges.push('🥬 Locally sourced');
+        if (eco.cutleryOptOut) badges.push('🍴 Cutlery opt-out');
+        return badges;
+    }
+
+    // ===== PLASTIC AVOIDED =====
+    // Grams saved by one order: a cutlery set per restaurant when cutlery is
+    // declined, and a plastic container per item from non-plastic packagers.
+    // Dine-in orders use the restaurant's own plates and save nothing.
+    estimateSavings(order, restaurants) {
+        if (order.orderType === 'dine-in') return 0;
+
+        const byName = new Map(restaurants.map(restaurant => [restaurant.name, restaurant]));
+        const orderRestaurants = [...new Set(order.items.map(item => item.restaurantName))]
+            .map(name => byName.get(name))
+            .filter(Boolean);
+
+        let grams = 0;
+        if (order.noCutlery) {
+            grams += orderRestaurants.filter(restaurant => restaurant.sustainability?.cutleryOptOut).length * this.cutleryGrams;
+        }
+        order.items.forEach(item => {
+            const packaging = byName.get(item.restaurantName)?.sustainability?.packaging;
+            if (packaging && packaging !== 'plastic') {
+                grams += this.containerGrams * item.quantity;
+            }
+        });
+        return grams;
+    }
+
+    recordOrder(order, restaurants) {
+        const grams = this.estimateSavings(order, restaurants);
+        const userId = this.getUserId();
+        const total = this.totals[userId] || { grams: 0, orders: 0 };
+
+        this.totals[userId] = {
+            grams: total.grams + grams,
+            orders: total.orders + (grams > 0 ? 1 : 0),
+            updatedAt: new Date().toISOString()
+        };
+        this.saveTotals();
+        return grams;
+    }
+
+    getTotal() {
+        return this.totals[this.getUserId()] || { grams: 0, orders: 0 };
+    }
+
+    // Same visitor id as the API client; 'guest' before one is assigned
+    getUserId() {
+        try {
+            return localStorage.getItem('foodiebot_user_id') || 'guest';
+        } catch (error) {
+            return 'guest';
+        }
+    }
+
+    formatGrams(grams) {
+        return grams >= 1000 ? `${(grams / 1000).toFixed(1)} kg` : `${grams} g`;
+    }
+
+    loadTotals() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading eco impact:', error);
+            return {};
+        }
+    }
+
+    saveTotals() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.totals));
+        } catch (error) {
+            console.error('Error saving eco impact:', error);
+        }
+    }
+}
+
+window.ecoImpact = new EcoImpact(window.appConfig?.eco);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EcoImpact;
+}
@@ -0,0 +1,196 @@
+// ===== EXCLUSION FILTER =====
+// Reads negations such as "biryani but not chicken", "without onion or garlic"
+// and "no seafood" into ingredient groups, and removes matching dishes from
+// search results. Dishes are checked against their allergens, dietary tags and
+// spice level where the menu lists them, otherwise by name, description and
+// ingredients; the chat engine keeps the active groups for the conversation.
+
+class ExclusionFilter {
+    constructor(matcher) {
+        this.matcher = matcher;
+        this.groups = {
+            nonveg: { label: 'non-veg', keywords: ['nonveg', 'meat', 'meats'], veg: false },
+            chicken: { label: 'chicken', keywords: ['chicken'], terms: ['chicken'] },
+            mutton: { label: 'mutton', keywords: ['mutton', 'lamb', 'goat'], terms: ['mutton', 'lamb', 'goat'] },
+            beef: { label: 'beef', keywords: ['beef'], terms: ['beef'] },
+            pork: { label: 'pork', keywords: ['pork', 'bacon', 'ham', 'pepperoni'], terms: ['pork', 'bacon', 'ham', 'pepperoni'] },
+            egg: { label: 'egg', keywords: ['egg', 'eggs'], terms: ['egg', 'eggs'], allergen: 'egg' },
+            seafood: { label: 'seafood', keywords: ['seafood', 'fish', 'prawn', 'prawns', 'shrimp', 'crab'], terms: ['seafood', 'fish', 'prawn', 'prawns', 'shrimp', 'crab'] },
+            onion: { label: 'onion', keywords: ['onion', 'onions'], terms: ['onion', 'onions'], freeTags: ['no_onion_garlic', 'jain'] },
+            garlic: { label: 'garlic', keywords: ['garlic'], terms: ['garlic'], freeTags: ['no_onion_garlic', 'jain'] },
+            cheese: { label: 'cheese', keywords: ['cheese', 'cheesy'], terms: ['cheese', 'mozzarella'] },
+            paneer: { label: 'paneer', keywords: ['paneer'], terms: ['paneer', 'cottage cheese'] },
+            dairy: { label: 'dairy', keywords: ['dairy', 'milk', 'lactose'], terms: ['dairy', 'milk', 'cheese', 'mozzarella', 'paneer', 'butter', 'cream', 'creamy', 'ghee', 'yogurt', 'curd'], allergen: 'dairy' },
+            mushroom: { label: 'mushroom', keywords: ['mushroom', 'mushrooms'], terms: ['mushroom', 'mushrooms'] },
+            nuts: { label: 'nuts', keywords: ['nuts', 'nut', 'peanut', 'peanuts', 'cashew', 'cashews'], terms: ['nuts', 'nut', 'peanut', 'peanuts', 'cashew', 'cashews'], allergen: 'nuts' },
+            spicy: { label: 'spicy food', keywords: ['spicy', 'spice', 'chilli', 'chili'], terms: ['spicy', 'schezwan', 'chilli', 'chili', 'chilies'], minSpice: 2 }
+        };
+
+        // Words that start a negation, and words allowed between it and the groups
+        this.triggers = new Set([
+            'not', 'no', 'without', 'except', 'excluding', 'exclude', 'minus', 'avoid', 'skip',
+            'hold', 'nothing', 'never', 'dont', 'hate', 'zero'
+        ]);
+        this.connectors = new Set([
+            'or', 'and', 'nor', 'any', 'anything', 'with', 'also', 'want', 'like', 'eat', 'include',
+            'contain', 'containing', 'have', 'having', 'either', 'even', 'of', 'the', 'a', 'to', 'too', 'very', 'so', 'more'
+        ]);
+        this.includeTriggers = new Set(['include', 'allow', 'back']);
+    }
+
+    // ===== PARSING =====
+    // { add, remove, clear, text }: groups to exclude, groups allowed again, whether
+    // every filter should be dropped, and the message with the negations removed
+    parse(message) {
+        const words = this.normalize(message).split(' ').filter(Boolean);
+        const consumed = new Set();
+        const add = [];
+        const remove = [];
+
+        words.forEach((word, index) => {
+            const isExclusion = this.triggers.has(word);
+            const isInclusion = this.includeTriggers.has(word);
+            if (!isExclusion && !isInclusion) return;
+
+            const { groups, end } = this.readGroups(words, index + 1);
+            if (groups.length === 0) return;
+
+            (isExclusion ? add : remove).push(...groups);
+            for (let i = index; i < end; i++) consumed.add(i);
+            // "biryani but not chicken": the "but" goes too
+            if (isExclusion && words[index - 1] === 'but') consumed.add(index - 1);
+        });
+
+        // "onion-free", "dairy free"
+        words.forEach((word, index) => {
+            if (words[index + 1] !== 'free') return;
+            const group = this.findGroup(word);
+            if (!group) return;
+            add.push(group);
+            consumed.add(index);
+            consumed.add(index + 1);
+        });
+
+        // "chicken is fine", "egg is ok"
+        words.forEach((word, index) => {
+            if (words[index + 1] !== 'is' || !['fine', 'ok', 'okay'].includes(words[index + 2])) return;
+            const group = this.findGroup(word);
+            if (!group) return;
+            remove.push(group);
+            [index, index + 1, index + 2].forEach(i => consumed.add(i));
+        });
+
+        const clear = /\b(clear|reset|remove|drop|forget)( all)?( my| the)? (filters?|exclusions?|restrictions?)\b|\bshow (me )?everything\b|\bi eat everything\b/.test(words.join(' '));
+
+        return {
+            add: [...new Set(add)].filter(group => !remove.includes(group)),
+            remove: [...new Set(remove)],
+            clear,
+            text: words.filter((word, index) => !consumed.has(index)).join(' ')
+        };
+    }
+
+    // Consecutive groups after a trigger ("onion or garlic"), skipping connectors
+    readGroups(words, start) {
+        const groups = [];
+        let end = start;
+        for (let i = start; i < words.length; i++) {
+            const group = this.findGroup(words[i]);
+            if (group) {
+                groups.push(group);
+                end = i + 1;
+            } else if (!this.connectors.has(words[i])) {
+                break;
+            }
+        }
+        return { groups, end };
+    }
+
+    findGroup(word) {
+        const exact = Object.keys(this.groups).find(key => this.groups[key].keywords.includes(word));
+        if (exact) return exact;
+
+        // Typos: "chiken", "garlik"
+        let best = null;
+        let bestScore = 0;
+        Object.entries(this.groups).forEach(([key, group]) => {
+            group.keywords.forEach(keyword => {
+                const score = this.matcher.tokenSimilarity(word, keyword);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = key;
+                }
+            });
+        });
+        return best;
+    }
+
+    normalize(message) {
+        return message
+            .toLowerCase()
+            .replace(/\bnon[\s-]?(veg|vegetarian)\b/g, 'nonveg')
+            .replace(/\bsea food\b/g, 'seafood')
+            .replace(/\b(don'?t|do not)\b/g, 'dont')
+            .replace(/(\w)-free\b/g, '$1 free')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // ===== FILTERING =====
+    excludes(dish, groupKey) {
+        const group = this.groups[groupKey];
+        if (!group) return false;
+        if (group.veg !== undefined) return dish.veg === group.veg;
+
+        // Structured menu data wins over guessing from the dish text
+        if (group.allergen && Array.isArray(dish.allergens)) return dish.allergens.includes(group.allergen);
+        if (group.freeTags && Array.isArray(dish.dietaryTags)) return !group.freeTags.some(tag => dish.dietaryTags.includes(tag));
+        if (group.minSpice && typeof dish.spiceLevel === 'number') return dish.spiceLevel >= group.minSpice;
+
+        const text = ` ${this.matcher.normalize([dish.name, dish.description, ...(dish.ingredients || [])].join(' '))} `;
+        return group.terms.some(term => text.includes(` ${term} `));
+    }
+
+    isAllowed(dish, exclusions) {
+        return !exclusions.some(groupKey => this.excludes(dish, groupKey));
+    }
+
+    filterDishes(dishes, exclusions) {
+        if (!exclusions.length) return dishes;
+        return dishes.filter(dish => this.isAllowed(dish, exclusions));
+    }
+
+    // Copy of the restaurant with excluded dishes (and emptied categories) removed
+    filterMenu(restaurant, exclusions) {
+        if (!exclusions.length) return restaurant;
+        const menu = {};
+        Object.entries(restaurant.menu || {}).forEach(([category, items]) => {
+            const allowed = this.filterDishes(items, exclusions);
+            if (allowed.length) menu[category] = allowed;
+        });
+        return { ...restaurant, menu };
+    }
+
+    // Restaurants that still have something to offer, with filtered menus
+    filterRestaurants(restaurants, exclusions) {
+        if (!exclusions.length) return restaurants;
+        return restaurants
+            .map(restaurant => this.filterMenu(restaurant, exclusions))
+            .filter(restaurant => Object.keys(restaurant.menu).length > 0);
+    }
+
+    // "chicken, onion and garlic"
+    describe(exclusions) {
+        const labels = exclusions.map(groupKey => this.groups[groupKey]?.label || groupKey);
+        if (labels.length <= 1) return labels.join('');
+        return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+    }
+}
+
+window.exclusionFilter = new ExclusionFilter(window.fuzzyMatcher);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExclusionFilter;
+}
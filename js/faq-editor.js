@@ -0,0 +1,214 @@
+// ===== RESTAURANT FAQ EDITOR (FOR OWNERS) =====
+
+class FAQEditor {
+    constructor(knowledgeBase) {
+        this.knowledgeBase = knowledgeBase;
+        this.restaurantId = null;
+        this.init();
+    }
+
+    init() {
+        document.getElementById('faqEditorBtn')?.classList.remove('hidden');
+        this.bindEvents();
+        this.populateRestaurantDropdown();
+    }
+
+    bindEvents() {
+        document.getElementById('faqEditorBtn')?.addEventListener('click', () => {
+            this.show();
+        });
+
+        document.getElementById('faqRestaurantSelect')?.addEventListener('change', (event) => {
+            this.selectRestaurant(event.target.value ? parseInt(event.target.value) : null);
+        });
+
+        document.getElementById('faqAddBtn')?.addEventListener('click', () => {
+            this.openForm(null);
+        });
+
+        document.getElementById('faqSaveBtn')?.addEventListener('click', () => {
+            this.saveForm();
+        });
+
+        document.getElementById('faqResetBtn')?.addEventListener('click', () => {
+            this.resetEntries();
+        });
+
+        // Edit and delete buttons are rebuilt with the list
+        document.getElementById('faqEntries')?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-entry-id]');
+            if (!button) return;
+            if (button.dataset.faqAction === 'edit') {
+                this.openForm(button.dataset.entryId);
+            } else if (button.dataset.faqAction === 'delete') {
+                this.deleteEntry(button.dataset.entryId);
+            }
+        });
+    }
+
+    show() {
+        document.getElementById('faqEditorModal').classList.remove('hidden');
+        const select = document.getElementById('faqRestaurantSelect');
+        // Owners scanning in at their own restaurant start with it selected
+        const qrRestaurant = window.qrCodeSystem?.getCurrentRestaurant();
+        if (qrRestaurant && !select.value) {
+            select.value = qrRestaurant.id;
+        }
+        this.selectRestaurant(select.value ? parseInt(select.value) : null);
+    }
+
+    populateRestaurantDropdown() {
+        const select = document.getElementById('faqRestaurantSelect');
+        if (!select) return;
+
+        const render = (restaurants) => {
+            const selected = select.value;
+            select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+            restaurants.forEach(restaurant => {
+                const option = document.createElement('option');
+                option.value = restaurant.id;
+                option.textContent = `${restaurant.name} (${restaurant.location})`;
+                select.appendChild(option);
+            });
+            select.value = selected;
+        };
+
+        window.restaurantRepository.getRestaurants()
+            .then(render)
+            .catch(error => console.error('Error loading restaurants for FAQ editor:', error));
+        window.restaurantRepository.subscribe(render);
+    }
+
+    selectRestaurant(restaurantId) {
+        this.restaurantId = restaurantId;
+        document.getElementById('faqAddBtn').disabled = !restaurantId;
+        document.getElementById('faqResetBtn').disabled = !restaurantId || !this.knowledgeBase.isEdited(restaurantId);
+        this.closeForm();
+        this.renderEntries();
+    }
+
+    getRestaurant() {
+        return window.restaurantRepository.getRestaurantById(this.restaurantId);
+    }
+
+    // Built with textContent: questions and answers are owner-typed text
+    renderEntries() {
+        const container = document.getElementById('faqEntries');
+        container.innerHTML = '';
+
+        const restaurant = this.getRestaurant();
+        if (!restaurant) {
+            container.innerHTML = '<p class="faq-empty">Select a restaurant to see its FAQ entries and policies.</p>';
+            return;
+        }
+
+        const entries = this.knowledgeBase.getEntries(restaurant);
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="faq-empty">No entries yet. Add the questions your customers ask most.</p>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'faq-entry';
+
+            const text = document.createElement('div');
+            text.className = 'faq-entry-text';
+            const question = document.createElement('strong');
+            question.textContent = `${this.knowledgeBase.icon(entry)} ${entry.question}`;
+            const answer = document.createElement('p');
+            answer.textContent = this.knowledgeBase.fillPlaceholders(entry.answer, restaurant);
+            const keywords = document.createElement('small');
+            keywords.textContent = entry.keywords.length ? `Keywords: ${entry.keywords.join(', ')}` : 'No keywords';
+            text.append(question, answer, keywords);
+
+            const actions = document.createElement('div');
+            actions.className = 'faq-entry-actions';
+            actions.append(this.createButton('edit', 'fa-pen', 'Edit', entry.id), this.createButton('delete', 'fa-trash', 'Delete', entry.id));
+
+            item.append(text, actions);
+            container.appendChild(item);
+        });
+    }
+
+    createButton(action, icon, title, entryId) {
+        const button = document.createElement('button');
+        button.className = 'faq-entry-btn';
+        button.title = title;
+        button.dataset.faqAction = action;
+        button.dataset.entryId = entryId;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        return button;
+    }
+
+    // ===== ENTRY FORM =====
+    openForm(entryId) {
+        const entry = this.knowledgeBase.getEntries(this.getRestaurant()).find(existing => existing.id === entryId);
+
+        document.getElementById('faqFormTitle').textContent = entry ? 'Edit Entry' : 'Add an Entry';
+        document.getElementById('faqEntryId').value = entry?.id || '';
+        document.getElementById('faqQuestion').value = entry?.question || '';
+        document.getElementById('faqAnswer').value = entry?.answer || '';
+        document.getElementById('faqKeywords').value = entry?.keywords.join(', ') || '';
+        document.getElementById('faqType').value = entry?.type || 'faq';
+
+        document.getElementById('faqEntryForm').classList.remove('hidden');
+        document.getElementById('faqSaveBtn').classList.remove('hidden');
+        document.getElementById('faqQuestion').focus();
+    }
+
+    closeForm() {
+        document.getElementById('faqEntryForm').classList.add('hidden');
+        document.getElementById('faqSaveBtn').classList.add('hidden');
+    }
+
+    saveForm() {
+        const result = this.knowledgeBase.saveEntry(this.restaurantId, {
+            id: document.getElementById('faqEntryId').value || null,
+            question: document.getElementById('faqQuestion').value,
+            answer: document.getElementById('faqAnswer').value,
+            keywords: document.getElementById('faqKeywords').value,
+            type: document.getElementById('faqType').value
+        });
+
+        if (!result.success) {
+            this.showNotification(result.message, 'error');
+            return;
+        }
+        this.showNotification('FAQ entry saved.', 'success');
+        this.selectRestaurant(this.restaurantId);
+    }
+
+    deleteEntry(entryId) {
+        if (!confirm('Delete this FAQ entry?')) return;
+        if (this.knowledgeBase.deleteEntry(this.restaurantId, entryId)) {
+            this.showNotification('FAQ entry deleted.', 'success');
+        }
+        this.selectRestaurant(this.restaurantId);
+    }
+
+    resetEntries() {
+        if (!confirm('Discard your edits and restore the original FAQ entries?')) return;
+        this.knowledgeBase.resetEntries(this.restaurantId);
+        this.showNotification('Original FAQ entries restored.', 'info');
+        this.selectRestaurant(this.restaurantId);
+    }
+
+    showNotification(message, type) {
+        if (window.paymentService) {
+            window.paymentService.showNotification(message, type);
+        }
+    }
+}
+
+// Initialize FAQ editor when DOM is ready, on the owners' page only
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.appConfig?.faq?.ownerMode) {
+        window.faqEditor = new FAQEditor(window.faqKnowledgeBase);
+    }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FAQEditor;
+}
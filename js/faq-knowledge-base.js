@@ -0,0 +1,190 @@
+// ===== RESTAURANT FAQ KNOWLEDGE BASE =====
+// Each restaurant carries its own FAQ entries and policies (parking, payment,
+// cancellations...) in the catalog. Questions are answered from the restaurant
+// being talked about, matched by keywords and by similarity to the entry's
+// question. Answers can use {placeholders} for catalog facts such as {hours},
+// so they never drift from the listing. Owners edit entries from the FAQ
+// editor; edits are kept on this device and sent to the API when configured.
+
+class FAQKnowledgeBase {
+    constructor(repository, matcher, config = {}) {
+        this.repository = repository;
+        this.matcher = matcher;
+        this.source = config.source || 'local';
+        this.endpoint = config.endpoint || '/api/restaurants/{id}/faq';
+        this.storageKey = config.storageKey || 'foodiebot_faq_edits';
+        this.minScore = config.minScore ?? 0.6;
+        this.types = { faq: 'ℹ️', policy: '📜' };
+
+        this.edits = this.loadEdits();
+    }
+
+    // ===== ENTRIES =====
+    // The owner's edited list when there is one, otherwise the catalog's
+    getEntries(restaurant) {
+        if (!restaurant) return [];
+        return this.edits[restaurant.id] || restaurant.faq || [];
+    }
+
+    isEdited(restaurantId) {
+        return Boolean(this.edits[restaurantId]);
+    }
+
+    // { id, type, question, keywords, answer }; question and answer are required
+    normalizeEntry(entry) {
+        const question = String(entry.question || '').trim();
+        const answer = String(entry.answer || '').trim();
+        if (!question || !answer) return null;
+
+        const keywords = (Array.isArray(entry.keywords) ? entry.keywords : String(entry.keywords || '').split(','))
+            .map(keyword => keyword.trim().toLowerCase())
+            .filter(Boolean);
+        return {
+            id: entry.id || `faq-${Date.now().toString(36)}`,
+            type: this.types[entry.type] ? entry.type : 'faq',
+            question,
+            keywords: [...new Set(keywords)],
+            answer
+        };
+    }
+
+    // Adds the entry, or replaces the one with the same id
+    saveEntry(restaurantId, entry) {
+        const restaurant = this.repository.getRestaurantById(restaurantId);
+        const normalized = this.normalizeEntry(entry);
+        if (!restaurant || !normalized) {
+            return { success: false, message: 'A question and an answer are both required.' };
+        }
+
+        const entries = [...this.getEntries(restaurant)];
+        const index = entries.findIndex(existing => existing.id === normalized.id);
+        if (index === -1) {
+            entries.push(normalized);
+        } else {
+            entries[index] = normalized;
+        }
+        this.setEntries(restaurant.id, entries);
+        return { success: true, entry: normalized };
+    }
+
+    deleteEntry(restaurantId, entryId) {
+        const restaurant = this.repository.getRestaurantById(restaurantId);
+        if (!restaurant) return false;
+        const entries = this.getEntries(restaurant);
+        if (!entries.some(entry => entry.id === entryId)) return false;
+        this.setEntries(restaurant.id, entries.filter(entry => entry.id !== entryId));
+        return true;
+    }
+
+    // Drops the owner's edits and goes back to the catalog's entries
+    resetEntries(restaurantId) {
+        delete this.edits[restaurantId];
+        this.saveEdits();
+        const restaurant = this.repository.getRestaurantById(restaurantId);
+        this.sync(restaurantId, restaurant?.faq || []);
+    }
+
+    setEntries(restaurantId, entries) {
+        this.edits[restaurantId] = entries;
+        this.saveEdits();
+        this.sync(restaurantId, entries);
+    }
+
+    // Sends the restaurant's entries to the API; the local copy is kept either way
+    async sync(restaurantId, entries) {
+        if (this.source !== 'api') return;
+        try {
+            const response = await fetch(this.endpoint.replace('{id}', restaurantId), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ faq: entries })
+            });
+            if (!response.ok) {
+                throw new Error(`API Error: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Error syncing FAQ entries:', error);
+        }
+    }
+
+    // ===== RETRIEVAL =====
+    // { entry, score, answer } best matching question for the restaurant, or null
+    answer(question, restaurant) {
+        const [best] = this.rank(question, restaurant);
+        if (!best) return null;
+        return { ...best, answer: this.fillPlaceholders(best.entry.answer, restaurant) };
+    }
+
+    rank(question, restaurant) {
+        const tokens = this.matcher.tokenize(question);
+        return this.getEntries(restaurant)
+            .map(entry => ({ entry, score: this.score(question, tokens, entry) }))
+            .filter(result => result.score >= this.minScore)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // A keyword hit is strong evidence (more hits, more so); otherwise the
+    // question has to read like the entry's own question
+    score(question, tokens, entry) {
+        const hits = entry.keywords.filter(keyword => this.matcher.containsKeyword(tokens, keyword)).length;
+        const keywordScore = hits ? Math.min(1, 0.7 + 0.1 * (hits - 1)) : 0;
+        const similarity = this.matcher.score(question, entry.question);
+        return Math.round(Math.max(keywordScore, similarity) * 100) / 100;
+    }
+
+    // Restaurants whose full name appears in the question (typos allowed)
+    findMentionedRestaurants(question, restaurants) {
+        const tokens = this.matcher.contentTokens(question);
+        return restaurants.filter(restaurant =>
+            this.matcher.coverage(this.matcher.contentTokens(restaurant.name), tokens) >= 0.9);
+    }
+
+    fillPlaceholders(text, restaurant) {
+        const hours = restaurant.openingHours;
+        const facts = {
+            name: restaurant.name,
+            location: restaurant.location,
+            distance: restaurant.distance,
+            hours: hours ? `${this.formatTime(hours.open)} - ${this.formatTime(hours.close)}` : 'during the usual hours',
+            deliveryTime: restaurant.deliveryTime,
+            deliveryFee: restaurant.deliveryFee,
+            maxPartySize: restaurant.seating?.maxPartySize
+        };
+        return text.replace(/\{(\w+)\}/g, (placeholder, key) => facts[key] ?? placeholder);
+    }
+
+    formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const suffix = hours >= 12 ? 'PM' : 'AM';
+        return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+    }
+
+    icon(entry) {
+        return this.types[entry.type] || this.types.faq;
+    }
+
+    // ===== STORAGE =====
+    loadEdits() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading FAQ edits:', error);
+            return {};
+        }
+    }
+
+    saveEdits() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.edits));
+        } catch (error) {
+            console.error('Error saving FAQ edits:', error);
+        }
+    }
+}
+
+window.faqKnowledgeBase = new FAQKnowledgeBase(window.restaurantRepository, window.fuzzyMatcher, window.appConfig?.faq);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FAQKnowledgeBase;
+}
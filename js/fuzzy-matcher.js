@@ -0,0 +1,166 @@
+// ===== FUZZY MATCHING FOR DISH & RESTAURANT LOOKUPS =====
+// Typo-tolerant matching shared by every lookup path in the chat engine.
+// Scores combine per-token edit distance with token overlap in both
+// directions, so "chiken biriyani" finds "Chicken Biryani" and
+// "paneer butter" finds "Paneer Butter Masala".
+
+class FuzzyMatcher {
+    constructor(options = {}) {
+        this.minScore = options.minScore ?? 0.6;
+        this.minTokenSimilarity = options.minTokenSimilarity ?? 0.75;
+        this.ambiguityMargin = options.ambiguityMargin ?? 0.06;
+        this.stopWords = new Set([
+            'a', 'an', 'the', 'i', 'me', 'my', 'we', 'us', 'to', 'of', 'and', 'or', 'with', 'for',
+            'some', 'please', 'pls', 'want', 'need', 'would', 'like', 'add', 'get', 'give',
+            'order', 'buy', 'can', 'you', 'show', 'find', 'is', 'it', 'do', 'have', 'from', 'at', 'in'
+        ]);
+    }
+
+    // ===== NORMALIZATION =====
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/\(.*?\)/g, ' ')      // "Idli (2pcs)" -> "idli"
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    tokenize(text) {
+        const normalized = this.normalize(text);
+        return normalized ? normalized.split(' ') : [];
+    }
+
+    contentTokens(text) {
+        return this.tokenize(text).filter(token => !this.stopWords.has(token) && !/^\d+$/.test(token));
+    }
+
+    // ===== DISTANCE =====
+    levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + cost
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    tokenSimilarity(a, b) {
+        if (a === b) return 1;
+        // Short words ("veg", "dal", "rice") must match exactly to avoid noise
+        if (Math.min(a.length, b.length) <= 4) return 0;
+        const similarity = 1 - this.levenshtein(a, b) / Math.max(a.length, b.length);
+        return similarity >= this.minTokenSimilarity ? similarity : 0;
+    }
+
+    // Average best similarity of each "from" token against any "to" token
+    coverage(fromTokens, toTokens) {
+        if (fromTokens.length === 0 || toTokens.length === 0) return 0;
+        const total = fromTokens.reduce((sum, from) =>
+            sum + Math.max(...toTokens.map(to => this.tokenSimilarity(from, to))), 0);
+        return total / fromTokens.length;
+    }
+
+    // ===== SCORING =====
+    score(query, candidateText) {
+        // Stop words in a candidate ("track an order") would only dilute its coverage
+        const allTokens = this.tokenize(candidateText);
+        const meaningful = allTokens.filter(token => !this.stopWords.has(token));
+        const candidateTokens = meaningful.length ? meaningful : allTokens;
+        const queryTokens = this.contentTokens(query);
+        if (candidateTokens.length === 0 || queryTokens.length === 0) return 0;
+
+        // How much of the candidate name the user typed, and how much of what
+        // the user typed is explained by this candidate
+        const candidateCoverage = this.coverage(candidateTokens, queryTokens);
+        if (candidateCoverage === 0) return 0;
+        const queryCoverage = this.coverage(queryTokens, candidateTokens);
+
+        return 0.7 * candidateCoverage + 0.3 * queryCoverage;
+    }
+
+    rank(query, candidates, getText = candidate => candidate.name, minScore = this.minScore) {
+        return candidates
+            .map(item => ({ item, score: this.score(query, getText(item)) }))
+            .filter(result => result.score >= minScore)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Best match plus any close runners-up that make the result ambiguous
+    match(query, candidates, getText = candidate => candidate.name, minScore = this.minScore) {
+        const ranked = this.rank(query, candidates, getText, minScore);
+        if (ranked.length === 0) {
+            return { best: null, score: 0, ambiguous: false, alternatives: [] };
+        }
+
+        const top = ranked[0];
+        const alternatives = ranked
+            .filter(result => top.score - result.score <= this.ambiguityMargin)
+            .slice(0, 3)
+            .map(result => result.item);
+
+        return {
+            best: top.item,
+            score: top.score,
+            ambiguous: alternatives.length > 1 && top.score < 1,
+            alternatives
+        };
+    }
+
+    // Fuzzy keyword test used by category/cuisine detection
+    containsKeyword(tokens, keyword) {
+        const keywordTokens = this.tokenize(keyword);
+        const messageTokens = tokens.map(token => this.normalize(token)).filter(Boolean);
+        return keywordTokens.length > 0 &&
+            keywordTokens.every(kt => messageTokens.some(mt => this.tokenSimilarity(kt, mt) > 0));
+    }
+
+    // ===== CLARIFICATION =====
+    // Resolve a reply to "Did you mean A or B?" into one of the options
+    resolveChoice(reply, options, getText = option => option.name) {
+        const normalized = this.normalize(reply);
+        const ordinals = {
+            'first': 0, '1': 0, '1st': 0, 'one': 0, 'yes': 0, 'yeah': 0, 'yep': 0,
+            'second': 1, '2': 1, '2nd': 1, 'two': 1,
+            'third': 2, '3': 2, '3rd': 2, 'three': 2
+        };
+
+        for (const token of normalized.split(' ')) {
+            if (token in ordinals && ordinals[token] < options.length) {
+                return options[ordinals[token]];
+            }
+        }
+        if (/\b(last|latter)\b/.test(normalized)) {
+            return options[options.length - 1];
+        }
+
+        const result = this.match(reply, options, getText);
+        return result.best && !result.ambiguous ? result.best : null;
+    }
+
+    // Join options as "A, B or C" for clarification questions
+    formatChoices(options, getText = option => option.name) {
+        const labels = options.map(getText);
+        if (labels.length <= 1) return labels.join('');
+        return `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`;
+    }
+}
+
+window.fuzzyMatcher = new FuzzyMatcher();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FuzzyMatcher;
+}
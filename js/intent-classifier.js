@@ -0,0 +1,193 @@
+// ===== INTENT CLASSIFIER =====
+// One classifier for every chat engine, trained at load time from the labelled
+// utterances in data/intents.json. Messages are compared to each utterance by
+// TF-IDF cosine similarity over words and word pairs; an intent's confidence is
+// its best-matching utterance. Adding an intent only needs a new entry in the
+// JSON file (with an optional canned "response" for intents no handler knows).
+
+class IntentClassifier {
+    constructor(config = {}) {
+        this.url = config.url || './data/intents.json';
+        this.minConfidence = config.minConfidence ?? 0.5;
+        this.clarifyMargin = config.clarifyMargin ?? 0.08;
+        this.clarifyFloor = config.clarifyFloor ?? 0.3;
+        this.matcher = window.fuzzyMatcher;
+
+        this.intents = {};
+        this.examples = [];
+        this.idf = new Map();
+        this.loaded = false;
+        this.loadPromise = null;
+    }
+
+    // ===== TRAINING =====
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Intent data unavailable: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.train(data.intents || {});
+                    return this.intents;
+                })
+                .catch(error => {
+                    // Allow a later call to retry instead of caching the failure
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    train(intents) {
+        this.intents = intents;
+        const documents = [];
+        Object.entries(intents).forEach(([intent, definition]) => {
+            (definition.utterances || []).forEach(utterance => {
+                documents.push({ intent, features: this.extractFeatures(utterance) });
+            });
+        });
+
+        // Inverse document frequency: rare words say more about the intent
+        const documentFrequency = new Map();
+        documents.forEach(({ features }) => {
+            new Set(features).forEach(feature => {
+                documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+            });
+        });
+        this.idf = new Map();
+        documentFrequency.forEach((count, feature) => {
+            this.idf.set(feature, Math.log((documents.length + 1) / (count + 1)) + 1);
+        });
+        this.vocabulary = [...this.idf.keys()].filter(feature => !feature.includes(' '));
+
+        this.examples = documents.map(({ intent, features }) => ({ intent, vector: this.vectorize(features) }));
+        this.loaded = true;
+    }
+
+    extractFeatures(text) {
+        const tokens = this.matcher.tokenize(text);
+        const bigrams = tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`);
+        return [...tokens, ...bigrams];
+    }
+
+    vectorize(features) {
+        const vector = new Map();
+        features.forEach(feature => {
+            const idf = this.idf.get(feature);
+            if (idf === undefined) return;
+            vector.set(feature, (vector.get(feature) || 0) + idf);
+        });
+        return vector;
+    }
+
+    // ===== CLASSIFICATION =====
+    // All intents with any similarity, best first: [{ intent, confidence }]
+    classify(text) {
+        if (!this.loaded) return [];
+
+        const features = this.extractFeatures(this.correctTypos(text));
+        const query = this.vectorize(features);
+        if (query.size === 0) return [];
+
+        const best = new Map();
+        this.examples.forEach(({ intent, vector }) => {
+            const similarity = this.cosine(query, vector);
+            if (similarity > (best.get(intent) || 0)) {
+                best.set(intent, similarity);
+            }
+        });
+
+        return [...best.entries()]
+            .map(([intent, confidence]) => ({ intent, confidence: Math.round(confidence * 100) / 100 }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    // Top intent plus whether it is certain enough to act on
+    predict(text) {
+        const ranked = this.classify(text);
+        const [top, second] = ranked;
+
+        if (!top || top.confidence < this.clarifyFloor) {
+            return { intent: 'general', confidence: top ? top.confidence : 0, ranked, needsClarification: false, options: [] };
+        }
+
+        const options = ranked
+            .filter(result => result.confidence >= this.clarifyFloor && top.confidence - result.confidence < this.clarifyMargin)
+            .slice(0, 3);
+        const tooClose = second && options.length > 1;
+
+        return {
+            intent: top.intent,
+            confidence: top.confidence,
+            ranked,
+            needsClarification: top.confidence < this.minConfidence || tooClose,
+            options: options.length > 1 ? options : [top]
+        };
+    }
+
+    // Replace misspelled words with the closest word the classifier knows
+    correctTypos(text) {
+        return this.matcher.tokenize(text).map(token => {
+            if (this.idf.has(token)) return token;
+            let bestToken = token;
+            let bestScore = 0;
+            this.vocabulary.forEach(known => {
+                const score = this.matcher.tokenSimilarity(token, known);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestToken = known;
+                }
+            });
+            return bestToken;
+        }).join(' ');
+    }
+
+    cosine(a, b) {
+        let dot = 0;
+        a.forEach((value, feature) => {
+            if (b.has(feature)) dot += value * b.get(feature);
+        });
+        if (dot === 0) return 0;
+        return dot / (this.norm(a) * this.norm(b));
+    }
+
+    norm(vector) {
+        let sum = 0;
+        vector.forEach(value => { sum += value * value; });
+        return Math.sqrt(sum);
+    }
+
+    // ===== INTENT METADATA =====
+    getDescription(intent) {
+        return this.intents[intent]?.description || intent.replace(/_/g, ' ');
+    }
+
+    // Canned reply for intents that only exist in the data file
+    getResponse(intent) {
+        return this.intents[intent]?.response || null;
+    }
+
+    // "Do you want to track an order or ask about delivery times or charges?"
+    clarificationQuestion(options) {
+        const descriptions = options.map(option => this.getDescription(option.intent));
+        if (descriptions.length === 1) {
+            return `Sorry, I'm not quite sure - did you want to ${descriptions[0]}? 🤔`;
+        }
+        return `Just to be sure - do you want to ${this.matcher.formatChoices(descriptions, description => description)}? 🤔`;
+    }
+}
+
+window.intentClassifier = new IntentClassifier(window.appConfig?.intents);
+window.intentClassifier.load().catch(error => {
+    console.error('Error loading intent data:', error);
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntentClassifier;
+}
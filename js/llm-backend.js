@@ -0,0 +1,201 @@
+// ===== LANGUAGE MODEL BACKEND =====
+// Answers free-form questions the rule engine has no handler for by sending
+// the conversation, plus the catalog snippets that matter for the question, to
+// a chat-completions endpoint. The model is told to answer only from those
+// snippets, so prices and dishes always come from our own data. Which backend
+// is used is decided by a swappable adapter; with none configured (or the
+// endpoint down) the chat engine keeps its rule-based replies.
+
+// ===== ADAPTERS =====
+// Any OpenAI-compatible chat-completions endpoint (tools/llm-stub-server.js is a
+// local one). Use a same-origin path or proxy; the page's CSP blocks other hosts
+class OpenAICompatibleAdapter {
+    constructor(config = {}) {
+        this.name = 'openai';
+        this.endpoint = config.endpoint || '/v1/chat/completions';
+        this.model = config.model || 'gpt-4o-mini';
+        this.apiKey = config.apiKey || '';
+        this.temperature = config.temperature ?? 0.2;
+        this.maxTokens = config.maxTokens ?? 300;
+        this.stream = config.stream !== false;
+        this.timeoutMs = config.timeoutMs ?? 8000;
+    }
+
+    // Async iterable of answer tokens. Throws while connecting (network error,
+    // timeout, non-2xx) so the caller can fall back before anything is shown
+    async open(messages) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    messages,
+                    temperature: this.temperature,
+                    max_tokens: this.maxTokens,
+                    stream: this.stream
+                }),
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+        if (!response.ok) {
+            throw new Error(`LLM API Error: ${response.status}`);
+        }
+
+        if (!this.stream || !response.body) {
+            const data = await response.json();
+            const text = data.choices?.[0]?.message?.content || '';
+            return (async function* () { yield text; })();
+        }
+        return this.readEvents(response.body);
+    }
+
+    // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+    async *readEvents(body) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const payload = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !payload) continue;
+                if (payload === '[DONE]') return;
+                // One garbled chunk costs a token, not the whole answer
+                let chunk;
+                try {
+                    chunk = JSON.parse(payload);
+                } catch (error) {
+                    console.error('Skipping unreadable stream chunk:', error);
+                    continue;
+                }
+                const token = chunk.choices?.[0]?.delta?.content;
+                if (token) yield token;
+            }
+        }
+    }
+}
+
+class DisabledAdapter {
+    constructor() {
+        this.name = 'none';
+    }
+
+    async open() {
+        throw new Error('No language model configured');
+    }
+}
+
+// ===== BACKEND =====
+class LanguageModelBackend {
+    constructor(matcher, config = {}) {
+        this.matcher = matcher;
+        this.adapter = config.adapter === 'openai' ? new OpenAICompatibleAdapter(config) : new DisabledAdapter();
+        this.maxDishes = config.maxDishes ?? 8;
+        this.historyTurns = config.historyTurns ?? 6;
+        this.retryAfterMs = (config.retryAfterSeconds ?? 60) * 1000;
+        this.unavailableUntil = 0;
+    }
+
+    // Configured, and not recently found unreachable
+    isAvailable() {
+        return this.adapter.name !== 'none' && Date.now() >= this.unavailableUntil;
+    }
+
+    // Async iterable of tokens answering question, or throws when the backend
+    // can't be reached (after which it is skipped for retryAfterSeconds)
+    async ask(question, history, restaurants, selectedRestaurant = null) {
+        try {
+            return await this.adapter.open(this.buildMessages(question, history, restaurants, selectedRestaurant));
+        } catch (error) {
+            this.unavailableUntil = Date.now() + this.retryAfterMs;
+            throw error;
+        }
+    }
+
+    // ===== PROMPT =====
+    buildMessages(question, history, restaurants, selectedRestaurant) {
+        const system = [
+            'You are FoodieBot, a friendly food-ordering assistant.',
+            'Answer ONLY from the catalog below. Quote prices and ratings exactly as given.',
+            'If the answer is not in the catalog, say you don\'t know and suggest asking about restaurants, menus or prices.',
+            'Never invent dishes, restaurants, prices, offers or delivery times. Keep answers under 80 words.',
+            '',
+            'CATALOG:',
+            this.buildContext(question, restaurants, selectedRestaurant)
+        ].join('\n');
+
+        // Earlier turns as plain text (menus and cards are HTML in the history)
+        const turns = (history || [])
+            .slice(-this.historyTurns)
+            .map(entry => ({
+                role: entry.sender === 'user' ? 'user' : 'assistant',
+                content: String(entry.text || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 500)
+            }))
+            .filter(turn => turn.content);
+
+        // The question itself is usually already the last history entry
+        const last = turns[turns.length - 1];
+        if (!last || last.role !== 'user' || last.content !== question) {
+            turns.push({ role: 'user', content: question });
+        }
+        return [{ role: 'system', content: system }, ...turns];
+    }
+
+    // One line per restaurant, then the dishes the question is most likely about
+    buildContext(question, restaurants, selectedRestaurant) {
+        const lines = restaurants.map(restaurant => this.describeRestaurant(restaurant));
+        const dishes = restaurants.flatMap(restaurant =>
+            Object.values(restaurant.menu || {}).flat().map(dish => ({ ...dish, restaurant: restaurant.name })));
+
+        const mentioned = this.matcher.rank(question, restaurants,
+            restaurant => `${restaurant.name} ${restaurant.cuisines.join(' ')}`, 0.3).map(result => result.item.name);
+        if (selectedRestaurant) mentioned.push(selectedRestaurant.name);
+
+        const ranked = this.matcher.rank(question, dishes,
+            dish => `${dish.name} ${dish.category.replace('_', ' ')}`, 0.3).map(result => result.item);
+        const fromMentioned = dishes.filter(dish => mentioned.includes(dish.restaurant));
+        const relevant = [...new Set([...ranked, ...fromMentioned])].slice(0, this.maxDishes);
+
+        if (relevant.length) {
+            lines.push('', 'DISHES:', ...relevant.map(dish => this.describeDish(dish)));
+        }
+        return lines.join('\n');
+    }
+
+    describeRestaurant(restaurant) {
+        return `- ${restaurant.name} (${restaurant.location}, ${restaurant.distance}): ${restaurant.cuisines.join(', ')}; rating ${restaurant.rating}; ` +
+            `delivery ${restaurant.deliveryTime}, fee ₹${restaurant.deliveryFee}; ${restaurant.priceRange}; ` +
+            `${restaurant.isOpen === false ? 'closed now' : 'open'}${restaurant.offers?.length ? `; offers: ${restaurant.offers.join(', ')}` : ''}`;
+    }
+
+    describeDish(dish) {
+        const details = [`₹${dish.price}`, dish.veg ? 'veg' : 'non-veg', `rating ${dish.rating}`];
+        if (Array.isArray(dish.allergens) && dish.allergens.length) details.push(`contains ${dish.allergens.join(', ')}`);
+        if (dish.available === false) details.push('sold out');
+        return `- ${dish.name} (${dish.restaurant}): ${details.join('; ')}${dish.description ? ` - ${dish.description}` : ''}`;
+    }
+}
+
+window.llmBackend = new LanguageModelBackend(window.fuzzyMatcher, window.appConfig?.llm);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LanguageModelBackend,
+        OpenAICompatibleAdapter,
+        DisabledAdapter
+    };
+}
@@ -76,6 +76,11 @@ class LocationService {
                 this.selectLocationChip(e.target);
             });
         });
+
+        // "Change location" links in chat messages
+        window.actionDispatcher.register({
+            'change-location': () => this.showLocationModal()
+        });
     }
 
     showLocationModal() {
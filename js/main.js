@@ -0,0 +1,1474 @@
+// ===== FOODIEBOT MAIN FUNCTIONALITY - RESTAURANT DISCOVERY PLATFORM =====
+
+class FoodieBotApp {
+    constructor() {
+        // Initialize only if not already initialized
+        if (!window.foodieBotApp) {
+            this.initializeApp();
+            window.foodieBotApp = this;
+        }
+        return window.foodieBotApp;
+    }
+
+    initializeApp() {
+        this.currentOrder = [];
+        this.isTyping = false;
+        this.conversationHistory = [];
+        // Blocks that draw cards in the chat, replayed when the chat is restored
+        this.cardBlocks = ['restaurants', 'dishes', 'menu', 'order_summary'];
+        this.historyPaused = false;
+        this.selectedRestaurant = null;
+        this.currentLocation = "Nagaram, Dammiguda";
+        this.chatbotAI = null;
+        this.init();
+    }
+
+    init() {
+        this.initializeChatbotAI();
+        this.bindEvents();
+        this.bindAgentHandoff();
+        this.bindChatHistory();
+        this.bindCart();
+        this.initializeWelcome();
+        // The note about a restored cart goes under the restored chat
+        this.restoreChatHistory().then(() => this.restoreCart());
+        this.startBackgroundAnimations();
+        this.initializeTheme();
+    }
+
+    initializeChatbotAI() {
+        try {
+            if (!window.chatbotAI) {
+                this.chatbotAI = new FoodieBotAI();
+                window.chatbotAI = this.chatbotAI;
+                console.log('Chatbot AI initialized successfully');
+            } else {
+                this.chatbotAI = window.chatbotAI;
+                console.log('Using existing Chatbot AI instance');
+            }
+        } catch (error) {
+            console.error('Error initializing Chatbot AI:', error);
+            // Create a fallback instance with empty data
+            this.chatbotAI = new FoodieBotAI();
+            window.chatbotAI = this.chatbotAI;
+        }
+    }
+
+    bindEvents() {
+        // Input handling
+        const messageInput = document.getElementById('messageInput');
+        const sendBtn = document.getElementById('sendBtn');
+        const quickBtns = document.querySelectorAll('.quick-btn');
+
+        // Message input events
+        messageInput.addEventListener('input', this.handleInputChange.bind(this));
+        messageInput.addEventListener('keydown', this.handleKeyDown.bind(this));
+        
+        // Send button
+        sendBtn.addEventListener('click', () => this.sendMessage());
+        
+        // Quick action buttons
+        quickBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const message = e.target.dataset.message;
+                this.sendMessage(message);
+            });
+        });
+
+        // Header actions
+        document.getElementById('clearChat')?.addEventListener('click', this.clearChat.bind(this));
+        document.getElementById('searchNearby')?.addEventListener('click', () => {
+            this.sendMessage("Show me nearby restaurants");
+        });
+
+        // Theme toggle
+        document.getElementById('toggleTheme')?.addEventListener('click', this.toggleTheme.bind(this));
+
+        // Auto-resize textarea
+        messageInput.addEventListener('input', this.autoResizeTextarea.bind(this));
+
+        // Buttons in chat cards and messages
+        window.actionDispatcher.register({
+            'reply': (button) => this.sendReply(button),
+            'view-restaurant-menu': (button) => this.viewRestaurantMenu(Number(button.dataset.restaurantId)),
+            'add-dish': (button) => this.addDishToCart(Number(button.dataset.dishId)),
+            'toggle-menu-filter': (button) => this.toggleMenuFilter(button),
+            'open-history': () => this.showChatHistory()
+        });
+
+        // Filter buttons for restaurants
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.handleRestaurantFilter(e.target.dataset.filter);
+            });
+        });
+    }
+
+    handleInputChange(e) {
+        const input = e.target;
+        const sendBtn = document.getElementById('sendBtn');
+        const charCount = document.querySelector('.character-count');
+        
+        // Update character count
+        if (charCount) {
+            charCount.textContent = `${input.value.length}/500`;
+        }
+        
+        // Enable/disable send button
+        sendBtn.disabled = input.value.trim().length === 0;
+        
+        // Update send button opacity
+        sendBtn.style.opacity = input.value.trim().length > 0 ? '1' : '0.5';
+    }
+
+    handleKeyDown(e) {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            this.sendMessage();
+        }
+    }
+
+    autoResizeTextarea(e) {
+        const textarea = e.target;
+        textarea.style.height = 'auto';
+        textarea.style.height = Math.min(textarea.scrollHeight, 120) + 'px';
+    }
+
+    async sendMessage(message = null) {
+        const messageInput = document.getElementById('messageInput');
+        const userMessage = message || messageInput.value.trim();
+        
+        if (!userMessage) return;
+        
+        // Clear input
+        messageInput.value = '';
+        messageInput.style.height = 'auto';
+        document.getElementById('sendBtn').disabled = true;
+        document.querySelector('.character-count').textContent = '0/500';
+        
+        // Hide welcome message
+        this.hideWelcomeMessage();
+        
+        // Add user message
+        this.addMessage(userMessage, 'user');
+
+        // With a support agent on the line, messages go to them instead of the bot
+        if (window.agentHandoff?.isActive()) {
+            if (window.agentHandoff.isEndRequest(userMessage)) {
+                window.agentHandoff.end();
+            } else {
+                window.agentHandoff.sendMessage(userMessage);
+            }
+            return;
+        }
+        
+        // Show typing indicator
+        this.showTypingIndicator();
+        
+        // Get AI response
+        setTimeout(async () => {
+            const response = await this.getAIResponse(userMessage);
+            this.hideTypingIndicator();
+            this.renderResponse(response);
+        }, 1000 + Math.random() * 2000);
+    }
+
+    // text is a string, or an async iterable of tokens rendered as they arrive;
+    // name labels messages from a support agent. Text is never HTML: see
+    // js/message-formatter.js for the formatting it may carry
+    addMessage(text, sender, name = null, timestamp = new Date()) {
+        const messagesContainer = document.getElementById('messagesContainer');
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${sender}`;
+        
+        const avatar = document.createElement('div');
+        avatar.className = 'message-avatar';
+        const icons = { user: 'fa-user', agent: 'fa-headset' };
+        avatar.innerHTML = `<i class="fas ${icons[sender] || 'fa-robot'}"></i>`;
+        
+        const content = document.createElement('div');
+        content.className = 'message-content';
+        if (typeof text === 'string') {
+            content.replaceChildren(window.messageFormatter.render(text));
+        }
+        
+        const time = document.createElement('div');
+        time.className = 'message-time';
+        time.textContent = timestamp.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        
+        messageDiv.appendChild(avatar);
+        const contentWrapper = document.createElement('div');
+        if (name) {
+            const label = document.createElement('div');
+            label.className = 'message-sender';
+            label.textContent = name;
+            contentWrapper.appendChild(label);
+        }
+        contentWrapper.appendChild(content);
+        contentWrapper.appendChild(time);
+        messageDiv.appendChild(contentWrapper);
+        
+        messagesContainer.appendChild(messageDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+        if (typeof text !== 'string') {
+            return this.streamMessage(content, text, sender);
+        }
+        
+        // Add to conversation history
+        this.conversationHistory.push({
+            sender,
+            text,
+            timestamp
+        });
+        this.recordHistory({ kind: 'message', sender, text, ...(name && { name }) });
+    }
+
+    // Fills a message bubble token by token; the finished text goes into the history
+    async streamMessage(content, tokens, sender) {
+        const messagesContainer = document.getElementById('messagesContainer');
+        let text = '';
+        content.classList.add('streaming');
+        try {
+            for await (const token of tokens) {
+                text += token;
+                content.replaceChildren(window.messageFormatter.render(text));
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            }
+        } catch (error) {
+            console.error('Error streaming message:', error);
+            text += text ? ' …' : "Sorry, I lost my train of thought. Could you ask that again? 😔";
+            content.replaceChildren(window.messageFormatter.render(text));
+        }
+        content.classList.remove('streaming');
+
+        this.conversationHistory.push({
+            sender,
+            text,
+            timestamp: new Date()
+        });
+        this.recordHistory({ kind: 'message', sender, text });
+        return text;
+    }
+
+    // ===== CHAT HISTORY =====
+    recordHistory(entry) {
+        if (!this.historyPaused) {
+            window.chatHistory?.record(entry);
+        }
+    }
+
+    bindChatHistory() {
+        document.getElementById('chatHistoryBtn')?.addEventListener('click', () => {
+            this.showChatHistory();
+        });
+
+        document.getElementById('chatHistoryModal')?.addEventListener('click', (e) => {
+            const exportButton = e.target.closest('[data-export-format]');
+            if (exportButton) {
+                this.exportChat(exportButton.dataset.exportFormat);
+                return;
+            }
+            const openButton = e.target.closest('[data-conversation-id]');
+            if (openButton) {
+                this.openConversation(openButton.dataset.conversationId);
+            }
+        });
+
+        document.getElementById('historyImportInput')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importChat(await file.text());
+            }
+        });
+    }
+
+    // Draws the current conversation again after a reload
+    async restoreChatHistory() {
+        if (!window.chatHistory) return;
+        const conversation = await window.chatHistory.getConversation();
+        const entries = await window.chatHistory.getEntries();
+        if (entries.length > 0) {
+            this.renderHistory(entries, conversation?.imported === true);
+        }
+    }
+
+    // Imported transcripts may come from anyone: their cards are shown as a
+    // summary. Messages lose in-app links (and markup kept by older versions)
+    renderHistory(entries, imported = false) {
+        const messagesContainer = document.getElementById('messagesContainer');
+        messagesContainer.innerHTML = '';
+        this.conversationHistory = [];
+        this.historyPaused = true;
+
+        entries.forEach(entry => {
+            try {
+                const timestamp = new Date(entry.timestamp);
+                if (entry.kind === 'message') {
+                    this.addMessage(window.chatHistory.toPlainText(entry.text, true), entry.sender, entry.name || null, timestamp);
+                } else if (entry.kind === 'card' && !imported) {
+                    // Cards saved before blocks existed only have their action
+                    const blocks = entry.block ? [entry.block] : window.responseSchema.blocksFor(entry.action, entry.data);
+                    blocks.forEach(block => this.drawBlock(block));
+                } else {
+                    this.addHistoryNote(window.chatHistory.describeEntry(entry, false));
+                }
+            } catch (error) {
+                console.error('Error restoring chat entry:', error);
+            }
+        });
+
+        this.historyPaused = false;
+    }
+
+    addHistoryNote(text) {
+        const messagesContainer = document.getElementById('messagesContainer');
+        const note = document.createElement('div');
+        note.className = 'history-note';
+        note.textContent = text;
+        messagesContainer.appendChild(note);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    async showChatHistory() {
+        document.getElementById('chatHistoryModal').classList.remove('hidden');
+        const list = document.getElementById('historyConversations');
+        const conversations = window.chatHistory ? await window.chatHistory.listConversations() : [];
+
+        list.innerHTML = '';
+        if (conversations.length === 0) {
+            list.innerHTML = '<p class="history-empty">No saved conversations yet.</p>';
+            return;
+        }
+        conversations.forEach(conversation => {
+            const item = document.createElement('div');
+            item.className = 'history-conversation';
+            const isCurrent = conversation.id === window.chatHistory.conversationId;
+
+            const label = document.createElement('span');
+            label.textContent = `${new Date(conversation.startedAt).toLocaleString()} • ${conversation.entryCount} entries` +
+                `${conversation.imported ? ' • imported' : ''}${isCurrent ? ' • current' : ''}`;
+            item.appendChild(label);
+
+            if (!isCurrent) {
+                const open = document.createElement('button');
+                open.className = 'btn-secondary';
+                open.dataset.conversationId = conversation.id;
+                open.textContent = 'Open';
+                item.appendChild(open);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    async openConversation(conversationId) {
+        const conversation = await window.chatHistory.getConversation(conversationId);
+        const entries = await window.chatHistory.switchTo(conversationId);
+        this.hideWelcomeMessage();
+        this.renderHistory(entries, conversation?.imported === true);
+        document.getElementById('chatHistoryModal').classList.add('hidden');
+    }
+
+    async exportChat(format) {
+        const { content, filename, mimeType } = await window.chatHistory.exportConversation(format);
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importChat(json) {
+        const result = await window.chatHistory.importConversation(json);
+        if (!result.success) {
+            window.paymentService?.showNotification(`❌ ${result.message}`, 'error');
+            return;
+        }
+        this.renderHistory(result.entries, true);
+        document.getElementById('chatHistoryModal').classList.add('hidden');
+        window.paymentService?.showNotification('📥 Transcript imported', 'success');
+    }
+
+    // ===== HUMAN AGENT HANDOFF =====
+    bindAgentHandoff() {
+        window.agentHandoff?.subscribe(event => this.handleAgentEvent(event));
+    }
+
+    handleAgentEvent(event) {
+        switch (event.type) {
+            case 'waiting':
+                this.updateChatPartner('waiting');
+                break;
+            case 'queued':
+                document.getElementById('chatDescription').textContent = event.position > 1 ?
+                    `You're number ${event.position} in the queue` :
+                    "You're next in line";
+                break;
+            case 'joined':
+                this.updateChatPartner('agent', event.agent);
+                this.addMessage(`✅ **${event.agent.name}** from our support team has joined the chat.`, 'bot');
+                break;
+            case 'message':
+                this.addMessage(event.text, 'agent', `${event.agent?.name || 'Support'} · Support`);
+                break;
+            case 'ended':
+                this.updateChatPartner('bot');
+                this.addMessage(this.describeHandoffEnd(event), 'bot');
+                break;
+            default:
+                break;
+        }
+    }
+
+    describeHandoffEnd(event) {
+        const name = event.agent ? event.agent.name : 'Our agent';
+        const ticketHint = "If something went wrong with an order, tell me what happened and I'll open a support ticket.";
+        switch (event.reason) {
+            case 'customer':
+                return "🤖 You're back with FoodieBot! What would you like to eat?";
+            case 'agent':
+                return `🤖 ${name} has ended the chat. You're back with FoodieBot. Anything else I can help with?`;
+            case 'timeout':
+                return `😔 All our agents are busy right now, so you're back with FoodieBot. ${ticketHint}`;
+            default:
+                return `😔 I lost the connection to our support team, so you're back with FoodieBot. ${ticketHint}`;
+        }
+    }
+
+    // The header shows who is answering: the bot, or the support agent on the line
+    updateChatPartner(mode, agent = null) {
+        const title = document.querySelector('.chat-info h3');
+        const description = document.getElementById('chatDescription');
+        const icon = document.querySelector('.chat-header .avatar-icon i');
+
+        if (mode !== 'bot' && this.botDescription === undefined) {
+            this.botDescription = description.textContent;
+        }
+        document.querySelector('.chat-container').classList.toggle('agent-mode', mode !== 'bot');
+        icon.className = mode === 'bot' ? 'fas fa-robot' : 'fas fa-headset';
+
+        if (mode === 'agent') {
+            title.textContent = `${agent.name} · Support Agent`;
+            description.textContent = 'You\'re chatting with a person. Say "back to bot" to return to FoodieBot.';
+        } else if (mode === 'waiting') {
+            title.textContent = 'Connecting to support…';
+            description.textContent = 'Waiting for the next available agent';
+        } else {
+            title.textContent = 'FoodieBot Assistant';
+            description.textContent = this.botDescription ?? description.textContent;
+            this.botDescription = undefined;
+        }
+    }
+
+    // ===== CART =====
+    // The cart is kept between visits (js/cart-store.js); the chat says when it
+    // was emptied for being idle or changed to match the menu
+    bindCart() {
+        window.cartStore?.subscribe(change => {
+            if (change.type === 'expire') {
+                this.addMessage(this.describeCartExpiry(change.lines), 'bot');
+            }
+        });
+    }
+
+    async restoreCart() {
+        const report = await window.cartStore?.restored;
+        if (report?.expired.length) {
+            this.addMessage(this.describeCartExpiry(report.expired), 'bot');
+        } else if (report?.removed.length || report?.repriced.length || report?.closed.length) {
+            this.addMessage(this.describeCartRestore(report), 'bot');
+        }
+    }
+
+    describeCartExpiry(lines) {
+        const count = lines.reduce((sum, line) => sum + line.quantity, 0);
+        const minutes = Math.round(window.cartStore.idleMs / 60000);
+        const idle = minutes % 60 === 0 ? `${minutes / 60} hour${minutes !== 60 ? 's' : ''}` : `${minutes} minutes`;
+        return `🕒 Your cart (${count} item${count !== 1 ? 's' : ''}) was emptied after ${idle} without changes. Tell me what you'd like and I'll add it again!`;
+    }
+
+    describeCartRestore({ removed, repriced, closed }) {
+        const reasons = {
+            removed: 'is no longer on the menu',
+            unavailable: "isn't available right now"
+        };
+        const changes = [
+            ...removed.map(({ line, reason }) => `• **${line.name}** ${reasons[reason]}, so I took it out`),
+            ...closed.map(line => `• **${line.name}** is from ${line.restaurantName}, which is closed right now - it's still in your cart, but can't be ordered until they open`),
+            ...repriced.map(({ line, oldPrice }) => `• **${line.name}** is now ₹${line.price} (was ₹${oldPrice})`)
+        ];
+        return `🛒 Welcome back! I kept your cart, but a few things changed since you left:\n${changes.join('\n')}\n\n[View cart](action:open-cart) or [check out](action:checkout)`;
+    }
+
+    escapeHTML(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    showTypingIndicator() {
+        const messagesContainer = document.getElementById('messagesContainer');
+        const typingDiv = document.createElement('div');
+        typingDiv.className = 'message bot typing-message';
+        typingDiv.innerHTML = `
+            <div class="message-avatar">
+                <i class="fas fa-robot"></i>
+            </div>
+            <div class="typing-indicator">
+                <span></span>
+                <span></span>
+                <span></span>
+            </div>
+        `;
+        
+        messagesContainer.appendChild(typingDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        this.isTyping = true;
+    }
+
+    hideTypingIndicator() {
+        const typingMessage = document.querySelector('.typing-message');
+        if (typingMessage) {
+            typingMessage.remove();
+        }
+        this.isTyping = false;
+    }
+
+    hideWelcomeMessage() {
+        const welcomeMessage = document.querySelector('.welcome-message');
+        if (welcomeMessage) {
+            welcomeMessage.style.display = 'none';
+        }
+    }
+
+    async getAIResponse(userMessage) {
+        try {
+            if (!this.chatbotAI) {
+                throw new Error('Chatbot AI not initialized');
+            }
+            
+            // Use the FoodieBotAI engine
+            const response = await this.chatbotAI.generateResponse(userMessage, this.conversationHistory);
+            
+            if (!response) {
+                throw new Error('No response from AI');
+            }
+            
+            return response;
+        } catch (error) {
+            console.error('Error getting AI response:', error);
+            return {
+                text: "I apologize, but I'm having trouble accessing the restaurant database. Please try again in a moment.",
+                action: null,
+                data: null
+            };
+        }
+    }
+
+    // ===== RESPONSE BLOCKS =====
+    // Draws a bot reply block by block (see js/response-schema.js), then runs
+    // its action: cart changes, eco mode, the photo picker
+    renderResponse(rawResponse) {
+        const response = window.responseSchema.normalize(rawResponse);
+        response.blocks.forEach(block => {
+            if (block.type === 'text') {
+                // Language model answers arrive as a token stream
+                this.addMessage(response.stream || block.text, 'bot');
+            } else {
+                this.renderBlock(block);
+            }
+        });
+
+        if (response.action) {
+            this.handleSpecialAction(response.action, response.data);
+        }
+    }
+
+    // Cards are kept as the blocks that draw them, not as the HTML they add;
+    // chips and buttons only answer the question they came with, so they aren't kept
+    renderBlock(block) {
+        if (this.cardBlocks.includes(block.type)) {
+            this.recordHistory({ kind: 'card', block });
+        }
+        this.historyPaused = true;
+        try {
+            this.drawBlock(block);
+        } catch (error) {
+            console.error('Error rendering response block:', error);
+        } finally {
+            this.historyPaused = false;
+        }
+    }
+
+    drawBlock(block) {
+        switch (block.type) {
+            case 'text':
+                this.addMessage(block.text, 'bot');
+                break;
+            case 'restaurants':
+                this.showRestaurantCarousel(block.restaurants, block.title);
+                break;
+            case 'dishes':
+                this.showDishList(block.dishes, block.title);
+                break;
+            case 'menu':
+                this.showRestaurantMenu(block.restaurant);
+                break;
+            case 'chips':
+                this.showChips(block.options);
+                break;
+            case 'confirm':
+                this.showConfirmButtons(block.confirm, block.cancel);
+                break;
+            case 'order_summary':
+                this.showOrderSummary(block);
+                break;
+            default:
+                console.warn('Unknown response block:', block.type);
+        }
+    }
+
+    addResponseBlock(className, html) {
+        const messagesContainer = document.getElementById('messagesContainer');
+        const element = document.createElement('div');
+        element.className = `response-block ${className}`;
+        element.innerHTML = html;
+        messagesContainer.appendChild(element);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        return element;
+    }
+
+    showRestaurantCarousel(restaurants, title = null) {
+        const ecoMode = window.chatbotAI?.ecoFriendlyMode === true;
+        const cards = restaurants.map(restaurant => `
+            <div class="restaurant-card" data-id="${restaurant.id}">
+                <div class="restaurant-image">
+                    <span class="cuisine-icon">${restaurant.image}</span>
+                    ${restaurant.offers?.length > 0 ? `<div class="offer-badge">${this.escapeHTML(restaurant.offers[0])}</div>` : ''}
+                </div>
+                <div class="restaurant-info">
+                    <h3>${this.escapeHTML(restaurant.name)}</h3>
+                    <div class="restaurant-meta">
+                        <span class="rating">
+                            <i class="fas fa-star"></i>
+                            ${restaurant.rating}
+                        </span>
+                        <span class="delivery-time">
+                            <i class="fas fa-clock"></i>
+                            ${restaurant.deliveryTime}
+                        </span>
+                        <span class="distance">
+                            <i class="fas fa-map-marker-alt"></i>
+                            ${restaurant.distance}
+                        </span>
+                    </div>
+                    <div class="cuisines">${this.escapeHTML((restaurant.cuisines || []).join(' • '))}</div>
+                    ${ecoMode ? `<div class="eco-badges">${window.ecoImpact.badges(restaurant).map(badge => `<span class="eco-badge">${badge}</span>`).join('')}</div>` : ''}
+                    <div class="restaurant-footer">
+                        <span class="price-range">${restaurant.priceRange}</span>
+                        <button class="view-menu-btn" data-action="view-restaurant-menu" data-restaurant-id="${restaurant.id}">
+                            View Menu
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        this.addResponseBlock('restaurant-carousel', `
+            ${title ? `<h4 class="response-block-title">${this.escapeHTML(title)}</h4>` : ''}
+            <div class="carousel-track">${cards}</div>
+        `);
+    }
+
+    // Dishes from any restaurant, each with its own ADD button
+    showDishList(dishes, title = null) {
+        const rows = dishes.map(dish => `
+            <div class="dish-list-item">
+                <div class="item-details">
+                    <span class="veg-indicator">${dish.veg ? '🟢' : '🔴'}</span>
+                    <div class="item-info">
+                        <h5>${this.escapeHTML(dish.name)}</h5>
+                        <p>${this.escapeHTML(dish.restaurant || '')}${dish.rating ? ` • ⭐ ${dish.rating}` : ''}</p>
+                        ${dish.note ? `<p class="dish-note">${this.escapeHTML(dish.note)}</p>` : ''}
+                    </div>
+                </div>
+                <div class="item-order">
+                    <span class="item-price">₹${dish.price}</span>
+                    ${dish.id ? `<button class="add-btn" data-action="add-dish" data-dish-id="${dish.id}">ADD</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        this.addResponseBlock('dish-list', `
+            ${title ? `<h4 class="response-block-title">${this.escapeHTML(title)}</h4>` : ''}
+            ${rows}
+        `);
+    }
+
+    // Quick replies: a tap sends the chip's message as if it had been typed
+    showChips(options) {
+        if (options.length === 0) return;
+        const chips = options.map(option =>
+            `<button class="chip-btn" data-action="reply" data-reply="${this.escapeHTML(option.message)}">${this.escapeHTML(option.label)}</button>`
+        ).join('');
+        this.addResponseBlock('reply-chips', chips);
+    }
+
+    showConfirmButtons(confirm, cancel) {
+        this.addResponseBlock('confirm-buttons', `
+            <button class="confirm-btn" data-action="reply" data-reply="${this.escapeHTML(confirm.message)}">${this.escapeHTML(confirm.label)}</button>
+            <button class="cancel-btn" data-action="reply" data-reply="${this.escapeHTML(cancel.message)}">${this.escapeHTML(cancel.label)}</button>
+        `);
+    }
+
+    showOrderSummary({ title, lines, totals }) {
+        const totalLabels = { subtotal: 'Subtotal', deliveryFee: 'Delivery', tax: 'Tax', total: 'Total' };
+        const rows = lines.map(line => `
+            <li>
+                <span>${line.quantity} × ${this.escapeHTML(line.name)}${line.restaurant ? ` <small>${this.escapeHTML(line.restaurant)}</small>` : ''}</span>
+                <span>₹${line.price}</span>
+            </li>
+        `).join('');
+        const totalRows = Object.entries(totalLabels)
+            .filter(([key]) => typeof totals[key] === 'number')
+            .map(([key, label]) => `<div class="order-summary-total ${key}"><span>${label}</span><span>₹${totals[key]}</span></div>`)
+            .join('');
+
+        this.addResponseBlock('order-summary', `
+            ${title ? `<h4 class="response-block-title">${this.escapeHTML(title)}</h4>` : ''}
+            <ul class="order-summary-lines">${rows}</ul>
+            ${totalRows}
+        `);
+    }
+
+    // A chip, button or message link that answers for the user
+    sendReply(button) {
+        // Answered: the other choices in the block go inactive
+        button.closest('.response-block')?.querySelectorAll('button').forEach(other => {
+            other.disabled = true;
+        });
+        button.classList.add('chosen');
+        this.sendMessage(button.dataset.reply);
+    }
+
+    addDishToCart(dishId) {
+        const dish = window.restaurantRepository.getDishById(dishId);
+        if (!dish) {
+            this.addMessage("Sorry, that dish isn't on the menu any more. 😔", 'bot');
+            return;
+        }
+        this.addToCart(dish, dish.restaurant);
+    }
+
+    // Side effects of a reply; its cards are drawn from its blocks
+    handleSpecialAction(action, data) {
+        this.historyPaused = true;
+        try {
+            this.renderSpecialAction(action, data);
+        } finally {
+            this.historyPaused = false;
+        }
+    }
+
+    renderSpecialAction(action, data) {
+        switch (action) {
+            case 'add_to_cart':
+                this.addItemToCart(data);
+                break;
+            case 'add_basket_to_cart':
+                this.addBasketToCart(data.items);
+                break;
+            case 'toggle_eco_mode':
+                this.updateEcoMode(data);
+                break;
+            case 'request_photo':
+                this.showPhotoUpload();
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Photo picker for a complaint; the photo is shrunk before it is attached
+    showPhotoUpload() {
+        const messagesContainer = document.getElementById('messagesContainer');
+        const upload = document.createElement('div');
+        upload.className = 'photo-upload';
+
+        // Built node by node: the HTML sanitizer strips <input> from markup
+        const label = document.createElement('label');
+        label.className = 'photo-upload-btn';
+        label.innerHTML = '<i class="fas fa-camera"></i> Add photo';
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/jpeg,image/png,image/webp';
+        input.hidden = true;
+        label.appendChild(input);
+        const skip = document.createElement('button');
+        skip.className = 'photo-skip-btn';
+        skip.textContent = 'Skip';
+        upload.append(label, skip);
+
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            upload.remove();
+            this.addMessage('📷 Photo', 'user');
+            try {
+                const photo = await this.shrinkPhoto(file);
+                this.renderResponse(window.chatbotAI.attachComplaintPhoto(photo));
+            } catch (error) {
+                console.error('Error reading photo:', error);
+                this.addMessage('Sorry, I couldn\'t read that photo. Try another one, or say "skip".', 'bot');
+                this.showPhotoUpload();
+            }
+        });
+        skip.addEventListener('click', () => {
+            upload.remove();
+            this.sendMessage('skip');
+        });
+
+        messagesContainer.appendChild(upload);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    // JPEG data URL no larger than maxSize pixels on its longest side
+    shrinkPhoto(file, maxSize = 1024, quality = 0.7) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const url = URL.createObjectURL(file);
+            image.onload = () => {
+                const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                resolve(canvas.toDataURL('image/jpeg', quality));
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Unreadable image'));
+            };
+            image.src = url;
+        });
+    }
+
+    updateEcoMode(data) {
+        document.body.classList.toggle('eco-mode', data.ecoFriendlyMode);
+    }
+
+    viewRestaurantMenu(restaurantId) {
+        // Ensure restaurant data is loaded
+        if (!window.restaurantRepository.isLoaded()) {
+            this.addMessage("Loading restaurant data... Please wait a moment! ⏳", 'bot');
+            
+            window.restaurantRepository.getRestaurants()
+                .then(() => this.viewRestaurantMenu(restaurantId))
+                .catch(() => this.addMessage("Sorry, I couldn't load the restaurant data. Please try again later. 😔", 'bot'));
+            return;
+        }
+        
+        // Set selected restaurant in AI
+        window.chatbotAI?.setSelectedRestaurant(restaurantId);
+        
+        // Find restaurant data
+        const restaurant = window.restaurantRepository.getRestaurantById(restaurantId);
+        
+        if (restaurant) {
+            this.selectedRestaurant = restaurant;
+            
+            // Hide welcome message
+            this.hideWelcomeMessage();
+            
+            // Directly show the menu instead of sending a message
+            this.renderBlock(window.responseSchema.menu(restaurant));
+            
+            // Add a bot message to introduce the menu
+            this.addMessage(`Here's the complete menu for **${restaurant.name}**! 🍽️\n\nBrowse through our delicious offerings and click "ADD" to add items to your cart. Happy ordering! 😊`, 'bot');
+        } else {
+            this.addMessage(`Sorry, I couldn't find that restaurant's menu (ID: ${restaurantId}). Please try clicking "🍽️ Find Restaurants" first to reload the restaurant list! 😔`, 'bot');
+        }
+    }
+
+    showRestaurantMenu(restaurant) {
+        this.addResponseBlock('restaurant-menu', this.createMenuHTML(restaurant));
+    }
+
+    createMenuHTML(restaurant) {
+        const dietary = window.dietaryFilter;
+        const profile = this.chatbotAI?.getDietaryProfile() || dietary.fromPreferences();
+        // Profile tags and spice start switched on; profile allergens are never shown
+        const activeFilters = [...profile.tags, ...(profile.spice ? ['mild'] : [])];
+        const allergenCheck = { tags: [], allergens: profile.allergens, spice: null };
+        let hiddenCount = 0;
+
+        let menuHTML = `<div class="menu-display">
+            <h3>${restaurant.name} Menu</h3>
+            ${this.createMenuFiltersHTML(activeFilters)}`;
+        
+        for (const [category, allItems] of Object.entries(restaurant.menu)) {
+            const items = allItems.filter(item => dietary.matches(item, allergenCheck));
+            hiddenCount += allItems.length - items.length;
+            if (items.length === 0) continue;
+
+            const filterKeys = items.map(item => this.getMenuFilterKeys(item));
+            const categoryVisible = filterKeys.some(keys => activeFilters.every(filter => keys.includes(filter)));
+            menuHTML += `
+                <div class="menu-category"${categoryVisible ? '' : ' style="display: none"'}>
+                    <h4>${category.charAt(0).toUpperCase() + category.slice(1)}</h4>
+                    <div class="menu-items">
+            `;
+            
+            items.forEach((item, index) => {
+                const vegIcon = item.veg ? '🟢' : '🔴';
+                const keys = filterKeys[index];
+                const visible = activeFilters.every(filter => keys.includes(filter));
+                
+                const ratingDisplay = item.rating ? `<span class="item-rating">⭐ ${item.rating}</span>` : '';
+                const popularBadge = item.popular ? `<span class="popular-badge">🔥 Popular</span>` : '';
+                const dietBadges = dietary.badges(item)
+                    .map(badge => `<span class="diet-badge ${badge.type}">${badge.text}</span>`)
+                    .join('');
+                
+                menuHTML += `
+                    <div class="menu-item" data-diet="${keys.join(' ')}"${visible ? '' : ' style="display: none"'}>
+                        <div class="item-details">
+                            <span class="veg-indicator">${vegIcon}</span>
+                            <div class="item-info">
+                                <div class="item-header">
+                                    <h5>${item.name}</h5>
+                                    <div class="item-badges">
+                                        ${ratingDisplay}
+                                        ${popularBadge}
+                                    </div>
+                                </div>
+                                <p>${item.description}</p>
+                                ${dietBadges ? `<div class="diet-badges">${dietBadges}</div>` : ''}
+                            </div>
+                        </div>
+                        <div class="item-order">
+                            <span class="item-price">₹${item.price}</span>
+                            <button class="add-btn" data-action="add-dish" data-dish-id="${item.id}">
+                                ADD
+                            </button>
+                        </div>
+                    </div>
+                `;
+            });
+            
+            menuHTML += `</div></div>`;
+        }
+
+        if (hiddenCount > 0) {
+            menuHTML += `<p class="menu-filter-note">🛡️ ${hiddenCount} dish${hiddenCount === 1 ? '' : 'es'} with ${profile.allergens.join(', ')} hidden by your dietary profile</p>`;
+        }
+        
+        menuHTML += `</div>`;
+        return menuHTML;
+    }
+
+    createMenuFiltersHTML(activeFilters) {
+        const filters = [
+            ['vegetarian', '🟢 Veg'], ['vegan', '🌱 Vegan'], ['jain', '🙏 Jain'],
+            ['no_onion_garlic', '🧅 No onion/garlic'], ['halal', '☪️ Halal'],
+            ['gluten_free', '🌾 Gluten-free'], ['mild', '🌶️ Mild']
+        ];
+        const chips = filters.map(([key, label]) =>
+            `<button class="menu-filter-chip${activeFilters.includes(key) ? ' active' : ''}" data-action="toggle-menu-filter" data-filter="${key}">${label}</button>`
+        ).join('');
+        return `<div class="menu-filters">${chips}</div>`;
+    }
+
+    // Filter chips a dish satisfies: dietary tags, plus "mild" for spice level 0-1
+    getMenuFilterKeys(item) {
+        const dietary = window.dietaryFilter;
+        const keys = Object.keys(dietary.tags).filter(tag => dietary.hasTag(item, tag));
+        if (typeof item.spiceLevel === 'number' && item.spiceLevel <= 1) {
+            keys.push('mild');
+        }
+        return keys;
+    }
+
+    // Dishes stay visible only when they satisfy every active chip
+    toggleMenuFilter(button) {
+        button.classList.toggle('active');
+        const menu = button.closest('.menu-display');
+        const activeFilters = [...menu.querySelectorAll('.menu-filter-chip.active')].map(chip => chip.dataset.filter);
+
+        menu.querySelectorAll('.menu-category').forEach(category => {
+            let visibleCount = 0;
+            category.querySelectorAll('.menu-item').forEach(item => {
+                const keys = item.dataset.diet.split(' ');
+                const visible = activeFilters.every(filter => keys.includes(filter));
+                item.style.display = visible ? '' : 'none';
+                if (visible) visibleCount++;
+            });
+            category.style.display = visibleCount > 0 ? '' : 'none';
+        });
+    }
+
+    addItemToCart(item) {
+        if (window.paymentService) {
+            window.paymentService.addToCart(item, item.restaurant);
+        } else {
+            console.error('Payment service not available');
+            this.addMessage(`❌ Sorry, there was an issue adding the item to your cart. Please try again!`, 'bot');
+        }
+    }
+
+    addBasketToCart(items) {
+        if (window.paymentService) {
+            window.paymentService.addItemsToCart(items);
+        } else {
+            console.error('Payment service not available');
+            this.addMessage(`❌ Sorry, there was an issue adding the items to your cart. Please try again!`, 'bot');
+        }
+    }
+
+    addToCart(item, restaurantName) {
+        if (window.paymentService) {
+            window.paymentService.addToCart(item, restaurantName);
+            this.addMessage(`✅ **${item.name}** added to your cart! 🛒\n\nPrice: ₹${item.price}\nFrom: ${restaurantName}\n\n[View cart](action:open-cart) or [check out](action:checkout) when you're ready.`, 'bot');
+        } else {
+            console.error('Payment service not available');
+            this.addMessage(`❌ Sorry, there was an issue adding the item to your cart. Please try again!`, 'bot');
+        }
+    }
+
+    handleRestaurantFilter(filter) {
+        // Remove active class from all buttons
+        document.querySelectorAll('.filter-btn').forEach(btn => 
+            btn.classList.remove('active')
+        );
+        
+        // Add active class to clicked button
+        event.target.classList.add('active');
+        
+        // Apply filter logic
+        const restaurantCards = document.querySelectorAll('.restaurant-card');
+        restaurantCards.forEach(card => {
+            // Simple show/hide - in real app, implement proper filtering
+            card.style.display = 'block';
+        });
+    }
+
+    // The cleared conversation stays in the chat history; the next message starts a new one
+    clearChat() {
+        const messagesContainer = document.getElementById('messagesContainer');
+        messagesContainer.innerHTML = '';
+        this.conversationHistory = [];
+        this.currentOrder = [];
+        window.chatHistory?.startNew();
+        
+        // Hide restaurants container
+        const restaurantsContainer = document.getElementById('restaurantsContainer');
+        if (restaurantsContainer) {
+            restaurantsContainer.classList.add('hidden');
+        }
+        
+        this.initializeWelcome();
+    }
+
+    initializeWelcome() {
+        const messagesContainer = document.getElementById('messagesContainer');
+        messagesContainer.innerHTML = `
+            <div class="welcome-message">
+                <div class="welcome-animation">
+                    <div class="location-icon">📍</div>
+                    <h2>Welcome to FoodieBot!</h2>
+                    <p>Discover amazing restaurants near Nagaram & Dammiguda. I can help you:</p>
+                    <div class="feature-grid">
+                        <div class="feature-item">
+                            <i class="fas fa-search"></i>
+                            <span>Find Nearby Restaurants</span>
+                        </div>
+                        <div class="feature-item">
+                            <i class="fas fa-utensils"></i>
+                            <span>Browse Menus & Prices</span>
+                        </div>
+                        <div class="feature-item">
+                            <i class="fas fa-shopping-cart"></i>
+                            <span>Order & Track Food</span>
+                        </div>
+                        <div class="feature-item">
+                            <i class="fas fa-credit-card"></i>
+                            <span>Secure Payment</span>
+                        </div>
+                        <div class="feature-item">
+                            <i class="fas fa-qrcode"></i>
+                            <span>QR Code Ordering</span>
+                        </div>
+                        <div class="feature-item">
+                            <i class="fas fa-motorcycle"></i>
+                            <span>Fast Delivery</span>
+                        </div>
+                    </div>
+                    <div class="quick-actions">
+                        <button class="quick-btn" data-message="Show me nearby restaurants">🍽️ Find Restaurants</button>
+                        <button class="quick-btn" data-message="What's popular in my area?">⭐ Popular Foods</button>
+                        <button class="quick-btn" data-message="Show me vegetarian restaurants">🥗 Vegetarian Options</button>
+                        <button class="quick-btn" data-message="I want fast food">🍔 Fast Food</button>
+                        <button class="quick-btn" data-message="Show me Indian restaurants">🍛 Indian Cuisine</button>
+                        <button class="quick-btn" data-message="What restaurants deliver here?">🚚 Delivery Options</button>
+                    </div>
+                    <div class="tip-message">
+                        💡 <strong>Tip:</strong> Click "🍽️ Find Restaurants" above to see restaurant cards, then click "View Menu" on any restaurant to browse their full menu!
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        // Re-bind quick button events
+        document.querySelectorAll('.quick-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const message = e.target.dataset.message;
+                this.sendMessage(message);
+            });
+        });
+        
+        // Remove auto-show restaurants - let customers choose when to see them
+    }
+
+    startBackgroundAnimations() {
+        // Add dynamic floating animations
+        const floatingIcons = document.querySelectorAll('.floating-icon');
+        floatingIcons.forEach((icon, index) => {
+            icon.style.left = Math.random() * 100 + '%';
+            icon.style.animationDelay = Math.random() * 15 + 's';
+        });
+    }
+
+    toggleTheme() {
+        const body = document.body;
+        const themeBtn = document.getElementById('toggleTheme');
+        const icon = themeBtn.querySelector('i');
+        
+        if (body.dataset.theme === 'dark') {
+            body.dataset.theme = 'light';
+            icon.className = 'fas fa-moon';
+            localStorage.setItem('theme', 'light');
+        } else {
+            body.dataset.theme = 'dark';
+            icon.className = 'fas fa-sun';
+            localStorage.setItem('theme', 'dark');
+        }
+    }
+
+    initializeTheme() {
+        const savedTheme = localStorage.getItem('theme');
+        const body = document.body;
+        const themeBtn = document.getElementById('toggleTheme');
+        const icon = themeBtn?.querySelector('i');
+        
+        if (savedTheme === 'dark') {
+            body.dataset.theme = 'dark';
+            if (icon) icon.className = 'fas fa-sun';
+        } else {
+            body.dataset.theme = 'light';
+            if (icon) icon.className = 'fas fa-moon';
+        }
+    }
+}
+
+// Add custom CSS for restaurant cards and menu display
+const appStyles = `
+    .restaurants-container {
+        padding: 2rem;
+        background: var(--background-primary);
+        margin-top: 1rem;
+    }
+
+    .restaurants-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 2rem;
+    }
+
+    .restaurants-header h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        color: var(--text-primary);
+    }
+
+    .filter-options {
+        display: flex;
+        gap: 1rem;
+    }
+
+    .filter-btn {
+        padding: 0.5rem 1rem;
+        border: 1px solid var(--border-color);
+        background: var(--background-secondary);
+        border-radius: 20px;
+        cursor: pointer;
+        transition: all 0.3s ease;
+        font-size: 0.9rem;
+    }
+
+    .filter-btn:hover,
+    .filter-btn.active {
+        background: var(--primary-color);
+        color: white;
+        border-color: var(--primary-color);
+    }
+
+    .restaurants-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(350px, 1fr));
+        gap: 1.5rem;
+    }
+
+    .restaurant-card {
+        background: var(--background-secondary);
+        border-radius: 15px;
+        overflow: hidden;
+        box-shadow: 0 4px 15px var(--shadow-light);
+        transition: all 0.3s ease;
+        cursor: pointer;
+    }
+
+    .restaurant-card:hover {
+        transform: translateY(-5px);
+        box-shadow: 0 8px 25px var(--shadow-medium);
+    }
+
+    .restaurant-image {
+        position: relative;
+        background: var(--gradient-primary);
+        padding: 2rem;
+        text-align: center;
+    }
+
+    .cuisine-icon {
+        font-size: 3rem;
+    }
+
+    .offer-badge {
+        position: absolute;
+        top: 10px;
+        right: 10px;
+        background: var(--accent-color);
+        color: var(--text-primary);
+        padding: 0.3rem 0.8rem;
+        border-radius: 15px;
+        font-size: 0.8rem;
+        font-weight: 500;
+    }
+
+    .restaurant-info {
+        padding: 1.5rem;
+    }
+
+    .restaurant-info h3 {
+        font-size: 1.2rem;
+        font-weight: 600;
+        margin-bottom: 0.8rem;
+        color: var(--text-primary);
+    }
+
+    .restaurant-meta {
+        display: flex;
+        gap: 1rem;
+        margin-bottom: 0.8rem;
+        font-size: 0.9rem;
+        color: var(--text-muted);
+    }
+
+    .restaurant-meta span {
+        display: flex;
+        align-items: center;
+        gap: 0.3rem;
+    }
+
+    .rating i {
+        color: var(--accent-color);
+    }
+
+    .cuisines {
+        color: var(--text-muted);
+        font-size: 0.9rem;
+        margin-bottom: 1rem;
+    }
+
+    .restaurant-footer {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+    }
+
+    .price-range {
+        font-weight: 600;
+        color: var(--primary-color);
+    }
+
+    .view-menu-btn {
+        background: var(--gradient-primary);
+        color: white;
+        border: none;
+        padding: 0.6rem 1.2rem;
+        border-radius: 8px;
+        cursor: pointer;
+        font-weight: 500;
+        transition: all 0.3s ease;
+    }
+
+    .view-menu-btn:hover {
+        transform: translateY(-2px);
+        box-shadow: 0 4px 15px var(--shadow-medium);
+    }
+
+    .menu-display {
+        max-width: 100%;
+        margin: 1rem 0;
+    }
+
+    .menu-display h3 {
+        font-size: 1.3rem;
+        font-weight: 600;
+        margin-bottom: 1rem;
+        color: var(--primary-color);
+        border-bottom: 2px solid var(--primary-color);
+        padding-bottom: 0.5rem;
+    }
+
+    .menu-category {
+        margin-bottom: 2rem;
+    }
+
+    .menu-category h4 {
+        font-size: 1.1rem;
+        font-weight: 600;
+        margin-bottom: 1rem;
+        color: var(--text-primary);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+    }
+
+    .menu-item {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 1rem;
+        border: 1px solid var(--border-color);
+        border-radius: 10px;
+        margin-bottom: 0.8rem;
+        background: var(--background-secondary);
+    }
+
+    .item-details {
+        display: flex;
+        align-items: flex-start;
+        gap: 0.8rem;
+        flex: 1;
+    }
+
+    .veg-indicator {
+        font-size: 1rem;
+        margin-top: 0.2rem;
+    }
+
+    .item-info h5 {
+        font-size: 1rem;
+        font-weight: 500;
+        margin-bottom: 0.3rem;
+        color: var(--text-primary);
+    }
+
+    .item-info p {
+        font-size: 0.9rem;
+        color: var(--text-muted);
+        line-height: 1.4;
+    }
+
+    .item-order {
+        display: flex;
+        flex-direction: column;
+        align-items: flex-end;
+        gap: 0.5rem;
+    }
+
+    .item-price {
+        font-size: 1rem;
+        font-weight: 600;
+        color: var(--primary-color);
+    }
+
+    .add-btn {
+        background: var(--gradient-primary);
+        color: white;
+        border: none;
+        padding: 0.5rem 1rem;
+        border-radius: 6px;
+        cursor: pointer;
+        font-weight: 500;
+        font-size: 0.9rem;
+        transition: all 0.3s ease;
+    }
+
+    .add-btn:hover {
+        transform: scale(1.05);
+        box-shadow: 0 2px 10px var(--shadow-medium);
+    }
+
+    .tip-message {
+        background: var(--background-tertiary);
+        border: 2px solid var(--primary-color);
+        border-radius: 15px;
+        padding: 1rem 1.5rem;
+        margin-top: 2rem;
+        font-size: 0.95rem;
+        line-height: 1.5;
+        animation: fadeInUp 0.8s cubic-bezier(0.4, 0, 0.2, 1) 0.8s both;
+    }
+
+    .tip-message strong {
+        color: var(--primary-color);
+    }
+
+    @media (max-width: 768px) {
+        .restaurants-grid {
+            grid-template-columns: 1fr;
+        }
+
+        .restaurant-meta {
+            flex-wrap: wrap;
+        }
+
+        .menu-item {
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 1rem;
+        }
+
+        .item-order {
+            align-self: stretch;
+            flex-direction: row;
+            justify-content: space-between;
+            align-items: center;
+        }
+    }
+`;
+
+// Add styles to document
+const mainStyleSheet = document.createElement('style');
+mainStyleSheet.textContent = appStyles;
+document.head.appendChild(mainStyleSheet);
+
+// Initialize the app only once
+let app;
+try {
+    app = new FoodieBotApp();
+} catch (error) {
+    console.error('Error initializing FoodieBot App:', error);
+}
+
+// Export for other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FoodieBotApp;
+} 
\ No newline at end of file
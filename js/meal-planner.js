@@ -0,0 +1,337 @@
+// ===== MEAL PLANNER =====
+// Builds group baskets for a headcount and a total budget ("feed 5 people
+// under ₹1000, 2 of them vegetarian"): a main for everyone, with sides and
+// drinks when the money stretches. Every basket is priced with the cart's own
+// totals (delivery fee and tax included) so the plan matches checkout.
+
+class MealPlanner {
+    constructor(priceFilter, referenceResolver, config = {}) {
+        this.priceFilter = priceFilter;
+        this.referenceResolver = referenceResolver;
+        this.maxPlans = config.maxPlans ?? 3;
+        this.maxPeople = config.maxPeople ?? 20;
+
+        this.mains = ['biryani', 'pizza', 'dosa', 'burger', 'noodles', 'fried_rice'];
+        this.sides = ['curry', 'starter', 'appetizer', 'snack', 'fast_food', 'south_indian'];
+        this.drinks = ['beverage'];
+        // People one order of a dish feeds; everything else is one each
+        this.servings = { pizza: 2 };
+
+        this.styles = {
+            top_rated: { label: '⭐ Top rated' },
+            value: { label: '💰 Best value' },
+            variety: { label: '🍽️ Mix it up' }
+        };
+        this.numberWords = {
+            'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7,
+            'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11, 'twelve': 12, 'fifteen': 15, 'twenty': 20
+        };
+        this.number = '(\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty)';
+    }
+
+    // ===== PARSING =====
+    // { people, budget, vegCount, cuisine, singleRestaurant } for a group meal
+    // request, or null. people or budget may be null when the user left them out;
+    // singleRestaurant is true, false or null (either is fine)
+    parse(text, cuisines = []) {
+        const lowercase = ` ${text.toLowerCase().replace(/[’]/g, "'")} `;
+        const planning = /\b(feed|feeding|meal plan|plan (?:a |the |our )?(?:meal|dinner|lunch|food|order)|group (?:order|meal|dinner|lunch)|party|potluck|team (?:lunch|dinner)|office (?:lunch|party))\b|\b(?:food|meal|dinner|lunch|order)\s+for\s+(?:a\s+(?:group|party|team)|\d+|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty)\b/.test(lowercase);
+        if (!planning) return null;
+
+        const people = this.parsePeople(lowercase);
+        const budget = this.parseBudget(lowercase, people);
+
+        // Planning words without a group or a budget are something else
+        // ("feed me", "party pizza")
+        if (!people && budget === null) return null;
+
+        return {
+            people,
+            budget,
+            vegCount: this.parseVegCount(lowercase, people || this.maxPeople),
+            cuisine: this.parseCuisine(lowercase, cuisines),
+            singleRestaurant: this.parseSingleRestaurant(lowercase)
+        };
+    }
+
+    parsePeople(lowercase) {
+        const match = lowercase.match(new RegExp(`\\b(?:feed|feeding|for)\\s+(?:a\\s+(?:group|party|team)\\s+of\\s+)?${this.number}\\b(?!\\s*(?:rs|rupees|₹|inr|\\/-))`)) ||
+            lowercase.match(new RegExp(`\\b${this.number}\\s+(?:people|persons|pax|guests|adults|friends|colleagues|kids|of us|hungry)\\b`)) ||
+            lowercase.match(new RegExp(`\\b(?:group|party|team|family)\\s+of\\s+${this.number}\\b`));
+        if (!match) return null;
+
+        const people = this.toNumber(match[1]);
+        return people > 0 ? Math.min(people, this.maxPeople) : null;
+    }
+
+    // Total budget; "₹200 per head" is multiplied out when the headcount is known
+    parseBudget(lowercase, people) {
+        const filter = this.priceFilter.parse(lowercase);
+        if (!filter) return null;
+        if (filter.total?.max) return filter.total.max;
+        // "cheap" without an amount is not a budget
+        if (filter.max === null || filter.label.startsWith('budget')) return null;
+        return filter.perPerson && people ? filter.max * people : filter.max;
+    }
+
+    // Fills in what an earlier request left out from a follow-up like
+    // "5 people, ₹1000" or just "1200". null when the reply adds nothing
+    complete(request, text) {
+        const lowercase = ` ${text.toLowerCase()} `;
+        const numbers = (lowercase.match(/\d+/g) || []).map(Number);
+        const people = request.people || this.parsePeople(lowercase) ||
+            (request.budget !== null ? numbers.find(value => value > 0 && value <= this.maxPeople) : null) || null;
+        const budget = request.budget ?? this.parseBudget(lowercase, people) ??
+            numbers.find(value => value !== people && value >= 100) ?? null;
+
+        if (people === request.people && budget === request.budget) return null;
+        return {
+            ...request,
+            people,
+            budget,
+            vegCount: Math.min(request.vegCount || this.parseVegCount(lowercase, people || this.maxPeople), people || this.maxPeople),
+            cuisine: request.cuisine,
+            singleRestaurant: request.singleRestaurant ?? this.parseSingleRestaurant(lowercase)
+        };
+    }
+
+    // "2 of them vegetarian", "3 veg", "all veg", "one non-veg"
+    parseVegCount(lowercase, people) {
+        if (/\b(all|everyone|everybody|pure)\s+(?:is\s+|are\s+)?(veg|vegetarian|vegetarians)\b|\b(veg|vegetarian) only\b|\bonly veg\b/.test(lowercase)) {
+            return people;
+        }
+        const nonVeg = lowercase.match(new RegExp(`\\b${this.number}\\s+(?:of (?:them|us)\\s+)?(?:are\\s+|is\\s+|eat\\s+)?non[\\s-]?(?:veg|vegetarians?)\\b`));
+        if (nonVeg) return Math.max(people - this.toNumber(nonVeg[1]), 0);
+        const veg = lowercase.match(new RegExp(`\\b${this.number}\\s+(?:of (?:them|us)\\s+)?(?:are\\s+|is\\s+|eat\\s+)?(?:veg|vegetarians?|vegans?)\\b`));
+        if (veg) return Math.min(this.toNumber(veg[1]), people);
+        return 0;
+    }
+
+    // The longest cuisine named in the message ("south indian" before "indian")
+    parseCuisine(lowercase, cuisines) {
+        const named = cuisines
+            .map(cuisine => cuisine.toLowerCase())
+            .sort((a, b) => b.length - a.length)
+            .find(cuisine => new RegExp(`\\b${cuisine}\\b`).test(lowercase));
+        return named || null;
+    }
+
+    parseSingleRestaurant(lowercase) {
+        if (/\b(?:one|single|same|1)\s+(?:restaurant|place|kitchen|order)\b|\bfrom one place\b|\ball from\b/.test(lowercase)) return true;
+        if (/\b(?:any|multiple|different|many|several|mixed?)\s+(?:restaurants|places)\b|\bmore than one (?:restaurant|place)\b/.test(lowercase)) return false;
+        return null;
+    }
+
+    toNumber(word) {
+        return /^\d+$/.test(word) ? parseInt(word) : (this.numberWords[word] || 0);
+    }
+
+    // Index of the plan picked by "2", "option 2", "the second one" or
+    // "the best value one", or null
+    choosePlan(text, plans) {
+        const lowercase = text.toLowerCase().trim();
+        const bare = lowercase.match(/^(?:plan\s*|option\s*|#)?(\d+)[.!]?$/) || lowercase.match(/\bplan\s*(\d+)\b/);
+        let index = bare ? parseInt(bare[1]) - 1 : this.referenceResolver.parseOrdinal(lowercase);
+        if (index === null) {
+            const style = /\b(cheap|cheapest|cheaper|value|budget)\b/.test(lowercase) ? 'value' :
+                /\b(top|best rated|highest)\b/.test(lowercase) ? 'top_rated' :
+                /\b(mix|variety|different)\b/.test(lowercase) ? 'variety' : null;
+            const found = style ? plans.findIndex(plan => plan.style === style) : -1;
+            return found >= 0 ? found : null;
+        }
+        if (index < 0) index = plans.length + index;
+        return index >= 0 && index < plans.length ? index : null;
+    }
+
+    // ===== PLANNING =====
+    // Up to maxPlans alternatives, each { style, label, lines, restaurants, totals,
+    // perHead, rating }, or [] when nothing fits the budget. dishes carry
+    // restaurant and restaurantId; priceLines(lines) returns the cart totals for
+    // [{ price, quantity }]
+    plan(request, dishes, priceLines) {
+        const candidates = this.buildCandidates(request, dishes, priceLines);
+        const plans = [];
+        const take = (plan, style) => {
+            if (plan) plans.push({ ...plan, label: this.styles[style].label, style });
+        };
+
+        const isTaken = plan => plans.some(taken => taken.key === plan.key);
+        const byRating = [...candidates].sort((a, b) => b.rating - a.rating || a.totals.total - b.totals.total);
+        const byPrice = [...candidates].sort((a, b) => a.totals.total - b.totals.total || b.rating - a.rating);
+        take(byRating[0], 'top_rated');
+        // Only "best value" if it really is cheaper than the top rated plan
+        take(byPrice.find(plan => !isTaken(plan) && plan.totals.total < plans[0]?.totals.total), 'value');
+        // The rest from kitchens not shown yet where possible
+        while (plans.length < this.maxPlans) {
+            const shown = new Set(plans.flatMap(plan => plan.restaurants));
+            const next = byRating.find(plan => !isTaken(plan) && plan.restaurants.some(name => !shown.has(name))) ||
+                byRating.find(plan => !isTaken(plan));
+            if (!next) break;
+            take(next, 'variety');
+        }
+
+        return plans.slice(0, this.maxPlans);
+    }
+
+    // Every (kitchen, style) basket that fits, without duplicates. One restaurant
+    // per basket unless the user asked for several or no single kitchen fits
+    buildCandidates(request, dishes, priceLines) {
+        const available = dishes.filter(dish => dish.available !== false);
+        const byRestaurant = new Map();
+        available.forEach(dish => {
+            byRestaurant.set(dish.restaurant, [...(byRestaurant.get(dish.restaurant) || []), dish]);
+        });
+
+        const seen = new Set();
+        const candidates = [];
+        const build = scope => {
+            Object.keys(this.styles).forEach(style => {
+                const plan = this.buildBasket(scope, request, style, priceLines);
+                if (plan && !seen.has(plan.key)) {
+                    seen.add(plan.key);
+                    candidates.push(plan);
+                }
+            });
+        };
+
+        if (request.singleRestaurant !== false) {
+            byRestaurant.forEach(build);
+        }
+        if (request.singleRestaurant === false || (request.singleRestaurant === null && candidates.length === 0)) {
+            build(available);
+        }
+        return candidates;
+    }
+
+    // Mains for the vegetarians, then everyone else, then shared sides and
+    // drinks while the budget allows. null when the mains alone don't fit
+    buildBasket(dishes, request, style, priceLines) {
+        const { people, budget } = request;
+        const vegCount = Math.min(request.vegCount, people);
+        const mains = dishes.filter(dish => this.mains.includes(dish.category));
+        const vegMains = mains.filter(dish => dish.veg);
+        const nonVegMains = mains.filter(dish => !dish.veg);
+
+        const groups = [];
+        if (vegCount > 0) groups.push({ count: vegCount, pool: vegMains });
+        if (people - vegCount > 0) groups.push({ count: people - vegCount, pool: nonVegMains.length ? nonVegMains : mains });
+        if (groups.some(group => group.pool.length === 0)) return null;
+
+        const lines = [];
+        const fits = extra => priceLines(this.toPriced([...lines, ...extra])).total <= budget;
+
+        for (let i = 0; i < groups.length; i++) {
+            // Leave room for the cheapest mains of the groups still to plan
+            const reserve = groups.slice(i + 1).map(group => this.cheapestLine(group.pool, group.count));
+            const picked = this.pickMains(groups[i], style, lines, reserve, fits);
+            if (!picked) return null;
+            lines.push(...picked);
+        }
+
+        this.addExtras(dishes, lines, request, style, fits);
+
+        const merged = this.mergeLines(lines);
+        const totals = priceLines(this.toPriced(merged));
+        const servings = merged.reduce((sum, line) => sum + line.quantity, 0);
+        return {
+            key: merged.map(line => `${line.dish.id}x${line.quantity}`).sort().join(','),
+            lines: merged,
+            restaurants: [...new Set(merged.map(line => line.dish.restaurant))],
+            totals,
+            perHead: totals.total / people,
+            rating: Math.round(merged.reduce((sum, line) => sum + (line.dish.rating || 0) * line.quantity, 0) / servings * 100) / 100
+        };
+    }
+
+    // One dish for the whole group, or two for "variety" when the group is big enough
+    pickMains(group, style, lines, reserve, fits) {
+        const sorted = this.sortDishes(group.pool, style);
+        if (style === 'variety' && group.count >= 2) {
+            const firstCount = Math.ceil(group.count / 2);
+            for (const first of sorted) {
+                const second = sorted.find(dish => dish.id !== first.id &&
+                    fits([this.line(first, firstCount), this.line(dish, group.count - firstCount), ...reserve]));
+                if (second) return [this.line(first, firstCount), this.line(second, group.count - firstCount)];
+            }
+        }
+        const single = sorted.find(dish => fits([this.line(dish, group.count), ...reserve]));
+        return single ? [this.line(single, group.count)] : null;
+    }
+
+    // Shared sides (one for every two people, or just one), then a drink each.
+    // Sides are vegetarian when anyone in the group is
+    addExtras(dishes, lines, request, style, fits) {
+        const { people } = request;
+        const vegCount = Math.min(request.vegCount, people);
+        const sides = this.sortDishes(dishes.filter(dish => this.sides.includes(dish.category) &&
+            (vegCount === 0 || dish.veg)), style);
+        const drinks = this.sortDishes(dishes.filter(dish => this.drinks.includes(dish.category)), style);
+
+        const sideCount = [Math.ceil(people / 2), 1].find(count => sides.some(dish => fits([this.line(dish, count)])));
+        if (sideCount) lines.push(this.line(sides.find(dish => fits([this.line(dish, sideCount)])), sideCount));
+        const drink = drinks.find(dish => fits([this.line(dish, people)]));
+        if (drink) lines.push(this.line(drink, people));
+    }
+
+    sortDishes(dishes, style) {
+        const byRating = (a, b) => (b.rating || 0) - (a.rating || 0) || this.perServing(a) - this.perServing(b);
+        const byPrice = (a, b) => this.perServing(a) - this.perServing(b) || (b.rating || 0) - (a.rating || 0);
+        return [...dishes].sort(style === 'value' ? byPrice : byRating);
+    }
+
+    perServing(dish) {
+        return dish.price / (this.servings[dish.category] || 1);
+    }
+
+    // Enough orders of a dish for count people
+    line(dish, count) {
+        return { dish, quantity: Math.ceil(count / (this.servings[dish.category] || 1)), portion: null };
+    }
+
+    cheapestLine(pool, count) {
+        return this.line(this.sortDishes(pool, 'value')[0], count);
+    }
+
+    mergeLines(lines) {
+        const merged = new Map();
+        lines.forEach(line => {
+            const existing = merged.get(line.dish.id);
+            merged.set(line.dish.id, existing ? { ...existing, quantity: existing.quantity + line.quantity } : { ...line });
+        });
+        return [...merged.values()];
+    }
+
+    toPriced(lines) {
+        return lines.map(line => ({ price: line.dish.price, quantity: line.quantity }));
+    }
+
+    // ===== DISPLAY =====
+    describePlan(plan, index, people) {
+        const where = plan.restaurants.length === 1 ? plan.restaurants[0] : `${plan.restaurants.length} restaurants`;
+        const items = plan.lines
+            .map(line => `• ${line.quantity} × ${line.dish.name}${plan.restaurants.length > 1 ? ` (${line.dish.restaurant})` : ''} - ₹${line.dish.price * line.quantity}`)
+            .join('\n');
+        const { subtotal, deliveryFee, taxAmount, total } = plan.totals;
+        return `**Option ${index + 1} - ${plan.label}** (${where} • ⭐ ${plan.rating.toFixed(1)})\n${items}\n` +
+            `Subtotal ₹${subtotal} + delivery ₹${deliveryFee} + tax ₹${taxAmount.toFixed(2)} = **₹${total.toFixed(2)}** (₹${Math.round(total / people)} a head)`;
+    }
+
+    // "5 people, 2 vegetarian, under ₹1000, South Indian, one restaurant"
+    describeRequest(request) {
+        const parts = [`${request.people} people`];
+        if (request.vegCount >= request.people) parts.push('all vegetarian');
+        else if (request.vegCount > 0) parts.push(`${request.vegCount} vegetarian`);
+        parts.push(`under ₹${request.budget}`);
+        if (request.cuisine) parts.push(request.cuisine.replace(/\b\w/g, letter => letter.toUpperCase()));
+        if (request.singleRestaurant === true) parts.push('one restaurant');
+        if (request.singleRestaurant === false) parts.push('any restaurants');
+        return parts.join(', ');
+    }
+}
+
+window.mealPlanner = new MealPlanner(window.priceFilter, window.referenceResolver, window.appConfig?.mealPlanner);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MealPlanner;
+}
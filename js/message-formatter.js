@@ -0,0 +1,111 @@
+// ===== MESSAGE FORMATTER =====
+// Chat messages are plain text with a little Markdown: **bold**, *italics*,
+// `code`, "•", "-" and "1." lists, line breaks and ₹ prices, plus links that
+// run something in the app: [View cart](action:open-cart) or
+// [Show the menu](say:Show me the menu). They are built as DOM nodes with the
+// text set as text, never as HTML, so nothing in a message can add markup.
+
+class MessageFormatter {
+    constructor() {
+        // The data-action handlers a message may link to (see js/action-dispatcher.js)
+        this.linkActions = ['open-cart', 'checkout', 'change-location', 'open-history'];
+        this.bulletPattern = /^\s*[•\-*]\s+(.*)$/;
+        this.numberPattern = /^\s*(\d+)[.)]\s+(.*)$/;
+        // bold | italics | code | [label](say:... or action:...) | price
+        this.inlinePattern = /\*\*(.+?)\*\*|\*(?!\s)([^*]*?[^\s*])\*|`([^`]+)`|\[([^\]]+)\]\((say|action):([^)]+)\)|₹\s?\d[\d,]*(?:\.\d+)?/g;
+    }
+
+    // DocumentFragment for the message text
+    render(text) {
+        const fragment = document.createDocumentFragment();
+        let list = null;
+        let lineCount = 0;
+
+        String(text ?? '').split('\n').forEach(line => {
+            const bullet = line.match(this.bulletPattern);
+            const numbered = bullet ? null : line.match(this.numberPattern);
+
+            if (bullet || numbered) {
+                const type = bullet ? 'ul' : 'ol';
+                if (!list || list.tagName.toLowerCase() !== type) {
+                    list = document.createElement(type);
+                    if (numbered && numbered[1] !== '1') list.start = Number(numbered[1]);
+                    fragment.appendChild(list);
+                }
+                const item = document.createElement('li');
+                item.appendChild(this.renderInline(bullet ? bullet[1] : numbered[2]));
+                list.appendChild(item);
+                lineCount = 0;
+                return;
+            }
+
+            // A list already ends the line before it
+            if (lineCount > 0 || (fragment.lastChild && !list)) {
+                fragment.appendChild(document.createElement('br'));
+            }
+            list = null;
+            fragment.appendChild(this.renderInline(line));
+            lineCount++;
+        });
+        return fragment;
+    }
+
+    renderInline(text) {
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+
+        for (const match of text.matchAll(this.inlinePattern)) {
+            if (match.index > last) {
+                fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+            }
+            fragment.appendChild(this.renderToken(match));
+            last = match.index + match[0].length;
+        }
+        if (last < text.length) {
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+        }
+        return fragment;
+    }
+
+    renderToken([whole, bold, italic, code, label, kind, target]) {
+        if (bold !== undefined) return this.wrap('strong', this.renderInline(bold));
+        if (italic !== undefined) return this.wrap('em', this.renderInline(italic));
+        if (code !== undefined) return this.wrap('code', document.createTextNode(code));
+        if (label !== undefined) return this.renderLink(whole, label, kind, target.trim());
+
+        const price = document.createElement('span');
+        price.className = 'message-price';
+        price.textContent = whole;
+        return price;
+    }
+
+    // say: sends the text as the user's message; action: one of linkActions.
+    // Anything else stays as written
+    renderLink(whole, label, kind, target) {
+        if (kind === 'action' && !this.linkActions.includes(target)) {
+            return document.createTextNode(whole);
+        }
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'message-link';
+        link.textContent = label;
+        link.dataset.action = kind === 'say' ? 'reply' : target;
+        if (kind === 'say') {
+            link.dataset.reply = target;
+        }
+        return link;
+    }
+
+    wrap(tagName, child) {
+        const element = document.createElement(tagName);
+        element.appendChild(child);
+        return element;
+    }
+}
+
+window.messageFormatter = new MessageFormatter();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageFormatter;
+}
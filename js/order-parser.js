@@ -0,0 +1,230 @@
+// ===== MULTI-ITEM ORDER PARSER =====
+// Turns one chat message such as "2 chicken biryani, one masala dosa and 3 idli"
+// into structured basket lines (dish, quantity, portion, restaurant).
+// Dish names are resolved with the shared fuzzy matcher. Portions and their
+// prices come from the menu (a dish's "portions": { "half": 110 }); a portion
+// the dish doesn't list is refused rather than priced.
+
+class OrderParser {
+    constructor(matcher) {
+        this.matcher = matcher;
+        this.numberWords = {
+            'a': 1, 'an': 1, 'one': 1, 'single': 1,
+            'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6,
+            'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11, 'twelve': 12,
+            'couple': 2, 'pair': 2, 'few': 3, 'dozen': 12
+        };
+        this.portionLabels = {
+            half: 'Half plate'
+        };
+        this.fillerWords = new Set([
+            'add', 'order', 'get', 'give', 'i', "i'd", "i'll", 'we', "we'd", "we'll", 'want', 'would', 'like', 'me', 'us', 'please',
+            'can', 'could', 'have', 'need', 'also', 'some', 'just', 'of', 'the'
+        ]);
+        this.maxQuantity = 50;
+    }
+
+    // ===== PUBLIC API =====
+    parse(message, dishes) {
+        const result = { lines: [], ambiguous: [], unmatched: [], unavailable: [] };
+
+        this.splitSegments(message).forEach(segment => {
+            const { quantity, portion, text } = this.parseQuantity(segment);
+            if (!text) return;
+
+            const match = this.matcher.match(text, dishes);
+            const exact = match.ambiguous ? this.exactMatch(text, match.alternatives) : null;
+            if (!match.best) {
+                result.unmatched.push(segment);
+            } else if (exact) {
+                this.addLine(result.lines, { dish: exact, quantity, portion });
+            } else if (match.ambiguous) {
+                result.ambiguous.push({ segment, quantity, portion, options: match.alternatives });
+            } else {
+                this.addLine(result.lines, { dish: match.best, quantity, portion });
+            }
+        });
+
+        return this.checkPortions(result);
+    }
+
+    // Moves lines asking for a portion their dish doesn't list into
+    // basket.unavailable, so nothing is charged a price the menu doesn't give
+    checkPortions(basket) {
+        const unavailable = basket.lines.filter(line => !this.offersPortion(line.dish, line.portion));
+        return {
+            ...basket,
+            lines: basket.lines.filter(line => !unavailable.includes(line)),
+            unavailable: [...(basket.unavailable || []), ...unavailable]
+        };
+    }
+
+    offersPortion(dish, portion) {
+        return !portion || dish.portions?.[portion] !== undefined;
+    }
+
+    // Quantity (and portion) of a single item phrase
+    parseQuantity(segment) {
+        let text = ` ${segment.toLowerCase().trim()} `;
+        let quantity = null;
+        let portion = null;
+
+        // Portion words: "half plate", "full portion", "half"
+        const portionMatch = text.match(/\s(half|full)(\s+(plate|portion))?(?!\s+dozen)\s/);
+        if (portionMatch) {
+            portion = portionMatch[1] === 'half' ? 'half' : null;
+            text = text.replace(portionMatch[0], ' ');
+        }
+
+        // Dozens: "half dozen", "a dozen", "2 dozen"
+        const dozenMatch = text.match(/\s(half|an?|\d+|one|two|three)?\s*dozen\s/);
+        if (dozenMatch) {
+            const multiplier = dozenMatch[1] === 'half' ? 0.5 : this.wordToNumber(dozenMatch[1] || 'a');
+            quantity = Math.round(multiplier * 12);
+            text = text.replace(dozenMatch[0], ' ');
+        }
+
+        // Trailing multipliers: "biryani x2", "biryani 2x"
+        if (quantity === null) {
+            const multiplierMatch = text.match(/\s(?:x\s*(\d+)|(\d+)\s*x)\s/);
+            if (multiplierMatch) {
+                quantity = parseInt(multiplierMatch[1] || multiplierMatch[2]);
+                text = text.replace(multiplierMatch[0], ' ');
+            }
+        }
+
+        // Leading quantity after filler words: "add 2 ...", "a couple of ...", "three ..."
+        const tokens = text.trim().split(/\s+/).filter(Boolean);
+        while (tokens.length && this.fillerWords.has(tokens[0]) && !(tokens[0] in this.numberWords)) {
+            tokens.shift();
+        }
+        if (quantity === null && tokens.length > 1) {
+            const value = this.wordToNumber(tokens[0]);
+            if (value !== null) {
+                quantity = value;
+                tokens.shift();
+                // "a couple of", "a few", "a pair of"
+                if (value === 1 && ['couple', 'few', 'pair'].includes(tokens[0])) {
+                    quantity = this.numberWords[tokens.shift()];
+                }
+                if (tokens[0] === 'of') tokens.shift();
+            }
+        }
+
+        return {
+            quantity: Math.min(Math.max(quantity || 1, 1), this.maxQuantity),
+            portion,
+            text: tokens.join(' ')
+        };
+    }
+
+    // First quantity mentioned anywhere in a message (word numbers included)
+    extractQuantity(message) {
+        const digits = message.match(/\b\d+\b/);
+        if (digits) return parseInt(digits[0]);
+        return this.parseQuantity(message).quantity;
+    }
+
+    // ===== BASKET HELPERS =====
+    // Cart-ready item for a basket line, priced from the menu's portions
+    toCartItem(line) {
+        const { dish, portion } = line;
+        if (!portion) {
+            return { ...dish };
+        }
+        if (!this.offersPortion(dish, portion)) {
+            throw new Error(`${dish.name} has no ${portion} portion`);
+        }
+        return {
+            ...dish,
+            portion,
+            name: `${dish.name} (${this.portionLabels[portion] || portion})`,
+            price: dish.portions[portion]
+        };
+    }
+
+    lineTotal(line) {
+        return this.toCartItem(line).price * line.quantity;
+    }
+
+    basketTotal(lines) {
+        return lines.reduce((sum, line) => sum + this.lineTotal(line), 0);
+    }
+
+    formatLine(line) {
+        const item = this.toCartItem(line);
+        return `• ${line.quantity} × ${item.name} (${item.restaurant}) - ₹${this.lineTotal(line)}`;
+    }
+
+    // Bullet list, subtotal and notes on anything that could not be placed
+    describeBasket({ lines, ambiguous = [], unmatched = [], unavailable = [] }) {
+        let text = lines.map(line => this.formatLine(line)).join('\n');
+        text += `\n\n**Subtotal: ₹${this.basketTotal(lines)}**`;
+        text += unavailable.map(line => `\n${this.describeUnavailable(line)}`).join('');
+
+        ambiguous.forEach(({ segment, options }) => {
+            text += `\n❓ Not sure which "${segment}" you meant: ${this.matcher.formatChoices(options)}`;
+        });
+        unmatched.forEach(segment => {
+            text += `\n⚠️ Couldn't find "${segment}" on any menu`;
+        });
+        return text;
+    }
+
+    describeUnavailable({ dish, portion }) {
+        return `⚠️ ${dish.name} doesn't come as a ${(this.portionLabels[portion] || portion).toLowerCase()}, only the full ₹${dish.price} portion`;
+    }
+
+    // ===== CONFIRMATION =====
+    isConfirmation(reply) {
+        return /^(yes|y|yeah|yep|yup|sure|ok|okay|confirm|go ahead|add (it|them|these|those))\b/.test(reply.toLowerCase().trim());
+    }
+
+    isRejection(reply) {
+        return /^(no|nope|nah|cancel|don'?t|never ?mind)\b/.test(reply.toLowerCase().trim());
+    }
+
+    // ===== INTERNALS =====
+    splitSegments(message) {
+        return message
+            .toLowerCase()
+            .replace(/\b(and|plus|also|along with|with|then)\b|[,;&+\n]/g, '|')
+            .split('|')
+            .map(segment => segment.trim())
+            .filter(Boolean);
+    }
+
+    wordToNumber(word) {
+        if (word === undefined || word === null) return null;
+        if (/^\d+$/.test(word)) return parseInt(word);
+        return this.numberWords[word] ?? null;
+    }
+
+    // Tie-break for names the fuzzy scorer treats alike ("Chicken 65" vs
+    // "Chicken Biryani"): prefer the longest name typed out word for word
+    exactMatch(text, options) {
+        const typed = new Set(this.matcher.tokenize(text));
+        const exact = options
+            .map(option => ({ option, tokens: this.matcher.tokenize(option.name) }))
+            .filter(({ tokens }) => tokens.length > 0 && tokens.every(token => typed.has(token)))
+            .sort((a, b) => b.tokens.length - a.tokens.length);
+        return exact.length ? exact[0].option : null;
+    }
+
+    // Merge repeated dishes ("1 dosa and another dosa") into one line
+    addLine(lines, line) {
+        const existing = lines.find(l => l.dish.id === line.dish.id && l.portion === line.portion);
+        if (existing) {
+            existing.quantity += line.quantity;
+        } else {
+            lines.push(line);
+        }
+    }
+}
+
+window.orderParser = new OrderParser(window.fuzzyMatcher);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderParser;
+}
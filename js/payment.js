@@ -2,7 +2,8 @@
 
 class PaymentService {
     constructor() {
-        this.cart = [];
+        // The shared cart (js/cart-store.js); chat adds to the same one
+        this.store = window.cartStore;
         this.orderHistory = [];
         this.currentOrder = null;
         this.paymentMethods = this.initializePaymentMethods();
@@ -11,6 +12,7 @@ class PaymentService {
 
     init() {
         this.bindPaymentEvents();
+        this.store.subscribe(() => this.updateCartDisplay());
         this.updateCartDisplay();
     }
 
@@ -76,24 +78,31 @@ class PaymentService {
                 this.handleOrderTypeChange(e.target.value);
             }
         });
+
+        // Buttons in the cart, order success and tracking views, and message links
+        window.actionDispatcher.register({
+            'open-cart': () => this.showCartModal(),
+            'checkout': () => this.proceedToCheckout(),
+            'cart-quantity': (button) => this.updateQuantity(button.dataset.lineId, Number(button.dataset.quantity)),
+            'cart-remove': (button) => this.removeFromCart(button.dataset.lineId),
+            'track-order': (button) => this.showOrderTracking(button.dataset.orderId),
+            'close-order-success': () => this.closeSuccessModal(),
+            'refresh-tracking': (button) => this.refreshTracking(button.dataset.orderId),
+            'close-order-tracking': () => this.closeOrderTracking()
+        });
     }
 
-    addToCart(item, restaurantName) {
-        const existingItem = this.cart.find(cartItem => cartItem.id === item.id);
+    addToCart(item, restaurantName, quantity = 1) {
+        this.store.add(item, restaurantName, quantity);
+        this.showNotification(`✅ ${quantity > 1 ? `${quantity} × ` : ''}${item.name} added to cart!`, 'success');
+    }
 
-        if (existingItem) {
-            existingItem.quantity += 1;
-        } else {
-            this.cart.push({
-                ...item,
-                restaurantName: restaurantName,
-                quantity: 1,
-                addedAt: new Date()
-            });
-        }
+    // Add a confirmed basket ([{ item, quantity }]) in one step
+    addItemsToCart(lines) {
+        this.store.addMany(lines);
 
-        this.updateCartDisplay();
-        this.showNotification(`✅ ${item.name} added to cart!`, 'success');
+        const count = lines.reduce((sum, line) => sum + line.quantity, 0);
+        this.showNotification(`✅ ${count} item${count !== 1 ? 's' : ''} added to cart!`, 'success');
     }
 
     handleOrderTypeChange(orderType) {
@@ -107,6 +116,12 @@ class PaymentService {
             }
         }
 
+        // No packaging or cutlery to save when eating in
+        const ecoSection = document.getElementById('ecoSection');
+        if (ecoSection) {
+            ecoSection.style.display = orderType === 'dine-in' ? 'none' : 'block';
+        }
+
         // Update COD label
         const codLabel = document.getElementById('codLabel');
         if (codLabel) {
@@ -123,33 +138,33 @@ class PaymentService {
         this.updateCartDisplay();
     }
 
-    removeFromCart(itemId) {
-        this.cart = this.cart.filter(item => item.id !== itemId);
-        this.updateCartDisplay();
+    removeFromCart(lineId) {
+        this.store.remove(lineId);
         this.showNotification('🗑️ Item removed from cart', 'info');
     }
 
-    updateQuantity(itemId, newQuantity) {
-        const item = this.cart.find(cartItem => cartItem.id === itemId);
-
-        if (item) {
-            if (newQuantity <= 0) {
-                this.removeFromCart(itemId);
-            } else {
-                item.quantity = newQuantity;
-                this.updateCartDisplay();
-            }
+    updateQuantity(lineId, newQuantity) {
+        if (newQuantity <= 0) {
+            this.removeFromCart(lineId);
+        } else {
+            this.store.setQuantity(lineId, newQuantity);
         }
     }
 
     calculateCartTotal() {
-        const subtotal = this.cart.reduce((total, item) => 
+        // Check order type - no delivery fee for takeaway and dine-in
+        const orderType = document.querySelector('input[name="orderType"]:checked')?.value || 'delivery';
+        return this.calculateTotals(this.store.getLines(), orderType);
+    }
+
+    // Totals for any list of { price, quantity } lines, so chat can price a
+    // basket (e.g. a group meal plan) exactly as checkout will
+    calculateTotals(lines, orderType = 'delivery') {
+        const subtotal = lines.reduce((total, item) => 
             total + (item.price * item.quantity), 0
         );
 
-        // Check order type - no delivery fee for takeaway and dine-in
-        const orderType = document.querySelector('input[name="orderType"]:checked')?.value || 'delivery';
-        const deliveryFee = (this.cart.length > 0 && orderType === 'delivery') ? 30 : 0;
+        const deliveryFee = (lines.length > 0 && orderType === 'delivery') ? 30 : 0;
         
         const taxRate = 0.05; // 5% tax
         const taxAmount = subtotal * taxRate;
@@ -170,10 +185,11 @@ class PaymentService {
         this.updateCheckoutModal();
     }
 
+    // Header badge
     updateCartCount() {
         const cartCount = document.getElementById('cartCount');
-        const totalItems = this.cart.reduce((sum, item) => sum + item.quantity, 0);
-        
+        const totalItems = this.store.getItemCount();
+
         if (cartCount) {
             cartCount.textContent = totalItems;
             cartCount.classList.toggle('hidden', totalItems === 0);
@@ -185,7 +201,7 @@ class PaymentService {
         const totals = this.calculateCartTotal();
 
         if (cartItems) {
-            if (this.cart.length === 0) {
+            if (this.store.isEmpty()) {
                 cartItems.innerHTML = `
                     <div class="empty-cart">
                         <div class="empty-cart-icon">🛒</div>
@@ -194,20 +210,20 @@ class PaymentService {
                     </div>
                 `;
             } else {
-                cartItems.innerHTML = this.cart.map(item => `
-                    <div class="cart-item">
+                cartItems.innerHTML = this.store.getLines().map(item => `
+                    <div class="cart-item${item.closed ? ' closed' : ''}">
                         <div class="item-info">
                             <h4>${item.name}</h4>
-                            <p class="restaurant-name">${item.restaurantName}</p>
+                            <p class="restaurant-name">${item.restaurantName}${item.closed ? ' • closed now' : ''}</p>
                             <div class="item-price">₹${item.price}</div>
                         </div>
                         <div class="quantity-controls">
-                            <button class="quantity-btn minus" onclick="paymentService.updateQuantity(${item.id}, ${item.quantity - 1})">-</button>
+                            <button class="quantity-btn minus" data-action="cart-quantity" data-line-id="${item.lineId}" data-quantity="${item.quantity - 1}">-</button>
                             <span class="quantity">${item.quantity}</span>
-                            <button class="quantity-btn plus" onclick="paymentService.updateQuantity(${item.id}, ${item.quantity + 1})">+</button>
+                            <button class="quantity-btn plus" data-action="cart-quantity" data-line-id="${item.lineId}" data-quantity="${item.quantity + 1}">+</button>
                         </div>
                         <div class="item-total">₹${(item.price * item.quantity).toFixed(2)}</div>
-                        <button class="remove-item" onclick="paymentService.removeFromCart(${item.id})" title="Remove item">
+                        <button class="remove-item" data-action="cart-remove" data-line-id="${item.lineId}" title="Remove item">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
@@ -233,7 +249,7 @@ class PaymentService {
 
         const checkoutBtn = document.getElementById('proceedToCheckout');
         if (checkoutBtn) {
-            checkoutBtn.disabled = this.cart.length === 0;
+            checkoutBtn.disabled = this.store.isEmpty() || this.store.getClosedLines().length > 0;
         }
     }
 
@@ -244,6 +260,12 @@ class PaymentService {
         if (finalTotal) {
             finalTotal.textContent = `₹${totals.total.toFixed(2)}`;
         }
+
+        const ecoNote = document.getElementById('ecoImpactNote');
+        if (ecoNote && window.ecoImpact) {
+            const { grams } = window.ecoImpact.getTotal();
+            ecoNote.textContent = grams > 0 ? `You've avoided ${window.ecoImpact.formatGrams(grams)} of plastic so far 🌱` : '';
+        }
     }
 
     showCartModal() {
@@ -253,20 +275,37 @@ class PaymentService {
     }
 
     proceedToCheckout() {
-        if (this.cart.length === 0) {
+        if (this.store.isEmpty()) {
             this.showNotification('❌ Your cart is empty!', 'error');
             return;
         }
+        if (!this.checkOrderable()) return;
 
         this.closeModal('cartModal');
         
         setTimeout(() => {
             const checkoutModal = document.getElementById('checkoutModal');
             checkoutModal.classList.remove('hidden');
+
+            // Eco mode skips cutlery unless the user ticks it back
+            const noCutlery = document.getElementById('noCutlery');
+            if (noCutlery && window.chatbotAI?.ecoFriendlyMode) {
+                noCutlery.checked = true;
+            }
             this.updateCheckoutModal();
         }, 300);
     }
 
+    // Lines kept from a restaurant that has closed since can't be ordered
+    checkOrderable() {
+        const closed = this.store.getClosedLines();
+        if (closed.length === 0) return true;
+
+        const names = closed.map(line => line.name).join(', ');
+        this.showNotification(`🔒 ${names} ${closed.length > 1 ? 'are' : 'is'} from a restaurant that's closed right now - remove ${closed.length > 1 ? 'them' : 'it'} to check out`, 'error');
+        return false;
+    }
+
     backToCart() {
         this.closeModal('checkoutModal');
         setTimeout(() => {
@@ -281,6 +320,7 @@ class PaymentService {
             this.showNotification('❌ Please select a payment method', 'error');
             return;
         }
+        if (!this.checkOrderable()) return;
 
         const loadingOverlay = document.getElementById('loadingOverlay');
         const loadingText = document.getElementById('loadingText');
@@ -293,7 +333,7 @@ class PaymentService {
         try {
             const order = await this.processOrder(selectedPayment);
             this.closeModal('checkoutModal');
-            this.clearCart();
+            this.clearCart(order.id);
             this.showOrderSuccess(order);
         } catch (error) {
             this.showNotification(`❌ Order failed: ${error.message}`, 'error');
@@ -320,20 +360,28 @@ class PaymentService {
         
         const order = {
             id: this.generateOrderId(),
-            items: [...this.cart],
+            items: [...this.store.getLines()],
             totals: totals,
             paymentMethod: paymentMethod,
             orderType: orderType,
+            noCutlery: document.getElementById('noCutlery')?.checked === true,
             status: 'confirmed',
             estimatedTime: estimatedTime,
+            area: window.locationService?.getCurrentLocation().name || null,
             placedAt: new Date()
         };
 
         // Simulate payment processing
         await this.simulatePaymentProcessing(paymentMethod);
+
+        order.plasticAvoided = window.ecoImpact ?
+            window.ecoImpact.recordOrder(order, window.restaurantRepository.getCachedRestaurants()) :
+            0;
         
         this.orderHistory.push(order);
         this.currentOrder = order;
+        window.recommendationEngine?.recordOrder(order);
+        window.trendingDishes?.recordOrder(order);
         
         return order;
     }
@@ -355,9 +403,8 @@ class PaymentService {
         return `ORD${timestamp.slice(-6)}${random}`;
     }
 
-    clearCart() {
-        this.cart = [];
-        this.updateCartDisplay();
+    clearCart(orderId = null) {
+        this.store.clear(orderId);
     }
 
     showOrderSuccess(order) {
@@ -371,12 +418,13 @@ class PaymentService {
                             <p><strong>Order ID:</strong> ${order.id}</p>
                             <p><strong>Estimated Delivery:</strong> ${order.estimatedTime}</p>
                             <p><strong>Total Amount:</strong> ₹${order.totals.total.toFixed(2)}</p>
+                            ${order.plasticAvoided > 0 ? `<p><strong>Plastic Avoided:</strong> ${window.ecoImpact.formatGrams(order.plasticAvoided)} 🌱</p>` : ''}
                         </div>
                         <div class="success-actions">
-                            <button class="btn-primary track-order-btn" onclick="paymentService.showOrderTracking('${order.id}')">
+                            <button class="btn-primary track-order-btn" data-action="track-order" data-order-id="${order.id}">
                                 📍 Track Order
                             </button>
-                            <button class="btn-secondary" onclick="paymentService.closeSuccessModal()">Continue Shopping</button>
+                            <button class="btn-secondary" data-action="close-order-success">Continue Shopping</button>
                         </div>
                     </div>
                 </div>
@@ -452,10 +500,141 @@ class PaymentService {
                 if (stage.status !== 'confirmed') { // Skip first notification as it's shown in success modal
                     this.showNotification(`${stage.icon} ${stage.message}`, 'info');
                 }
+
+                // Ask for a rating once the food has arrived
+                if (index === orderStages.length - 1) {
+                    setTimeout(() => this.showRatingPrompt(order), 3000);
+                }
             }, stage.time);
         });
     }
 
+    // ===== RATINGS & REVIEWS =====
+
+    // Stars for each restaurant and dish in the order, plus an optional review
+    showRatingPrompt(order) {
+        if (!window.reviewStore || window.reviewStore.hasReviewed(order.id) || document.querySelector('.rating-modal')) {
+            return;
+        }
+
+        const groups = this.groupItemsByRestaurant(order.items);
+        if (groups.length === 0) return;
+
+        const starsHTML = (label) => `
+            <div class="star-rating" role="radiogroup" aria-label="Rate ${label}">
+                ${[1, 2, 3, 4, 5].map(stars => `<button type="button" class="star-btn" data-stars="${stars}" aria-label="${stars} star${stars > 1 ? 's' : ''}">★</button>`).join('')}
+            </div>
+        `;
+
+        const ratingHTML = `
+            <div class="modal rating-modal" data-order-id="${order.id}">
+                <div class="modal-content rating-content">
+                    <div class="modal-header">
+                        <h3>⭐ How was your order?</h3>
+                        <button class="close-modal" data-rating-action="skip">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="rating-order">Order <strong>${order.id}</strong></p>
+                        ${groups.map(group => `
+                            <div class="rating-restaurant" data-restaurant-id="${group.restaurant.id}">
+                                <div class="rating-row rating-row-restaurant">
+                                    <span class="rating-label">🏪 ${group.restaurant.name}</span>
+                                    ${starsHTML(group.restaurant.name)}
+                                </div>
+                                ${group.dishes.map(dish => `
+                                    <div class="rating-row" data-dish-id="${dish.id}">
+                                        <span class="rating-label">${dish.name}</span>
+                                        ${starsHTML(dish.name)}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        `).join('')}
+                        <div class="input-group">
+                            <label for="ratingText">Anything to add? (optional)</label>
+                            <textarea id="ratingText" rows="3" maxlength="500" placeholder="e.g., Great biryani, but a little too spicy"></textarea>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn-secondary" data-rating-action="skip">Skip</button>
+                        <button class="btn-primary" data-rating-action="submit">Submit Review</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', ratingHTML);
+        const modal = document.querySelector('.rating-modal');
+
+        modal.addEventListener('click', (e) => {
+            const star = e.target.closest('.star-btn');
+            if (star) {
+                const group = star.closest('.star-rating');
+                group.dataset.value = star.dataset.stars;
+                group.querySelectorAll('.star-btn').forEach(button => {
+                    button.classList.toggle('active', Number(button.dataset.stars) <= Number(star.dataset.stars));
+                });
+                return;
+            }
+
+            const action = e.target.closest('[data-rating-action]')?.dataset.ratingAction;
+            if (action === 'submit') {
+                this.submitRating(order, modal);
+            } else if (action === 'skip') {
+                modal.remove();
+            }
+        });
+    }
+
+    // Cart lines don't carry the restaurant id, so dishes are looked up in the catalog
+    groupItemsByRestaurant(items) {
+        const repository = window.restaurantRepository;
+        const groups = new Map();
+
+        items.forEach(item => {
+            const dish = repository.getDishById(item.id);
+            const restaurant = dish ?
+                repository.getRestaurantById(dish.restaurantId) :
+                repository.getCachedRestaurants().find(r => r.name === item.restaurantName);
+            if (!restaurant) return;
+
+            if (!groups.has(restaurant.id)) {
+                groups.set(restaurant.id, { restaurant, dishes: [] });
+            }
+            const group = groups.get(restaurant.id);
+            if (dish && !group.dishes.some(existing => existing.id === dish.id)) {
+                group.dishes.push(dish);
+            }
+        });
+
+        return [...groups.values()];
+    }
+
+    submitRating(order, modal) {
+        const text = modal.querySelector('#ratingText').value;
+        const starsIn = (element) => Number(element.querySelector('.star-rating').dataset.value) || null;
+
+        const reviews = [...modal.querySelectorAll('.rating-restaurant')].map(section => ({
+            orderId: order.id,
+            restaurantId: Number(section.dataset.restaurantId),
+            restaurantRating: starsIn(section.querySelector('.rating-row-restaurant')),
+            dishes: [...section.querySelectorAll('.rating-row[data-dish-id]')].map(row => ({
+                dishId: Number(row.dataset.dishId),
+                name: row.querySelector('.rating-label').textContent,
+                rating: starsIn(row)
+            })),
+            text
+        }));
+
+        const saved = reviews.map(review => window.reviewStore.addReview(review)).filter(Boolean);
+        if (saved.length === 0) {
+            this.showNotification('⭐ Tap the stars to rate your order, or press Skip.', 'warning');
+            return;
+        }
+
+        modal.remove();
+        this.showNotification('🙏 Thanks for your review! It helps others choose.', 'success');
+    }
+
     showOrderTracking(orderId) {
         const order = this.orderHistory.find(o => o.id === orderId) || this.currentOrder;
         
@@ -472,7 +651,7 @@ class PaymentService {
                 <div class="modal-content tracking-content">
                     <div class="modal-header">
                         <h2>📍 Track Your Order</h2>
-                        <button class="close-modal" onclick="paymentService.closeOrderTracking()">&times;</button>
+                        <button class="close-modal" data-action="close-order-tracking">&times;</button>
                     </div>
                     <div class="tracking-body">
                         <div class="order-info-bar">
@@ -504,10 +683,10 @@ class PaymentService {
                         </div>
                         
                         <div class="tracking-actions">
-                            <button class="btn-secondary" onclick="paymentService.refreshTracking('${order.id}')">
+                            <button class="btn-secondary" data-action="refresh-tracking" data-order-id="${order.id}">
                                 🔄 Refresh Status
                             </button>
-                            <button class="btn-outline" onclick="paymentService.closeOrderTracking()">
+                            <button class="btn-outline" data-action="close-order-tracking">
                                 Continue Shopping
                             </button>
                         </div>
@@ -687,7 +866,7 @@ class PaymentService {
     }
 
     getCart() {
-        return this.cart;
+        return this.store.getLines();
     }
 
     getCartTotal() {
@@ -0,0 +1,154 @@
+// ===== PRICE FILTER =====
+// Reads price constraints from everyday phrasing ("under ₹150", "below 200",
+// "between 100 and 200 for two", "cheap", "for 3 people under 600") and applies
+// them to dishes and restaurants. Limits are always stored per person, so a
+// total budget for a group is split by headcount.
+
+class PriceFilter {
+    constructor(config = {}) {
+        this.budgetMax = config.budgetMax ?? 150;
+        this.maxPeople = config.maxPeople ?? 20;
+        this.peopleWords = {
+            'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6,
+            'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'couple': 2
+        };
+
+        // Amounts with an optional currency: "₹150", "rs. 150", "150 rupees", "150/-"
+        const amount = '(?:₹|rs\\.?|inr)?\\s*(\\d+)(?:\\s*(?:rs|rupees|inr|\\/-))?(?!\\s*(?:people|persons|pax|guests|adults|of us|plates?|items?|dishes|mins?|minutes|km)\\b)';
+        this.patterns = {
+            between: new RegExp(`\\bbetween\\s+${amount}\\s+(?:and|to|-)\\s+${amount}`),
+            range: new RegExp(`${amount}\\s*(?:-|–|to)\\s*${amount}`),
+            max: new RegExp(`(?:\\b(?:under|below|less than|within|up ?to|max(?:imum)?|at most|not more than|no more than|cheaper than|budget(?: of| is)?)|<)\\s*${amount}`),
+            min: new RegExp(`(?:\\b(?:above|over|more than|at least|min(?:imum)?|starting (?:at|from))|>)\\s*${amount}`),
+            around: new RegExp(`\\b(?:around|about|approx(?:imately)?|roughly)\\s+${amount}`)
+        };
+    }
+
+    // ===== PARSING =====
+    // { min, max, people, perPerson, total, cheap, label } or null when the
+    // message sets no price limit
+    parse(text) {
+        const lowercase = ` ${text.toLowerCase()} `;
+        let min = null;
+        let max = null;
+
+        const between = lowercase.match(this.patterns.between) || lowercase.match(this.patterns.range);
+        const upper = lowercase.match(this.patterns.max);
+        const lower = lowercase.match(this.patterns.min);
+        const around = lowercase.match(this.patterns.around);
+
+        if (between) {
+            [min, max] = [parseInt(between[1]), parseInt(between[2])].sort((a, b) => a - b);
+        } else if (upper || lower) {
+            max = upper ? parseInt(upper[1]) : null;
+            min = lower ? parseInt(lower[1]) : null;
+        } else if (around) {
+            const value = parseInt(around[1]);
+            min = Math.round(value * 0.8);
+            max = Math.round(value * 1.2);
+        }
+
+        const cheap = /\b(cheap|cheapest|cheaper|budget|affordable|inexpensive|economical|pocket[- ]friendly|low[- ]cost)\b/.test(lowercase);
+        if (min === null && max === null && !cheap) return null;
+
+        const people = this.parsePeople(lowercase);
+        const perPerson = /\b(per|a|each)\s+(person|head|pax)\b|\beach\b|\bpp\b/.test(lowercase);
+        const filter = { min, max, people, perPerson, total: null, cheap };
+
+        // "for 3 people under 600" is a shared budget: ₹200 per person
+        if (people > 1 && !perPerson && (min !== null || max !== null)) {
+            filter.total = { min, max };
+            filter.min = min !== null ? Math.round(min / people) : null;
+            filter.max = max !== null ? Math.round(max / people) : null;
+        }
+
+        // "cheap" on its own caps dishes at the configured budget price
+        if (filter.min === null && filter.max === null) {
+            filter.max = this.budgetMax;
+        }
+
+        filter.label = this.describe(filter);
+        return filter;
+    }
+
+    parsePeople(lowercase) {
+        const counted = lowercase.match(/\b(?:for\s+)?(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\s+(?:people|persons|pax|guests|adults|of us)\b/);
+        const spoken = lowercase.match(/\bfor\s+(?:a\s+)?(two|three|four|five|six|seven|eight|nine|ten|couple)\b/);
+        const match = counted || spoken;
+        if (!match) return 1;
+
+        const people = /^\d+$/.test(match[1]) ? parseInt(match[1]) : this.peopleWords[match[1]];
+        return Math.min(Math.max(people || 1, 1), this.maxPeople);
+    }
+
+    // "under ₹200 per person (₹600 for 3)", "₹100-₹200", "budget (under ₹150)"
+    describe(filter) {
+        const { min, max, people, perPerson, total, cheap } = filter;
+        let label = this.describeRange(min, max);
+        if (total || perPerson) {
+            label += ' per person';
+        }
+        if (total) {
+            label += ` (${this.describeRange(total.min, total.max)} for ${people})`;
+        }
+        if (cheap && !total && max === this.budgetMax && min === null) {
+            label = `budget (${label})`;
+        }
+        return label;
+    }
+
+    describeRange(min, max) {
+        if (min !== null && max !== null) return `₹${min}-₹${max}`;
+        if (max !== null) return `under ₹${max}`;
+        return `over ₹${min}`;
+    }
+
+    // ===== FILTERING =====
+    matches(dish, filter) {
+        if (filter.max !== null && dish.price > filter.max) return false;
+        if (filter.min !== null && dish.price < filter.min) return false;
+        return true;
+    }
+
+    // Dishes within the limits; "cheap" lists the lowest prices first,
+    // otherwise the best rated come first with price as the tie-break
+    filterDishes(dishes, filter) {
+        return dishes
+            .filter(dish => this.matches(dish, filter))
+            .sort((a, b) => {
+                if (filter.cheap && a.price !== b.price) return a.price - b.price;
+                if (b.rating !== a.rating) return (b.rating || 0) - (a.rating || 0);
+                return a.price - b.price;
+            });
+    }
+
+    // Restaurants with at least one dish in range: [{ restaurant, dishes, cheapest }]
+    filterRestaurants(restaurants, filter) {
+        return restaurants
+            .map(restaurant => {
+                const menu = Object.values(restaurant.menu || {}).flat();
+                const dishes = menu.filter(dish => this.matches(dish, filter));
+                const cheapest = dishes.length ? Math.min(...dishes.map(dish => dish.price)) : null;
+                return { restaurant, dishes, cheapest };
+            })
+            .filter(({ dishes }) => dishes.length > 0)
+            .sort((a, b) => {
+                if (filter.cheap && a.cheapest !== b.cheapest) return a.cheapest - b.cheapest;
+                if (b.dishes.length !== a.dishes.length) return b.dishes.length - a.dishes.length;
+                return b.restaurant.rating - a.restaurant.rating;
+            });
+    }
+
+    // "💰 6 dishes under ₹150, from ₹60"
+    summarizeMatch({ dishes, cheapest }, filter) {
+        const count = `${dishes.length} dish${dishes.length === 1 ? '' : 'es'}`;
+        return `💰 ${count} ${filter.label}, from ₹${cheapest}`;
+    }
+}
+
+window.priceFilter = new PriceFilter(window.appConfig?.priceFilters);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceFilter;
+}
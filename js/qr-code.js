@@ -22,7 +22,10 @@ class QRCodeSystem {
         const unique = urlParams.get('unique');
 
         if (restaurantId && mode === 'restaurant') {
-            this.handleQRAccess(restaurantId, unique);
+            // Resolve the restaurant only once the catalog has loaded
+            window.restaurantRepository.getRestaurants()
+                .then(() => this.handleQRAccess(restaurantId, unique))
+                .catch(() => this.showError("Couldn't load restaurant data. Please scan the QR code again."));
         }
     }
 
@@ -81,20 +84,12 @@ class QRCodeSystem {
         const quickActions = document.createElement('div');
         quickActions.className = 'quick-actions';
         quickActions.innerHTML = `
-            <button class="quick-btn" data-action="view-menu">📋 View Menu</button>
-            <button class="quick-btn" data-action="view-cart">🛒 View Cart</button>
-            <button class="quick-btn" data-action="track-order">📱 Track Order</button>
-            <button class="quick-btn" data-action="help">❓ Help</button>
+            <button class="quick-btn" data-action="qr-quick-action" data-quick-action="view-menu">📋 View Menu</button>
+            <button class="quick-btn" data-action="qr-quick-action" data-quick-action="view-cart">🛒 View Cart</button>
+            <button class="quick-btn" data-action="qr-quick-action" data-quick-action="track-order">📱 Track Order</button>
+            <button class="quick-btn" data-action="qr-quick-action" data-quick-action="help">❓ Help</button>
         `;
         document.querySelector('.chat-container')?.prepend(quickActions);
-
-        // Add event listeners for quick actions
-        quickActions.querySelectorAll('.quick-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const action = btn.dataset.action;
-                this.handleQuickAction(action);
-            });
-        });
     }
 
     handleQuickAction(action) {
@@ -129,6 +124,11 @@ class QRCodeSystem {
     }
 
     bindQREvents() {
+        // Quick action buttons shown in table mode
+        window.actionDispatcher.register({
+            'qr-quick-action': (button) => this.handleQuickAction(button.dataset.quickAction)
+        });
+
         // QR Generator button
         document.getElementById('qrGeneratorBtn')?.addEventListener('click', () => {
             this.showQRGenerator();
@@ -214,14 +214,23 @@ class QRCodeSystem {
 
     populateRestaurantDropdown() {
         const select = document.getElementById('restaurantSelect');
-        if (select && window.chatbotAI) {
-            window.chatbotAI.nearbyRestaurants.forEach(restaurant => {
+        if (!select) return;
+
+        const render = (restaurants) => {
+            // Keep the placeholder option, rebuild the rest
+            select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+            restaurants.forEach(restaurant => {
                 const option = document.createElement('option');
                 option.value = restaurant.id;
                 option.textContent = `${restaurant.name} (${restaurant.location})`;
                 select.appendChild(option);
             });
-        }
+        };
+
+        window.restaurantRepository.getRestaurants()
+            .then(render)
+            .catch(error => console.error('Error loading restaurants for QR generator:', error));
+        window.restaurantRepository.subscribe(render);
     }
 
     updateQRPreview() {
@@ -483,10 +492,7 @@ class QRCodeSystem {
     }
 
     findRestaurantById(id) {
-        if (window.chatbotAI) {
-            return window.chatbotAI.nearbyRestaurants.find(r => r.id === id);
-        }
-        return null;
+        return window.restaurantRepository.getRestaurantById(id);
     }
 
     showSuccess(message) {
@@ -0,0 +1,218 @@
+// ===== RECOMMENDATION ENGINE =====
+// Learns what a user likes from their orders, cart additions and searches,
+// weighted by how recent they are and the time of day they happened, and
+// ranks dishes with a short reason ("because you often order South Indian
+// breakfasts"). Runs entirely on the device; the signals live in localStorage.
+
+class RecommendationEngine {
+    constructor(repository, config = {}) {
+        this.repository = repository;
+        this.storageKey = config.storageKey || 'foodiebot_taste_profile';
+        this.maxEvents = config.maxEvents ?? 200;
+        this.halfLifeDays = config.halfLifeDays ?? 14;
+        this.weights = { order: 3, cart: 1, search: 0.5 };
+
+        // Meal slots by hour, and the dish categories that suit each one
+        // before the user has any history
+        this.mealTimes = [
+            { name: 'breakfast', plural: 'breakfasts', from: 5, to: 11, categories: ['dosa', 'beverage', 'snack'] },
+            { name: 'lunch', plural: 'lunches', from: 11, to: 16, categories: ['biryani', 'curry', 'fried_rice', 'noodles'] },
+            { name: 'evening snack', plural: 'evening snacks', from: 16, to: 19, categories: ['snack', 'beverage', 'fast_food', 'burger'] },
+            { name: 'dinner', plural: 'dinners', from: 19, to: 23, categories: ['biryani', 'curry', 'pizza', 'noodles'] },
+            { name: 'late-night bite', plural: 'late-night bites', from: 23, to: 5, categories: ['pizza', 'burger', 'fast_food'] }
+        ];
+
+        this.profile = this.loadProfile();
+    }
+
+    // ===== SIGNALS =====
+    // Each order is learned once, however often the history is replayed
+    recordOrder(order) {
+        if (!order?.id || this.profile.orderIds.includes(order.id)) return;
+        const at = new Date(order.placedAt || Date.now());
+        order.items.forEach(item => {
+            this.addEvent('order', this.describeDish(item), at, item.quantity || 1);
+        });
+        this.profile.orderIds = [...this.profile.orderIds, order.id].slice(-this.maxEvents);
+        this.saveProfile();
+    }
+
+    learnFromOrders(orderHistory = []) {
+        orderHistory.forEach(order => this.recordOrder(order));
+    }
+
+    recordCartAdd(item, quantity = 1) {
+        this.addEvent('cart', this.describeDish(item), new Date(), quantity);
+        this.saveProfile();
+    }
+
+    // { cuisine } or { category } the user searched for
+    recordSearch(search) {
+        if (!search.cuisine && !search.category) return;
+        this.addEvent('search', { cuisine: search.cuisine || null, category: search.category || null }, new Date(), 1);
+        this.saveProfile();
+    }
+
+    addEvent(type, details, at, count) {
+        this.profile.events.push({
+            type,
+            ...details,
+            count,
+            meal: this.getMealTime(at).name,
+            at: at.toISOString()
+        });
+        this.profile.events = this.profile.events.slice(-this.maxEvents);
+    }
+
+    // Dish id, name, category and the restaurant's main cuisine
+    describeDish(item) {
+        const restaurant = this.findRestaurant(item);
+        return {
+            dishId: Number(item.id),
+            name: item.name,
+            category: item.category || null,
+            cuisine: restaurant?.cuisines?.[0]?.toLowerCase() || null
+        };
+    }
+
+    findRestaurant(item) {
+        const restaurants = this.repository.getCachedRestaurants();
+        return restaurants.find(r => r.id === Number(item.restaurantId)) ||
+            restaurants.find(r => r.name === (item.restaurantName || item.restaurant)) ||
+            null;
+    }
+
+    getMealTime(date) {
+        const hour = date.getHours();
+        return this.mealTimes.find(meal => meal.from < meal.to ?
+            hour >= meal.from && hour < meal.to :
+            hour >= meal.from || hour < meal.to);
+    }
+
+    // ===== RANKING =====
+    // [{ dish, score, reason }] best first. dishes defaults to the whole catalog
+    // (pass a filtered list to respect the user's diet and exclusions)
+    recommend(dishes = this.repository.getAllDishes(), { now = new Date(), limit = 5 } = {}) {
+        const meal = this.getMealTime(now);
+        const affinity = this.buildAffinity(now, meal);
+
+        const ranked = dishes
+            .map(dish => this.scoreDish(dish, affinity, meal))
+            .sort((a, b) => b.score - a.score || (b.dish.rating || 0) - (a.dish.rating || 0));
+        return this.diversify(ranked, limit);
+    }
+
+    // One dish per category first, so four biryanis don't crowd out everything else;
+    // the remaining slots are filled in score order
+    diversify(ranked, limit) {
+        const picked = [];
+        const categories = new Set();
+        ranked.forEach(entry => {
+            if (picked.length < limit && !categories.has(entry.dish.category)) {
+                picked.push(entry);
+                categories.add(entry.dish.category);
+            }
+        });
+        ranked.forEach(entry => {
+            if (picked.length < limit && !picked.includes(entry)) picked.push(entry);
+        });
+        return picked.sort((a, b) => b.score - a.score);
+    }
+
+    // Decayed interest per dish, category and cuisine, overall and at this meal time
+    buildAffinity(now, meal) {
+        const affinity = { dish: {}, category: {}, cuisine: {}, mealCuisine: {}, mealCategory: {}, searched: {}, carted: {}, ordered: {} };
+        const add = (table, key, value) => {
+            if (key === null || key === undefined) return;
+            table[key] = (table[key] || 0) + value;
+        };
+
+        this.profile.events.forEach(event => {
+            const ageDays = (now - new Date(event.at)) / 86400000;
+            const value = this.weights[event.type] * event.count * Math.pow(0.5, Math.max(ageDays, 0) / this.halfLifeDays);
+
+            add(affinity.dish, event.dishId, value);
+            add(affinity.category, event.category, value);
+            add(affinity.cuisine, event.cuisine, value);
+            if (event.meal === meal.name) {
+                add(affinity.mealCuisine, event.cuisine, value);
+                add(affinity.mealCategory, event.category, value);
+            }
+            if (event.type === 'search') add(affinity.searched, event.category || event.cuisine, 1);
+            if (event.type === 'cart') add(affinity.carted, event.dishId, event.count);
+            if (event.type === 'order') add(affinity.ordered, event.dishId, 1);
+        });
+        return affinity;
+    }
+
+    scoreDish(dish, affinity, meal) {
+        const restaurant = this.findRestaurant(dish);
+        const cuisine = restaurant?.cuisines?.[0]?.toLowerCase() || null;
+        const signals = {
+            dish: affinity.dish[dish.id] || 0,
+            category: affinity.category[dish.category] || 0,
+            cuisine: affinity.cuisine[cuisine] || 0,
+            mealCuisine: affinity.mealCuisine[cuisine] || 0,
+            mealCategory: affinity.mealCategory[dish.category] || 0,
+            timeDefault: meal.categories.includes(dish.category) ? 1 : 0
+        };
+
+        const score = 3 * signals.dish +
+            1.5 * signals.category +
+            signals.cuisine +
+            signals.mealCuisine +
+            signals.mealCategory +
+            signals.timeDefault +
+            (dish.rating || 0) / 5 +
+            (dish.popular ? 0.3 : 0);
+
+        return {
+            dish,
+            score: Math.round(score * 100) / 100,
+            reason: this.explain(dish, signals, affinity, meal, restaurant)
+        };
+    }
+
+    // The strongest signal, in words
+    explain(dish, signals, affinity, meal, restaurant) {
+        const ordered = affinity.ordered[dish.id] || 0;
+        if (ordered >= 2) return `because you've ordered it ${ordered} times`;
+        // Two or more orders of this cuisine at this time of day
+        if (signals.mealCuisine >= this.weights.order * 1.5 && restaurant) {
+            return `because you often order ${restaurant.cuisines[0]} ${meal.plural}`;
+        }
+        if (ordered === 1) return 'because you ordered it before';
+        if (affinity.carted[dish.id]) return 'because you added it to your cart';
+        if (affinity.searched[dish.category]) return `because you searched for ${dish.category.replace('_', ' ')}`;
+        if (signals.cuisine >= this.weights.order && restaurant) return `because you like ${restaurant.cuisines[0]} food`;
+        if (signals.category > 0) return `because you enjoy ${dish.category.replace('_', ' ')}`;
+        if (signals.timeDefault) return `a popular ${meal.name} pick`;
+        return 'top rated near you';
+    }
+
+    // ===== STORAGE =====
+    loadProfile() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return { events: [], orderIds: [], ...stored };
+        } catch (error) {
+            console.error('Error loading taste profile:', error);
+            return { events: [], orderIds: [] };
+        }
+    }
+
+    saveProfile() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profile));
+        } catch (error) {
+            console.error('Error saving taste profile:', error);
+        }
+    }
+}
+
+window.recommendationEngine = new RecommendationEngine(window.restaurantRepository, window.appConfig?.recommendations);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecommendationEngine;
+}
@@ -0,0 +1,112 @@
+// ===== REFERENCE RESOLVER =====
+// Understands replies that point back at something the bot just showed:
+// "add the second one", "another of those", "what about its price?",
+// "show that restaurant's menu". Parsing lives here; the chat engine keeps
+// the record of shown dishes and restaurants it resolves against.
+
+class ReferenceResolver {
+    constructor(repository) {
+        this.repository = repository;
+        this.ordinals = {
+            'first': 0, 'second': 1, 'third': 2, 'fourth': 3,
+            'fifth': 4, 'sixth': 5, 'seventh': 6, 'eighth': 7, 'last': -1
+        };
+        this.actions = {
+            add: /\b(add|order|take|buy|get me|i'?ll have|i want|another|one more|same again|more of)\b/,
+            price: /\b(price|cost|costs|how much|expensive|rate)\b/,
+            menu: /\bmenu\b/,
+            details: /\b(show|open|tell me|more about|details?|about|what is|what's|is it|are they|describe|rating|pick|choose|select|go with)\b/
+        };
+    }
+
+    // ===== PARSING =====
+    // { ordinal, pronoun, kind, action, quantity } or null when the message
+    // does not refer back to anything
+    parse(message) {
+        const lowercase = message.toLowerCase().replace(/[’]/g, "'").trim();
+
+        const ordinal = this.parseOrdinal(lowercase);
+        const pronoun = /\b(it|its|it's|that|this|those|these|them|they|their|same|another|one more)\b/.test(lowercase);
+        const action = Object.keys(this.actions).find(name => this.actions[name].test(lowercase)) || null;
+
+        if (ordinal === null && !(pronoun && action)) return null;
+        // A bare "the second one" is a choice; anything longer needs an action word
+        if (ordinal !== null && !action && lowercase.split(/\s+/).length > 4) return null;
+
+        const withoutOrdinal = lowercase.replace(/\b(the\s+)?(first|second|third|fourth|fifth|sixth|seventh|eighth|last|\d+(st|nd|rd|th))\b|\b(number|no\.?|option|#)\s*\d+\b/g, ' ');
+        const quantity = action === 'add' ? window.orderParser.parseQuantity(withoutOrdinal).quantity : 1;
+
+        return { ordinal, pronoun, kind: this.parseKind(lowercase, action), action, quantity };
+    }
+
+    // 0-based position in the last list, -1 for "the last one"
+    parseOrdinal(lowercase) {
+        const numbered = lowercase.match(/\b(?:number|no\.?|option|item)\s*(\d+)\b|#\s*(\d+)\b/);
+        if (numbered) return parseInt(numbered[1] || numbered[2]) - 1;
+
+        const match = lowercase.match(/\b(first|second|third|fourth|fifth|sixth|seventh|eighth|last|\d+(?:st|nd|rd|th))\b(?!\s+(of\s+)?(order|orders|time|week|night|booking|reservation|visit|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec))/);
+        if (!match) return null;
+        return match[1] in this.ordinals ? this.ordinals[match[1]] : parseInt(match[1]) - 1;
+    }
+
+    parseKind(lowercase, action) {
+        if (/\b(restaurants?|places?|hotels?|outlets?|their|they)\b/.test(lowercase) || action === 'menu') return 'restaurant';
+        if (/\b(dish|dishes|item|items|food|plate)\b/.test(lowercase) || action === 'add' || action === 'price') return 'dish';
+        return null;
+    }
+
+    // ===== SHOWN ENTITIES =====
+    // Dishes and restaurants a bot response put on screen, in display order;
+    // null for replies that showed nothing to point at
+    extractShown(response) {
+        if (!response || !response.data) return null;
+        const { action, data } = response;
+
+        switch (action) {
+            case 'show_restaurants':
+            case 'show_fast_delivery':
+                return { dishes: [], restaurants: Array.isArray(data) ? data : [] };
+            case 'toggle_eco_mode':
+                return data.restaurants ? { dishes: [], restaurants: data.restaurants } : null;
+            case 'show_menu':
+                return { dishes: this.menuDishes(data), restaurants: [data] };
+            case 'show_dish_cards':
+                return { dishes: data.dishes || [], restaurants: [] };
+            case 'show_popular':
+                return { dishes: data.map(popular => this.findDish(popular.item, popular.restaurant)).filter(Boolean), restaurants: [] };
+            case 'confirm_basket':
+                return { dishes: data.lines.map(line => line.dish), restaurants: [] };
+            case 'add_basket_to_cart':
+                return { dishes: data.items.map(({ item }) => this.repository.getDishById(item.id) || item), restaurants: [] };
+            case 'clarify_dish':
+                return { dishes: data.options || [], restaurants: [] };
+            default:
+                return null;
+        }
+    }
+
+    menuDishes(restaurant) {
+        return Object.values(restaurant.menu || {}).flat().map(item => ({
+            ...item,
+            restaurant: restaurant.name,
+            restaurantId: restaurant.id
+        }));
+    }
+
+    findDish(name, restaurantName) {
+        return this.repository.getAllDishes().find(dish => dish.name === name && dish.restaurant === restaurantName) || null;
+    }
+
+    // Item at a 0-based position, counting -1 from the end
+    pick(list, ordinal) {
+        const index = ordinal < 0 ? list.length + ordinal : ordinal;
+        return list[index] || null;
+    }
+}
+
+window.referenceResolver = new ReferenceResolver(window.restaurantRepository);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReferenceResolver;
+}
@@ -0,0 +1,415 @@
+// ===== TABLE RESERVATIONS =====
+// Parses reservation details out of free text ("tomorrow 8pm for 4"),
+// checks them against each restaurant's opening hours and seating, and keeps
+// the resulting reservation records in localStorage.
+
+class ReservationManager {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'foodiebot_reservations';
+        this.slotMinutes = config.slotMinutes ?? 90;
+        this.lastSeatingMinutes = config.lastSeatingMinutes ?? 60;
+        this.maxDaysAhead = config.maxDaysAhead ?? 30;
+        this.defaultHours = { open: '10:00', close: '23:00' };
+
+        this.weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+        this.months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        this.mealTimes = {
+            breakfast: '09:00', brunch: '11:00', noon: '12:00', lunch: '13:00',
+            afternoon: '15:00', evening: '19:00', dinner: '20:00', tonight: '20:00'
+        };
+        this.numberWords = {
+            one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+            seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2
+        };
+
+        this.reservations = this.loadReservations();
+    }
+
+    // ===== PARSING =====
+    // Every detail found in the message; missing ones are left out
+    parseDetails(text, now = new Date()) {
+        const details = {};
+        const phone = this.parsePhone(text);
+        // Parse the rest without the phone number so its digits are not read as times
+        const rest = phone ? text.replace(phone.raw, ' ') : text;
+
+        const date = this.parseDate(rest, now);
+        const time = this.parseTime(rest);
+        const clockOnly = time && time < '12:00' && this.isAmbiguousTime(rest);
+        const people = this.parsePeople(rest);
+        const name = this.parseName(rest);
+
+        if (date) details.date = date;
+        if (time) details.time = time;
+        if (clockOnly) details.timeIsAmbiguous = true;
+        if (people) details.people = people;
+        if (phone) details.phone = phone.value;
+        if (name) details.name = name;
+        return details;
+    }
+
+    parseDate(text, now = new Date()) {
+        const lower = text.toLowerCase();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        if (/\bday after tomorrow\b/.test(lower)) return this.toISODate(this.addDays(today, 2));
+        if (/\b(tomorrow|tmrw|tmr)\b/.test(lower)) return this.toISODate(this.addDays(today, 1));
+        if (/\b(today|tonight)\b/.test(lower)) return this.toISODate(today);
+
+        // "this saturday", "next friday", "sat"
+        const weekdayMatch = lower.match(/\b(this|next|coming)?\s*(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday)?\b/);
+        if (weekdayMatch) {
+            const target = this.weekdays.findIndex(day => day.startsWith(weekdayMatch[2]));
+            let offset = (target - today.getDay() + 7) % 7;
+            if (offset === 0 && weekdayMatch[1] === 'next') offset = 7;
+            return this.toISODate(this.addDays(today, offset));
+        }
+
+        // "2026-10-25"
+        const isoMatch = lower.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+        if (isoMatch) {
+            return this.buildDate(parseInt(isoMatch[1]), parseInt(isoMatch[2]) - 1, parseInt(isoMatch[3]));
+        }
+
+        // "25/10", "25-10-2026" (day first, as written in India)
+        const numericMatch = lower.match(/\b(\d{1,2})[\/-](\d{1,2})(?:[\/-](\d{2,4}))?\b/);
+        if (numericMatch) {
+            const year = numericMatch[3] ? parseInt(numericMatch[3].padStart(4, '20')) : null;
+            return this.upcomingDate(today, parseInt(numericMatch[2]) - 1, parseInt(numericMatch[1]), year);
+        }
+
+        // "25th oct", "oct 25", "25 october"
+        const monthPattern = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*';
+        const dayMonth = lower.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${monthPattern}\\b`));
+        const monthDay = lower.match(new RegExp(`\\b${monthPattern}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`));
+        if (dayMonth) return this.upcomingDate(today, this.months.indexOf(dayMonth[2]), parseInt(dayMonth[1]));
+        if (monthDay) return this.upcomingDate(today, this.months.indexOf(monthDay[1]), parseInt(monthDay[2]));
+
+        // "on the 25th"
+        const dayOnly = lower.match(/\b(?:on\s+)?(?:the\s+)?(\d{1,2})(st|nd|rd|th)\b/);
+        if (dayOnly) {
+            const day = parseInt(dayOnly[1]);
+            const month = day >= today.getDate() ? today.getMonth() : today.getMonth() + 1;
+            return this.buildDate(today.getFullYear(), month, day);
+        }
+
+        return null;
+    }
+
+    // Returns "HH:MM" (24h); hours without am/pm are settled later against opening hours
+    parseTime(text) {
+        const lower = text.toLowerCase();
+
+        const withMeridiem = lower.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/);
+        if (withMeridiem) {
+            let hours = parseInt(withMeridiem[1]) % 12;
+            if (withMeridiem[3].startsWith('p')) hours += 12;
+            return this.formatClock(hours, parseInt(withMeridiem[2] || '0'));
+        }
+
+        const clock = lower.match(/\b(\d{1,2})[:.](\d{2})\b/);
+        if (clock && parseInt(clock[1]) < 24 && parseInt(clock[2]) < 60) {
+            return this.formatClock(parseInt(clock[1]), parseInt(clock[2]));
+        }
+
+        const atHour = lower.match(/\b(?:at|by|around)\s+(\d{1,2})\b(?!\s*(?:people|persons|guests|pax|st|nd|rd|th))/);
+        if (atHour && parseInt(atHour[1]) < 24) {
+            let hours = parseInt(atHour[1]);
+            // "at 8" in the evening context means 20:00
+            if (hours < 12 && /\b(evening|night|tonight|dinner)\b/.test(lower)) hours += 12;
+            return this.formatClock(hours, 0);
+        }
+
+        const meal = Object.keys(this.mealTimes).find(word => new RegExp(`\\b${word}\\b`).test(lower));
+        return meal ? this.mealTimes[meal] : null;
+    }
+
+    // "at 8" with no am/pm or time-of-day word could be morning or evening
+    isAmbiguousTime(text) {
+        const lower = text.toLowerCase();
+        return !/\d\s*(am|pm|a\.m\.|p\.m\.)/.test(lower) &&
+            !/\b(morning|breakfast|brunch|evening|night|tonight|dinner|lunch|noon|afternoon)\b/.test(lower);
+    }
+
+    parsePeople(text) {
+        const lower = text.toLowerCase();
+        const number = '(\\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+
+        const counted = lower.match(new RegExp(`\\b${number}\\s*(?:people|persons|person|pax|guests|adults|members|of us)\\b`));
+        const forParty = lower.match(new RegExp(`\\b(?:table for|party of|group of|for)\\s+(?:a\\s+)?${number}\\b(?!\\s*(?:am|pm|[:.]\\d|st|nd|rd|th|o'?clock))`));
+        const value = (counted && counted[1]) || (forParty && forParty[1]);
+
+        if (value) return this.toNumber(value);
+        if (/\b(for (a )?couple|for us two|for two of us)\b/.test(lower)) return 2;
+        return null;
+    }
+
+    parsePhone(text) {
+        const match = text.match(/(\+?\d[\d\s-]{8,}\d)/);
+        if (!match) return null;
+        const value = match[1].replace(/[\s-]/g, '');
+        if (value.replace(/\D/g, '').length < 10) return null;
+        return { raw: match[1], value };
+    }
+
+    parseName(text) {
+        const match = text.match(/\b(?:my name is|name is|name's|under(?: the name)?)\s+([a-z][a-z.'-]*(?:\s+[a-z][a-z.'-]*){0,2})/i);
+        if (!match) return null;
+
+        // Stop at the next detail: "under Anil phone 98..." / "under Ravi for 4"
+        const words = match[1].split(/\s+/);
+        const end = words.findIndex(word => /^(and|for|at|on|with|phone|number|mobile|contact|tomorrow|today|tonight)$/i.test(word));
+        const name = (end === -1 ? words : words.slice(0, end)).join(' ');
+        return name && this.isPlausibleName(name) ? this.capitalize(name) : null;
+    }
+
+    // Bare reply to "What name should I book under?"
+    parseNameReply(text) {
+        const name = this.parseName(text) ||
+            text.trim().replace(/^(i am|i'm|it's|this is)\s+/i, '').replace(/[.!]+$/, '');
+        return this.isPlausibleName(name) ? this.capitalize(name) : null;
+    }
+
+    isPlausibleName(name) {
+        return /^[a-z][a-z .'-]{0,39}$/i.test(name) &&
+            !/\b(tomorrow|today|tonight|people|table|book|reserve|pm|am)\b/i.test(name);
+    }
+
+    // ===== VALIDATION =====
+    getOpeningHours(restaurant) {
+        return restaurant?.openingHours || this.defaultHours;
+    }
+
+    // "at 8" is ambiguous; prefer the evening sitting when the restaurant is open then
+    resolveTime(time, restaurant) {
+        const [hours, minutes] = time.split(':').map(Number);
+        if (hours >= 12) return time;
+        const evening = this.formatClock(hours + 12, minutes);
+        return this.isWithinHours(evening, restaurant) ? evening : time;
+    }
+
+    isWithinHours(time, restaurant) {
+        const { open, close } = this.getOpeningHours(restaurant);
+        const minutes = this.toMinutes(time);
+        return minutes >= this.toMinutes(open) && minutes <= this.toMinutes(close) - this.lastSeatingMinutes;
+    }
+
+    // Returns { slot, message } for the first problem found, or null
+    validate(details, restaurant, ignoreId = null, now = new Date()) {
+        const { date, time, people } = details;
+        const today = this.toISODate(now);
+
+        if (date) {
+            if (date < today) {
+                return { slot: 'date', message: "That date has already passed. Which day would you like instead?" };
+            }
+            const lastDay = this.toISODate(this.addDays(now, this.maxDaysAhead));
+            if (date > lastDay) {
+                return { slot: 'date', message: `We take bookings up to ${this.maxDaysAhead} days ahead. Could you pick an earlier date?` };
+            }
+        }
+
+        if (time && restaurant && !this.isWithinHours(time, restaurant)) {
+            const { open, close } = this.getOpeningHours(restaurant);
+            const lastSeating = this.formatClockMinutes(this.toMinutes(close) - this.lastSeatingMinutes);
+            return {
+                slot: 'time',
+                message: `${restaurant.name} is open ${this.formatTime(open)} - ${this.formatTime(close)}, with last seating at ${this.formatTime(lastSeating)}. What time works for you?`
+            };
+        }
+
+        if (date && time && date === today && this.toMinutes(time) <= now.getHours() * 60 + now.getMinutes()) {
+            return { slot: 'time', message: "That time has already passed today. What later time works for you?" };
+        }
+
+        if (people && restaurant) {
+            const maxPartySize = restaurant.seating?.maxPartySize;
+            if (people < 1) {
+                return { slot: 'people', message: "How many people should I book for?" };
+            }
+            if (maxPartySize && people > maxPartySize) {
+                return {
+                    slot: 'people',
+                    message: `${restaurant.name} takes table bookings for up to ${maxPartySize} people. For bigger groups, please call ${restaurant.name} directly - or tell me a smaller party size.`
+                };
+            }
+        }
+
+        if (date && time && people && restaurant) {
+            const seatsLeft = this.getSeatsLeft(restaurant, date, time, ignoreId);
+            if (people > seatsLeft) {
+                return {
+                    slot: 'time',
+                    message: seatsLeft > 0 ?
+                        `Only ${seatsLeft} seat${seatsLeft !== 1 ? 's are' : ' is'} left at ${restaurant.name} around ${this.formatTime(time)}. Could you try another time?` :
+                        `${restaurant.name} is fully booked around ${this.formatTime(time)}. Could you try another time?`
+                };
+            }
+        }
+
+        if (details.phone && !this.isValidPhone(details.phone)) {
+            return { slot: 'phone', message: "That phone number doesn't look right. Please share a valid mobile number (e.g. +91 98765 43210)." };
+        }
+
+        return null;
+    }
+
+    isValidPhone(phone) {
+        return window.securityManager ? window.securityManager.validatePhone(phone) : /^\+?\d{10,15}$/.test(phone);
+    }
+
+    // Seats not yet taken by overlapping bookings
+    getSeatsLeft(restaurant, date, time, ignoreId = null) {
+        const capacity = restaurant.seating?.capacity;
+        if (!capacity) return Infinity;
+
+        const start = this.toMinutes(time);
+        const booked = this.reservations
+            .filter(r => r.status === 'confirmed' && r.id !== ignoreId)
+            .filter(r => r.restaurantId === restaurant.id && r.date === date)
+            .filter(r => Math.abs(this.toMinutes(r.time) - start) < this.slotMinutes)
+            .reduce((sum, r) => sum + r.people, 0);
+
+        return Math.max(capacity - booked, 0);
+    }
+
+    // ===== RECORDS =====
+    create(details, restaurant) {
+        const reservation = {
+            id: this.generateReservationId(),
+            restaurantId: restaurant.id,
+            restaurantName: restaurant.name,
+            name: details.name,
+            date: details.date,
+            time: details.time,
+            people: details.people,
+            phone: details.phone,
+            status: 'confirmed',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.reservations.push(reservation);
+        this.saveReservations();
+        return reservation;
+    }
+
+    update(id, changes) {
+        const reservation = this.get(id);
+        if (!reservation) return null;
+
+        Object.assign(reservation, changes, { updatedAt: new Date().toISOString() });
+        this.saveReservations();
+        return reservation;
+    }
+
+    cancel(id) {
+        return this.update(id, { status: 'cancelled' });
+    }
+
+    get(id) {
+        return this.reservations.find(r => r.id === String(id).toUpperCase()) || null;
+    }
+
+    // Confirmed bookings from today on, soonest first
+    getUpcoming(now = new Date()) {
+        const today = this.toISODate(now);
+        return this.reservations
+            .filter(r => r.status === 'confirmed' && r.date >= today)
+            .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+    }
+
+    generateReservationId() {
+        const timestamp = Date.now().toString();
+        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+        return `RSV${timestamp.slice(-6)}${random}`;
+    }
+
+    loadReservations() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error loading reservations:', error);
+            return [];
+        }
+    }
+
+    saveReservations() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.reservations));
+        } catch (error) {
+            console.error('Error saving reservations:', error);
+        }
+    }
+
+    // ===== FORMATTING =====
+    formatDate(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    }
+
+    formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const suffix = hours >= 12 ? 'PM' : 'AM';
+        return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+    }
+
+    formatReservation(reservation) {
+        return `**${reservation.id}** - ${reservation.restaurantName}\n` +
+            `📅 ${this.formatDate(reservation.date)} at ${this.formatTime(reservation.time)} • 👥 ${reservation.people} ` +
+            `• 👤 ${reservation.name} • 📞 ${reservation.phone}`;
+    }
+
+    // ===== HELPERS =====
+    toISODate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    buildDate(year, month, day) {
+        const date = new Date(year, month, day);
+        // Reject overflow such as 31/02
+        return date.getDate() === day ? this.toISODate(date) : null;
+    }
+
+    // Next occurrence of a day/month, rolling into next year when already past
+    upcomingDate(today, month, day, year = null) {
+        if (month < 0 || month > 11) return null;
+        if (year) return this.buildDate(year, month, day);
+        const thisYear = this.buildDate(today.getFullYear(), month, day);
+        return thisYear && thisYear >= this.toISODate(today) ? thisYear : this.buildDate(today.getFullYear() + 1, month, day);
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    formatClock(hours, minutes) {
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    formatClockMinutes(totalMinutes) {
+        return this.formatClock(Math.floor(totalMinutes / 60), totalMinutes % 60);
+    }
+
+    toNumber(value) {
+        return /^\d+$/.test(value) ? parseInt(value) : this.numberWords[value] || null;
+    }
+
+    capitalize(name) {
+        return name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+    }
+}
+
+window.reservationManager = new ReservationManager(window.appConfig?.reservations);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReservationManager;
+}
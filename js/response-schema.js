@@ -0,0 +1,145 @@
+// ===== CHAT RESPONSE SCHEMA =====
+// Bot replies as typed blocks: text, a restaurant carousel, a dish list, a
+// menu, quick-reply chips, confirm/cancel buttons and an order summary.
+// FoodieBotApp.renderResponse draws them; chip and button taps are sent back
+// as the user's next message. Handlers may return blocks (or just chips) next
+// to { text, action, data }; replies without blocks get them from their action.
+
+class ResponseSchema {
+    constructor(repository, config = {}) {
+        this.repository = repository;
+        this.version = 1;
+        this.maxChips = config.maxChips ?? 6;
+        this.maxCarouselItems = config.maxCarouselItems ?? 10;
+    }
+
+    // ===== BLOCKS =====
+    text(text) {
+        return { type: 'text', text };
+    }
+
+    restaurants(restaurants, title = null) {
+        return { type: 'restaurants', title, restaurants: restaurants.slice(0, this.maxCarouselItems) };
+    }
+
+    // dishes carry restaurant and restaurantId; note is shown under each one
+    dishes(dishes, title = null) {
+        return { type: 'dishes', title, dishes };
+    }
+
+    menu(restaurant) {
+        return { type: 'menu', restaurant };
+    }
+
+    // options: 'message' or { label, message }
+    chips(options) {
+        return {
+            type: 'chips',
+            options: options
+                .map(option => typeof option === 'string' ? { label: option, message: option } : option)
+                .filter(option => option?.label && option.message)
+                .slice(0, this.maxChips)
+        };
+    }
+
+    confirm(confirm, cancel) {
+        return { type: 'confirm', confirm, cancel };
+    }
+
+    // lines: [{ name, restaurant, quantity, price }], totals: { subtotal, total, ... }
+    orderSummary(title, lines, totals = {}) {
+        return { type: 'order_summary', title, lines, totals };
+    }
+
+    // ===== RESPONSES =====
+    // { version, text, stream, blocks, action, data }; the text comes first
+    normalize(response) {
+        if (!response) return null;
+        if (response.version === this.version) return response;
+
+        let blocks;
+        try {
+            blocks = response.blocks ? [...response.blocks] : this.blocksFor(response.action, response.data);
+        } catch (error) {
+            console.error('Error building response blocks:', error);
+            blocks = [];
+        }
+        if (response.chips?.length) {
+            blocks.push(this.chips(response.chips));
+        }
+
+        return {
+            version: this.version,
+            text: response.text || '',
+            stream: response.stream || null,
+            blocks: [...(response.text || response.stream ? [this.text(response.text)] : []), ...blocks.filter(block => block?.type !== 'text')],
+            action: response.action || null,
+            data: response.data ?? null
+        };
+    }
+
+    // Blocks for replies that only set an action; also used for history entries
+    // recorded before blocks existed
+    blocksFor(action, data) {
+        if (!data) return [];
+
+        switch (action) {
+            case 'show_restaurants':
+            case 'show_fast_delivery':
+                return Array.isArray(data) && data.length ? [this.restaurants(data)] : [];
+            case 'toggle_eco_mode':
+                return data.restaurants?.length ? [this.restaurants(data.restaurants, '🌱 Greenest first')] : [];
+            case 'show_menu':
+                return [this.menu(data)];
+            case 'show_dish_cards':
+                return data.dishes?.length ? [this.dishes(data.dishes, data.title || null)] : [];
+            case 'show_popular':
+                return data.length ? [this.dishes(data.map(popular => this.findPopularDish(popular)))] : [];
+            case 'confirm_basket':
+                return [
+                    this.basketSummary(data.lines),
+                    this.confirm({ label: '✅ Add to cart', message: 'Yes, add to my cart' }, { label: 'No thanks', message: 'No thanks' })
+                ];
+            case 'show_meal_plans':
+                return [this.chips(data.plans.map((plan, index) => ({ label: `Option ${index + 1}: ${plan.label}`, message: `Option ${index + 1}` })))];
+            case 'clarify_intent':
+                return [this.choiceChips(data.options, option => window.intentClassifier.getDescription(option))];
+            case 'clarify_dish':
+                return [this.choiceChips(data.options, dish => `${dish.name} (${dish.restaurant})`)];
+            case 'clarify_cart_line':
+                return [this.choiceChips(data.options, line => `${line.name} × ${line.quantity}`)];
+            default:
+                return [];
+        }
+    }
+
+    // "1. Masala Dosa (Udupi Grand)": the number picks the option, the name is for the user
+    choiceChips(options, getLabel) {
+        return this.chips(options.map((option, index) => {
+            const label = getLabel(option);
+            return { label, message: `${index + 1}. ${label}` };
+        }));
+    }
+
+    basketSummary(lines) {
+        const parser = window.orderParser;
+        return this.orderSummary('🧺 Your order', lines.map(line => {
+            const item = parser.toCartItem(line);
+            return { name: item.name, restaurant: item.restaurant, quantity: line.quantity, price: parser.lineTotal(line) };
+        }), { subtotal: parser.basketTotal(lines) });
+    }
+
+    // Trending and recommended dishes are sent as names; the card needs the dish
+    findPopularDish(popular) {
+        const dish = this.repository.getAllDishes()
+            .find(candidate => candidate.name === popular.item && candidate.restaurant === popular.restaurant);
+        return { ...(dish || { name: popular.item, restaurant: popular.restaurant, price: popular.price }), note: popular.reason };
+    }
+}
+
+window.responseSchema = new ResponseSchema(window.restaurantRepository, window.appConfig?.responses);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseSchema;
+}
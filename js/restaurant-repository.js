@@ -0,0 +1,235 @@
+// ===== RESTAURANT DATA REPOSITORY =====
+// Single source of truth for restaurants and menus. Every part of the app
+// (chatbot, QR ordering, menu views) reads from here so a dish can only ever
+// have one price. Where the data comes from is decided by a swappable adapter.
+
+// ===== ADAPTERS =====
+class BundledJSONAdapter {
+    constructor(url = './data/restaurants.json') {
+        this.name = 'bundled';
+        this.url = url;
+    }
+
+    async fetchRestaurants() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Bundled catalog unavailable: ${response.status}`);
+        }
+        const data = await response.json();
+        return data.restaurants || [];
+    }
+}
+
+class RestAPIAdapter {
+    constructor(endpoints = {}) {
+        this.name = 'api';
+        this.endpoints = {
+            restaurants: '/api/restaurants',
+            ...endpoints
+        };
+    }
+
+    async fetchRestaurants() {
+        const response = await fetch(this.endpoints.restaurants, {
+            method: 'GET',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`API Error: ${response.status}`);
+        }
+        const data = await response.json();
+        return data.restaurants || [];
+    }
+}
+
+class InMemoryAdapter {
+    constructor(restaurants = []) {
+        this.name = 'memory';
+        this.restaurants = JSON.parse(JSON.stringify(restaurants));
+    }
+
+    async fetchRestaurants() {
+        return JSON.parse(JSON.stringify(this.restaurants));
+    }
+
+    setRestaurants(restaurants) {
+        this.restaurants = JSON.parse(JSON.stringify(restaurants));
+    }
+}
+
+// ===== REPOSITORY =====
+class RestaurantRepository {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.fallbackAdapter = options.fallbackAdapter || null;
+        this.restaurants = [];
+        this.loaded = false;
+        this.loadPromise = null;
+        this.listeners = new Set();
+    }
+
+    setAdapter(adapter, fallbackAdapter = this.fallbackAdapter) {
+        this.adapter = adapter;
+        this.fallbackAdapter = fallbackAdapter;
+        this.loaded = false;
+        this.loadPromise = null;
+        return this.load();
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchFromAdapters()
+                .then(restaurants => {
+                    this.restaurants = restaurants.map(r => this.normalizeRestaurant(r));
+                    this.loaded = true;
+                    this.notify();
+                    return this.restaurants;
+                })
+                .catch(error => {
+                    // Allow a later call to retry instead of caching the failure
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    async fetchFromAdapters() {
+        try {
+            return await this.adapter.fetchRestaurants();
+        } catch (error) {
+            if (!this.fallbackAdapter) throw error;
+            console.warn(`Restaurant adapter "${this.adapter.name}" failed, using "${this.fallbackAdapter.name}":`, error);
+            return this.fallbackAdapter.fetchRestaurants();
+        }
+    }
+
+    refresh() {
+        this.loadPromise = null;
+        return this.load();
+    }
+
+    normalizeRestaurant(restaurant) {
+        const id = Number(restaurant.id);
+        const menu = {};
+        Object.entries(restaurant.menu || {}).forEach(([section, items]) => {
+            menu[section] = items.map(item => ({ ...item, id: Number(item.id) }));
+        });
+        return {
+            offers: [],
+            cuisines: [],
+            isOpen: true,
+            ...restaurant,
+            id,
+            menu
+        };
+    }
+
+    // ===== QUERIES =====
+    async getRestaurants() {
+        if (!this.loaded) {
+            await this.load();
+        }
+        return this.restaurants;
+    }
+
+    // Synchronous snapshot for callers that cannot wait (may be empty before load)
+    getCachedRestaurants() {
+        return this.restaurants;
+    }
+
+    isLoaded() {
+        return this.loaded;
+    }
+
+    getRestaurantById(id) {
+        return this.restaurants.find(r => r.id === Number(id)) || null;
+    }
+
+    async getMenu(restaurantId) {
+        const restaurant = (await this.getRestaurants()).find(r => r.id === Number(restaurantId));
+        return restaurant ? restaurant.menu : null;
+    }
+
+    // Every dish, flattened, with the owning restaurant attached
+    getAllDishes() {
+        const dishes = [];
+        this.restaurants.forEach(restaurant => {
+            Object.values(restaurant.menu).forEach(items => {
+                items.forEach(item => {
+                    dishes.push({
+                        ...item,
+                        restaurant: restaurant.name,
+                        restaurantId: restaurant.id
+                    });
+                });
+            });
+        });
+        return dishes;
+    }
+
+    getDishById(dishId) {
+        return this.getAllDishes().find(dish => dish.id === Number(dishId)) || null;
+    }
+
+    // ===== UPDATES =====
+    updateRestaurant(restaurant) {
+        const updated = this.normalizeRestaurant(restaurant);
+        const index = this.restaurants.findIndex(r => r.id === updated.id);
+        if (index === -1) {
+            this.restaurants.push(updated);
+        } else {
+            this.restaurants[index] = { ...this.restaurants[index], ...updated };
+        }
+        this.notify();
+    }
+
+    updateMenu(restaurantId, menu) {
+        const restaurant = this.getRestaurantById(restaurantId);
+        if (!restaurant) return;
+        this.updateRestaurant({ ...restaurant, menu });
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.restaurants);
+            } catch (error) {
+                console.error('Restaurant repository listener failed:', error);
+            }
+        });
+    }
+}
+
+// Build the shared repository from config (bundled JSON by default)
+function createRestaurantRepository(config = {}) {
+    const bundled = new BundledJSONAdapter(config.bundledUrl);
+    if (config.adapter === 'api') {
+        return new RestaurantRepository(new RestAPIAdapter(config.endpoints), { fallbackAdapter: bundled });
+    }
+    return new RestaurantRepository(bundled);
+}
+
+// Only in the browser, so the module can also be required under Node
+if (typeof window !== 'undefined') {
+    window.restaurantRepository = createRestaurantRepository(window.appConfig?.restaurants);
+    window.restaurantRepository.load().catch(error => {
+        console.error('Error loading restaurant data:', error);
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RestaurantRepository,
+        BundledJSONAdapter,
+        RestAPIAdapter,
+        InMemoryAdapter,
+        createRestaurantRepository
+    };
+}
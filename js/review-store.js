@@ -0,0 +1,172 @@
+// ===== REVIEWS & RATINGS =====
+// Star ratings and short reviews left after an order arrives. Each restaurant's
+// and dish's rating becomes a blend of its catalog rating and the stars given
+// here, written back into the restaurant repository so rankings, "best dishes"
+// and the restaurant cards all use it. Also summarizes what reviewers say.
+
+class ReviewStore {
+    constructor(repository, config = {}) {
+        this.repository = repository;
+        this.storageKey = config.storageKey || 'foodiebot_reviews';
+        this.maxReviews = config.maxReviews ?? 500;
+        // The catalog rating counts as this many reviews, so one review can't swing it
+        this.priorWeight = config.priorWeight ?? 10;
+
+        // Things reviewers talk about, for summaries
+        this.themes = [
+            { label: 'taste', words: ['tasty', 'delicious', 'flavour', 'flavor', 'flavourful', 'yummy', 'taste', 'bland', 'tasteless'] },
+            { label: 'spice level', words: ['spicy', 'spice', 'mild', 'hot'] },
+            { label: 'portion size', words: ['portion', 'portions', 'quantity', 'filling', 'small', 'huge', 'generous'] },
+            { label: 'freshness', words: ['fresh', 'stale', 'cold', 'soggy', 'crispy', 'warm'] },
+            { label: 'value', words: ['value', 'worth', 'price', 'cheap', 'expensive', 'overpriced', 'affordable'] },
+            { label: 'delivery', words: ['delivery', 'late', 'quick', 'fast', 'slow', 'packaging', 'packed', 'spilled'] }
+        ];
+
+        this.reviews = this.loadReviews();
+        this.applying = false;
+        // Re-apply after every catalog load or update (the catalog's own ratings come back)
+        this.repository.subscribe(() => this.applyRatings());
+    }
+
+    // ===== REVIEWS =====
+    // review: { orderId, restaurantId, restaurantRating, dishes: [{ dishId, rating }], text }
+    // One review per order and restaurant; reviewing again replaces it
+    addReview(review) {
+        const restaurant = this.repository.getRestaurantById(review.restaurantId);
+        if (!restaurant) return null;
+
+        const record = {
+            id: `${review.orderId}-${restaurant.id}`,
+            orderId: review.orderId,
+            restaurantId: restaurant.id,
+            restaurantName: restaurant.name,
+            restaurantRating: this.toStars(review.restaurantRating),
+            dishes: (review.dishes || [])
+                .map(dish => ({ dishId: Number(dish.dishId), name: dish.name, rating: this.toStars(dish.rating) }))
+                .filter(dish => dish.rating),
+            text: String(review.text || '').trim().slice(0, 500),
+            createdAt: new Date().toISOString()
+        };
+        if (!record.restaurantRating && record.dishes.length === 0 && !record.text) return null;
+
+        this.reviews = [...this.reviews.filter(existing => existing.id !== record.id), record].slice(-this.maxReviews);
+        this.saveReviews();
+        this.applyRatings();
+        return record;
+    }
+
+    hasReviewed(orderId) {
+        return this.reviews.some(review => review.orderId === orderId);
+    }
+
+    getRestaurantReviews(restaurantId) {
+        return this.reviews.filter(review => review.restaurantId === Number(restaurantId));
+    }
+
+    getDishReviews(dishId) {
+        return this.reviews.filter(review => review.dishes.some(dish => dish.dishId === Number(dishId)));
+    }
+
+    // Whole stars 1-5, or null
+    toStars(value) {
+        const stars = Math.round(Number(value));
+        return stars >= 1 && stars <= 5 ? stars : null;
+    }
+
+    // ===== RATINGS =====
+    // Catalog rating blended with review stars, to one decimal
+    blend(baseRating, stars) {
+        if (stars.length === 0) return baseRating;
+        const total = baseRating * this.priorWeight + stars.reduce((sum, star) => sum + star, 0);
+        return Math.round(total / (this.priorWeight + stars.length) * 10) / 10;
+    }
+
+    // Writes the blended ratings into the repository. baseRating keeps the
+    // catalog's own value so ratings are never blended twice
+    applyRatings() {
+        // Each update notifies the repository's listeners, this store included
+        if (this.applying) return;
+        this.applying = true;
+        this.repository.getCachedRestaurants().forEach(restaurant => {
+            const reviews = this.getRestaurantReviews(restaurant.id);
+            const baseRating = restaurant.baseRating ?? restaurant.rating;
+            // Reviews that only rated dishes or only left text don't count towards the restaurant
+            const stars = reviews.map(review => review.restaurantRating).filter(Boolean);
+            const rating = this.blend(baseRating, stars);
+            let changed = rating !== restaurant.rating || stars.length !== (restaurant.reviewCount ?? 0);
+
+            const menu = {};
+            Object.entries(restaurant.menu).forEach(([section, dishes]) => {
+                menu[section] = dishes.map(dish => {
+                    const dishStars = reviews.flatMap(review => review.dishes.filter(rated => rated.dishId === dish.id).map(rated => rated.rating));
+                    const dishBase = dish.baseRating ?? dish.rating;
+                    const dishRating = this.blend(dishBase, dishStars);
+                    if (dishRating === dish.rating && dishStars.length === (dish.reviewCount ?? 0)) return dish;
+                    changed = true;
+                    return { ...dish, baseRating: dishBase, rating: dishRating, reviewCount: dishStars.length };
+                });
+            });
+
+            if (changed) {
+                this.repository.updateRestaurant({ ...restaurant, baseRating, rating, reviewCount: stars.length, menu });
+            }
+        });
+        this.applying = false;
+    }
+
+    // ===== SUMMARIES =====
+    // { count, average, themes: [{ label, mentions }], quotes } for a restaurant or dish
+    summarize({ restaurantId = null, dishId = null }) {
+        const reviews = dishId !== null ? this.getDishReviews(dishId) : this.getRestaurantReviews(restaurantId);
+        const stars = dishId !== null ?
+            reviews.flatMap(review => review.dishes.filter(dish => dish.dishId === Number(dishId)).map(dish => dish.rating)) :
+            reviews.map(review => review.restaurantRating).filter(Boolean);
+        const texts = reviews.filter(review => review.text).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return {
+            count: reviews.length,
+            average: stars.length ? Math.round(stars.reduce((sum, star) => sum + star, 0) / stars.length * 10) / 10 : null,
+            themes: this.findThemes(texts.map(review => review.text)),
+            quotes: [...new Set(texts.map(review => review.text))].slice(0, 3)
+        };
+    }
+
+    findThemes(texts) {
+        return this.themes
+            .map(theme => ({
+                label: theme.label,
+                mentions: texts.filter(text => {
+                    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+                    return theme.words.some(word => words.includes(word));
+                }).length
+            }))
+            .filter(theme => theme.mentions > 0)
+            .sort((a, b) => b.mentions - a.mentions)
+            .slice(0, 3);
+    }
+
+    // ===== STORAGE =====
+    loadReviews() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+            return [];
+        }
+    }
+
+    saveReviews() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.reviews));
+        } catch (error) {
+            console.error('Error saving reviews:', error);
+        }
+    }
+}
+
+window.reviewStore = new ReviewStore(window.restaurantRepository, window.appConfig?.reviews);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewStore;
+}
@@ -35,7 +35,7 @@ class SecurityManager {
     setCSPMetaTag() {
         const csp = [
             "default-src 'self'",
-            "script-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com https://cdn.jsdelivr.net",
+            "script-src 'self' https://cdnjs.cloudflare.com https://cdn.jsdelivr.net",
             "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdnjs.cloudflare.com",
             "font-src 'self' https://fonts.gstatic.com",
             "img-src 'self' data: https: blob:",
@@ -80,6 +80,8 @@ class SecurityManager {
         // Override innerHTML setter to sanitize content
         const originalInnerHTML = Element.prototype.__lookupSetter__('innerHTML');
         if (originalInnerHTML) {
+            // sanitizeHTML parses through the original setter; going through the override would recurse
+            this.originalInnerHTML = originalInnerHTML;
             Object.defineProperty(Element.prototype, 'innerHTML', {
                 set: function(value) {
                     const sanitized = window.securityManager.sanitizeHTML(value);
@@ -93,7 +95,11 @@ class SecurityManager {
     sanitizeHTML(html) {
         // Create a temporary div to parse HTML
         const temp = document.createElement('div');
-        temp.innerHTML = html;
+        if (this.originalInnerHTML) {
+            this.originalInnerHTML.call(temp, html);
+        } else {
+            temp.innerHTML = html;
+        }
 
         // Remove dangerous elements and attributes
         this.removeDangerousElements(temp);
@@ -0,0 +1,195 @@
+// ===== SUPPORT TICKETS =====
+// Complaints about an order become support tickets: which order, which items,
+// what went wrong and an optional photo. Tickets are kept in localStorage so
+// they survive reloads and offline use, and are sent to /api/support/tickets
+// whenever the browser is online; the server's status replaces the local one.
+
+class SupportTickets {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'foodiebot_support_tickets';
+        this.endpoint = config.endpoint || '/api/support/tickets';
+        this.maxPhotoBytes = (config.maxPhotoKB ?? 300) * 1024;
+        this.refreshMinutes = config.refreshMinutes ?? 5;
+
+        this.issueTypes = {
+            missing_item: { label: 'Missing item', icon: '📦', photo: false, pattern: /\b(missing|didn'?t (get|receive|come)|not (received|delivered|there)|forgot|left out|never (came|arrived))\b/ },
+            wrong_item: { label: 'Wrong item', icon: '🔄', photo: true, pattern: /\b(wrong|incorrect|different|not what i ordered|someone else'?s|swapped)\b/ },
+            quality: { label: 'Food quality', icon: '👎', photo: true, pattern: /\b(cold|stale|bad|terrible|awful|taste[sd]?|undercooked|raw|burnt|burned|spoil(ed|t)|soggy|spilled|spilt|leak(ed|ing)?|hair|quality|inedible|smell[sy]?)\b/ },
+            late: { label: 'Late delivery', icon: '⏰', photo: false, pattern: /\b(late|delay(ed)?|took (forever|too long|ages)|slow|still waiting)\b/ }
+        };
+        this.statuses = {
+            open: '🟡 Open',
+            in_review: '🔵 In review',
+            resolved: '🟢 Resolved',
+            closed: '⚪ Closed'
+        };
+
+        this.tickets = this.loadTickets();
+        this.syncing = false;
+        this.syncedAt = 0;
+
+        window.addEventListener('online', () => this.sync());
+        this.sync();
+    }
+
+    // ===== PARSING =====
+    // Issue type key described in the text ("it was cold" -> quality), or null
+    parseIssueType(text) {
+        const lowercase = text.toLowerCase();
+        return Object.keys(this.issueTypes).find(key => this.issueTypes[key].pattern.test(lowercase)) || null;
+    }
+
+    // Whether the text reports a problem at all: complaint words or an issue type.
+    // "I'd like 2 biryani" reads much like "I'd like to make a complaint" but has neither
+    describesProblem(text) {
+        return /\b(complain\w*|problem|issue|refund|disappointed|unhappy|not happy|rude)\b/i.test(text) ||
+            this.parseIssueType(text) !== null;
+    }
+
+    needsPhoto(issueType) {
+        return this.issueTypes[issueType]?.photo === true;
+    }
+
+    isValidPhoto(photo) {
+        return typeof photo === 'string' && /^data:image\/(png|jpe?g|webp);base64,/.test(photo) && photo.length <= this.maxPhotoBytes * 4 / 3;
+    }
+
+    // ===== RECORDS =====
+    // details: { order: { id, restaurants }, items: [{ name, quantity }], issueType, description, photo }
+    create(details) {
+        const now = new Date().toISOString();
+        const ticket = {
+            id: this.generateTicketId(),
+            orderId: details.order.id,
+            restaurants: details.order.restaurants || [],
+            items: details.items.map(item => ({ name: item.name, quantity: item.quantity || 1 })),
+            issueType: details.issueType,
+            description: details.description || '',
+            photo: this.isValidPhoto(details.photo) ? details.photo : null,
+            status: 'open',
+            createdAt: now,
+            updatedAt: now,
+            synced: false
+        };
+
+        this.tickets.push(ticket);
+        this.saveTickets();
+        this.sync();
+        return ticket;
+    }
+
+    get(id) {
+        return this.tickets.find(ticket => ticket.id === String(id).toUpperCase()) || null;
+    }
+
+    // Newest first
+    getAll() {
+        return [...this.tickets].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    generateTicketId() {
+        const timestamp = Date.now().toString();
+        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+        return `TKT${timestamp.slice(-6)}${random}`;
+    }
+
+    // ===== SYNC =====
+    // Sends tickets the server hasn't seen, then fetches the status of the rest.
+    // Offline or failing, everything stays queued locally for the next try.
+    async sync() {
+        if (this.syncing || !navigator.onLine) return;
+        this.syncing = true;
+        try {
+            for (const ticket of this.tickets.filter(existing => !existing.synced)) {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ticket })
+                });
+                if (!response.ok) {
+                    throw new Error(`API Error: ${response.status}`);
+                }
+                const data = await response.json().catch(() => ({}));
+                this.applyServerStatus(ticket, data.ticket);
+                ticket.synced = true;
+            }
+
+            const open = this.tickets.filter(ticket => ticket.synced && !['resolved', 'closed'].includes(ticket.status));
+            for (const ticket of open) {
+                const response = await fetch(`${this.endpoint}/${ticket.id}`, {
+                    method: 'GET',
+                    headers: { 'Content-Type': 'application/json' }
+                });
+                if (!response.ok) {
+                    throw new Error(`API Error: ${response.status}`);
+                }
+                const data = await response.json();
+                this.applyServerStatus(ticket, data.ticket);
+            }
+            this.syncedAt = Date.now();
+        } catch (error) {
+            console.error('Error syncing support tickets:', error);
+        } finally {
+            this.saveTickets();
+            this.syncing = false;
+        }
+    }
+
+    // Statuses older than refreshMinutes are fetched again in the background
+    refreshIfStale() {
+        if (Date.now() - this.syncedAt > this.refreshMinutes * 60000) {
+            this.sync();
+        }
+    }
+
+    applyServerStatus(ticket, serverTicket) {
+        if (serverTicket?.status && this.statuses[serverTicket.status] && serverTicket.status !== ticket.status) {
+            ticket.status = serverTicket.status;
+            ticket.updatedAt = serverTicket.updatedAt || new Date().toISOString();
+        }
+        if (serverTicket?.resolution) {
+            ticket.resolution = serverTicket.resolution;
+        }
+    }
+
+    // ===== FORMATTING =====
+    formatIssueTypes() {
+        return Object.values(this.issueTypes)
+            .map((type, index) => `${index + 1}. ${type.icon} ${type.label}`)
+            .join('\n');
+    }
+
+    formatTicket(ticket) {
+        const type = this.issueTypes[ticket.issueType];
+        const items = ticket.items.length ? ticket.items.map(item => `${item.quantity} × ${item.name}`).join(', ') : 'whole order';
+        return `🎫 **${ticket.id}** - ${this.statuses[ticket.status] || ticket.status}\n` +
+            `${type.icon} ${type.label} • Order ${ticket.orderId} • ${items}` +
+            `${ticket.photo ? ' • 📷 photo attached' : ''}${ticket.synced ? '' : ' • ⏳ waiting to sync'}` +
+            `${ticket.resolution ? `\n💬 ${ticket.resolution}` : ''}`;
+    }
+
+    // ===== STORAGE =====
+    loadTickets() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error loading support tickets:', error);
+            return [];
+        }
+    }
+
+    saveTickets() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.tickets));
+        } catch (error) {
+            console.error('Error saving support tickets:', error);
+        }
+    }
+}
+
+window.supportTickets = new SupportTickets(window.appConfig?.support);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SupportTickets;
+}
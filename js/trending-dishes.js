@@ -0,0 +1,152 @@
+// ===== TRENDING DISHES =====
+// Ranks dishes by what people actually order. Every order counts, recent ones
+// count more, and orders are bucketed by delivery area and time of day so
+// "what's popular?" reflects the neighbourhood and the hour. Orders come from
+// the log kept on this device, or from /api/orders when configured.
+
+class TrendingDishes {
+    constructor(repository, mealClock, config = {}) {
+        this.repository = repository;
+        this.mealClock = mealClock;
+        this.source = config.source || 'local';
+        this.ordersUrl = config.ordersUrl || '/api/orders';
+        this.storageKey = config.storageKey || 'foodiebot_order_log';
+        this.maxOrders = config.maxOrders ?? 500;
+        this.windowDays = config.windowDays ?? 30;
+        this.halfLifeDays = config.halfLifeDays ?? 7;
+        this.minOrders = config.minOrders ?? 3;
+        this.refreshMinutes = config.refreshMinutes ?? 5;
+
+        this.orders = this.loadOrders();
+        this.remoteOrders = null;
+        this.fetchedAt = 0;
+        if (this.source === 'api') {
+            this.refresh();
+        }
+    }
+
+    // ===== ORDERS =====
+    // Placed orders are logged with their area; only what ranking needs is kept
+    recordOrder(order) {
+        const record = this.normalizeOrder(order);
+        if (!record || this.orders.some(existing => existing.id === record.id)) return;
+        this.orders = [...this.orders, record].slice(-this.maxOrders);
+        this.saveOrders();
+    }
+
+    // { id, placedAt, area, items: [{ dishId, restaurant, name, quantity }] } or null
+    normalizeOrder(order) {
+        if (!order?.id || !Array.isArray(order.items)) return null;
+        return {
+            id: order.id,
+            placedAt: new Date(order.placedAt || Date.now()).toISOString(),
+            area: order.area || null,
+            items: order.items.map(item => ({
+                dishId: Number(item.dishId ?? item.id),
+                restaurant: item.restaurantName || item.restaurant || null,
+                name: item.name,
+                quantity: item.quantity || 1
+            }))
+        };
+    }
+
+    // Orders from /api/orders when that is the source (this device's own orders
+    // are added in case the server hasn't seen them yet), otherwise the local log
+    getOrders() {
+        if (this.source !== 'api') return this.orders;
+        if (Date.now() - this.fetchedAt > this.refreshMinutes * 60000) {
+            this.refresh();
+        }
+        if (!this.remoteOrders) return this.orders;
+
+        const remoteIds = new Set(this.remoteOrders.map(order => order.id));
+        return [...this.remoteOrders, ...this.orders.filter(order => !remoteIds.has(order.id))];
+    }
+
+    async refresh() {
+        this.fetchedAt = Date.now();
+        try {
+            const response = await fetch(this.ordersUrl, {
+                method: 'GET',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(`API Error: ${response.status}`);
+            }
+            const data = await response.json();
+            this.remoteOrders = (data.orders || []).map(order => this.normalizeOrder(order)).filter(Boolean);
+        } catch (error) {
+            console.error('Error fetching orders for trending dishes:', error);
+        }
+        return this.remoteOrders;
+    }
+
+    // ===== RANKING =====
+    // { label, items: [{ dish, score, orders }] } from the narrowest bucket with
+    // enough orders: this area at this time of day, this area, this time of day,
+    // then everywhere. dishes limits the ranking (e.g. to the user's filters)
+    rank({ dishes = this.repository.getAllDishes(), area = null, now = new Date(), limit = 5 } = {}) {
+        const recent = this.getOrders().filter(order => {
+            const ageDays = (now - new Date(order.placedAt)) / 86400000;
+            return ageDays >= 0 && ageDays <= this.windowDays;
+        });
+        const meal = this.mealClock.getMealTime(now);
+        const areaName = area ? area.split(',')[0] : null;
+        const inArea = order => area && order.area === area;
+        const atMeal = order => this.mealClock.getMealTime(new Date(order.placedAt)).name === meal.name;
+
+        const buckets = [
+            { label: `in ${areaName} at ${meal.name} time`, orders: recent.filter(order => inArea(order) && atMeal(order)) },
+            { label: `in ${areaName}`, orders: recent.filter(inArea) },
+            { label: `at ${meal.name} time`, orders: recent.filter(atMeal) },
+            { label: 'near you', orders: recent }
+        ];
+        const bucket = buckets.find(candidate => candidate.orders.length >= this.minOrders) ||
+            buckets[buckets.length - 1];
+
+        return { label: bucket.label, items: this.score(bucket.orders, dishes, now).slice(0, limit) };
+    }
+
+    // Quantities ordered, halved every halfLifeDays
+    score(orders, dishes, now) {
+        const byDish = new Map();
+        orders.forEach(order => {
+            const weight = Math.pow(0.5, (now - new Date(order.placedAt)) / 86400000 / this.halfLifeDays);
+            order.items.forEach(item => {
+                const entry = byDish.get(item.dishId) || { score: 0, orders: 0 };
+                byDish.set(item.dishId, { score: entry.score + item.quantity * weight, orders: entry.orders + 1 });
+            });
+        });
+
+        return dishes
+            .filter(dish => byDish.has(Number(dish.id)))
+            .map(dish => ({ dish, ...byDish.get(Number(dish.id)) }))
+            .map(entry => ({ ...entry, score: Math.round(entry.score * 100) / 100 }))
+            .sort((a, b) => b.score - a.score || b.orders - a.orders || (b.dish.rating || 0) - (a.dish.rating || 0));
+    }
+
+    // ===== STORAGE =====
+    loadOrders() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error loading order log:', error);
+            return [];
+        }
+    }
+
+    saveOrders() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.orders));
+        } catch (error) {
+            console.error('Error saving order log:', error);
+        }
+    }
+}
+
+window.trendingDishes = new TrendingDishes(window.restaurantRepository, window.recommendationEngine, window.appConfig?.trending);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrendingDishes;
+}
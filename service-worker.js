@@ -16,10 +16,38 @@ const STATIC_ASSETS = [
     '/js/location.js',
     '/js/payment.js',
     '/js/qr-code.js',
+    '/js/faq-editor.js',
     '/js/error-handler.js',
     '/js/performance-optimizer.js',
     '/js/security-manager.js',
+    '/js/action-dispatcher.js',
+    '/js/app-shell.js',
+    '/js/restaurant-repository.js',
+    '/js/fuzzy-matcher.js',
+    '/js/intent-classifier.js',
+    '/js/price-filter.js',
+    '/js/exclusion-filter.js',
+    '/js/dietary-filter.js',
+    '/js/eco-impact.js',
+    '/js/recommendation-engine.js',
+    '/js/trending-dishes.js',
+    '/js/reference-resolver.js',
+    '/js/order-parser.js',
+    '/js/cart-store.js',
+    '/js/cart-command-parser.js',
+    '/js/meal-planner.js',
+    '/js/reservation-manager.js',
+    '/js/faq-knowledge-base.js',
+    '/js/support-tickets.js',
+    '/js/agent-handoff.js',
+    '/js/chat-history.js',
+    '/js/review-store.js',
+    '/js/message-formatter.js',
+    '/js/response-schema.js',
+    '/js/llm-backend.js',
     '/config.js',
+    '/data/restaurants.json',
+    '/data/intents.json',
     '/assets/favicon-32x32.png',
     '/assets/favicon-16x16.png',
     '/assets/apple-touch-icon.png',
@@ -0,0 +1,195 @@
+// ===== CHAT ROUTING CHECK =====
+// Sends the example sentences from the backlog through the chat engine
+// (js/chatbot.js) and checks which kind of reply each one gets: orders are
+// orders, cart edits edit the cart, and questions get their answer rather
+// than whatever intent their words happen to resemble. Runs the page's
+// scripts in Node with the browser APIs they need at load time stubbed;
+// exits non-zero on a failure.
+//
+//   node tools/check-chat-routing.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// The page's scripts, in index.html order, up to the chat engine
+const SCRIPTS = [
+    'config.js', 'js/restaurant-repository.js', 'js/fuzzy-matcher.js', 'js/intent-classifier.js',
+    'js/price-filter.js', 'js/exclusion-filter.js', 'js/dietary-filter.js', 'js/eco-impact.js',
+    'js/recommendation-engine.js', 'js/trending-dishes.js', 'js/reference-resolver.js', 'js/order-parser.js',
+    'js/cart-store.js', 'js/cart-command-parser.js', 'js/meal-planner.js', 'js/reservation-manager.js',
+    'js/faq-knowledge-base.js', 'js/support-tickets.js', 'js/review-store.js', 'js/message-formatter.js',
+    'js/response-schema.js'
+];
+
+global.window = globalThis;
+window.addEventListener = () => {};
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+// The page fetches its data files by relative URL
+global.fetch = async url => new Response(fs.readFileSync(path.join(ROOT, url)));
+
+SCRIPTS.forEach(script => require(path.join(ROOT, script)));
+// PaymentService (js/payment.js) draws the cart modal, so it needs the page;
+// the chat's cart replies only quote its totals
+window.paymentService = {
+    calculateTotals(lines) {
+        const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+        return { subtotal, deliveryFee: 0, taxAmount: 0, total: subtotal, orderType: 'delivery' };
+    },
+    orderHistory: [],
+    calculateCartTotal() {
+        return this.calculateTotals(window.cartStore.getLines());
+    }
+};
+const FoodieBotAI = require(path.join(ROOT, 'js/chatbot.js'));
+
+// A fresh engine, no open dialogue and an empty cart for each check; replies are plain text
+function createBot() {
+    window.cartStore.clear();
+    const bot = new FoodieBotAI();
+    bot.endReservation();
+    bot.endComplaint();
+    bot.addPersonality = response => response;
+    return bot;
+}
+
+// Sends each message in turn and resolves with the last reply. Confirmed
+// baskets are added to the cart as the page would
+async function chat(bot, ...messages) {
+    let reply;
+    for (const message of messages) {
+        reply = await bot.generateResponse(message, []);
+        if (reply.action === 'add_basket_to_cart') {
+            window.cartStore.addMany(reply.data.items);
+        }
+    }
+    return reply;
+}
+
+const checks = {
+    async 'labels FAQ and eco questions by what they ask'() {
+        assert.strictEqual(window.intentClassifier.predict('is there parking').intent, 'restaurant_faq');
+        assert.strictEqual(window.intentClassifier.predict('how much plastic have I saved').intent, 'eco_mode');
+    },
+
+    async 'asks which "delivery" is meant'() {
+        const reply = await chat(createBot(), 'delivery');
+        assert.strictEqual(reply.action, 'clarify_intent');
+    },
+
+    async 'reads several dishes in one message as an order'() {
+        for (const message of ['2 chicken biryani, one masala dosa and 3 idli', 'one masala dosa and 3 idli']) {
+            const reply = await chat(createBot(), message);
+            assert.strictEqual(reply.action, 'confirm_basket', message);
+            assert.match(reply.text, /3 × Idli/, message);
+        }
+    },
+
+    async 'keeps the quantity after "I\'d like"'() {
+        const reply = await chat(createBot(), "I'd like 2 chicken biryani and a masala dosa");
+        assert.strictEqual(reply.action, 'confirm_basket');
+        assert.match(reply.text, /2 × Chicken Biryani/);
+    },
+
+    async 'answers parking and plastic questions'() {
+        assert.match((await chat(createBot(), 'is there parking')).text, /parking/i);
+        assert.match((await chat(createBot(), 'how much plastic have I saved')).text, /plastic/i);
+    },
+
+    async 'filters by price'() {
+        const reply = await chat(createBot(), 'under ₹150');
+        assert.match(reply.text, /under ₹150/);
+    },
+
+    async 'edits the cart'() {
+        const bot = createBot();
+        await chat(bot, 'add a masala dosa and 2 idli', 'yes');
+        assert.match((await chat(bot, 'remove the dosa')).text, /Removed \*\*Masala Dosa\*\*/);
+        assert.match((await chat(bot, 'make the idli 3')).text, /× 3/);
+        assert.match((await chat(bot, 'one less idli')).text, /× 2/);
+        await chat(bot, 'empty my cart');
+        assert.ok(window.cartStore.isEmpty());
+    },
+
+    async 'takes a dish list as an order even with a full cart'() {
+        const bot = createBot();
+        await chat(bot, 'add a masala dosa', 'yes');
+        const reply = await chat(bot, 'one masala dosa and 3 idli');
+        assert.strictEqual(reply.action, 'confirm_basket');
+        assert.strictEqual(window.cartCommandParser.isCartMessage('2 chicken biryani, one masala dosa and 3 idli'), false);
+        assert.match((await chat(bot, 'show my cart')).text, /Here's your cart/);
+    },
+
+    async 'starts a complaint only for a problem'() {
+        assert.notStrictEqual((await chat(createBot(), "I'd like 2 chicken biryani and a masala dosa")).text.includes('order ID'), true);
+        assert.match((await chat(createBot(), 'my food was cold')).text, /say "cancel"/);
+    },
+
+    async 'leaves a complaint for an order, but not for the affected items'() {
+        const bot = createBot();
+        window.paymentService.orderHistory = [{
+            id: 'ORD123456789',
+            placedAt: new Date().toISOString(),
+            items: [{ name: 'Chicken Biryani', quantity: 2 }, { name: 'Masala Dosa', quantity: 1 }]
+        }];
+        try {
+            assert.match((await chat(bot, 'the wrong dish came')).text, /Which items/);
+            assert.match((await chat(bot, '2 chicken biryani and the masala dosa')).text, /photo/);
+            await chat(bot, 'cancel');
+            await chat(bot, 'the dosa was cold');
+            assert.match((await chat(bot, 'the masala dosa')).text, /photo/);
+            const reply = await chat(bot, '2 chicken biryani and a masala dosa');
+            assert.strictEqual(reply.action, 'confirm_basket');
+            assert.match(reply.text, /haven't filed/);
+        } finally {
+            window.paymentService.orderHistory = [];
+        }
+    },
+
+    async 'leaves a booking for a different request'() {
+        const bot = createBot();
+        await chat(bot, 'book a table for 4 tomorrow 8pm');
+        assert.match((await chat(bot, 'Dosa Junction')).text, /name/);
+        assert.match((await chat(bot, 'track my order')).text, /stopped the booking/);
+    },
+
+    async 'puts "talk to a human" through to an agent, mid-booking too'() {
+        const requests = [];
+        // js/agent-handoff.js needs a socket; only the request the chat makes is checked
+        window.agentHandoff = { start: request => requests.push(request) && { id: 'HND123456789' } };
+        try {
+            const bot = createBot();
+            await chat(bot, 'book a table for 4 tomorrow 8pm');
+            const reply = await chat(bot, 'talk to a human');
+            assert.match(reply.text, /Connecting you to a support agent/);
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].reason, 'talk to a human');
+        } finally {
+            delete window.agentHandoff;
+        }
+    }
+};
+
+(async () => {
+    await window.intentClassifier.load();
+    await window.restaurantRepository.getRestaurants();
+    let failed = 0;
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await check();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`not ok - ${name}\n  ${error.message}`);
+        }
+    }
+    console.log(failed ? `${failed} of ${Object.keys(checks).length} checks failed` : 'All checks passed');
+    process.exit(failed ? 1 : 0);
+})();
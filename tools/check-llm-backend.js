@@ -0,0 +1,141 @@
+// ===== LLM BACKEND CHECK =====
+// Runs js/llm-backend.js against tools/llm-stub-server.js and checks that a
+// streamed answer is read token by token, that a garbled chunk is skipped
+// rather than ending the answer, and that an endpoint that is down or failing
+// makes ask() throw and the backend stand aside, so the chat engine keeps its
+// rule-based reply. Starts its own stub servers; exits non-zero on a failure.
+//
+//   node tools/check-llm-backend.js
+
+const { spawn } = require('child_process');
+const assert = require('assert');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8797;
+
+global.window = globalThis;
+require(path.join(ROOT, 'js/fuzzy-matcher.js'));
+const { LanguageModelBackend, OpenAICompatibleAdapter } = require(path.join(ROOT, 'js/llm-backend.js'));
+const { restaurants } = require(path.join(ROOT, 'data/restaurants.json'));
+const { BASE_PATH } = require('./static-server');
+
+// Resolves with the running stub once it is listening
+function startStub(port, env = {}) {
+    return new Promise((resolve, reject) => {
+        const stub = spawn(process.execPath, [path.join(__dirname, 'llm-stub-server.js')], {
+            env: { ...process.env, PORT: String(port), STUB_DELAY_MS: '0', ...env }
+        });
+        stub.once('error', reject);
+        stub.once('exit', code => reject(new Error(`Stub server exited with ${code}`)));
+        stub.stdout.once('data', () => resolve(stub));
+    });
+}
+
+function createBackend(port, config = {}) {
+    return new LanguageModelBackend(window.fuzzyMatcher, {
+        adapter: 'openai',
+        endpoint: `http://localhost:${port}/v1/chat/completions`,
+        timeoutMs: 2000,
+        ...config
+    });
+}
+
+async function collect(tokens) {
+    let text = '';
+    for await (const token of tokens) text += token;
+    return text;
+}
+
+// A response body delivering the given text in the given pieces
+function bodyOf(pieces) {
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        start(controller) {
+            pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+            controller.close();
+        }
+    });
+}
+
+const checks = {
+    async 'streams an answer from the catalog'() {
+        const backend = createBackend(PORT);
+        const tokens = await backend.ask('how much is the chicken biryani', [], restaurants);
+        const text = await collect(tokens);
+        assert.match(text, /Chicken Biryani/);
+        assert.match(text, /₹\d+/);
+        assert.ok(backend.isAvailable());
+    },
+
+    async 'reads a non-streamed answer'() {
+        const text = await collect(await createBackend(PORT, { stream: false }).ask('masala dosa price', [], restaurants));
+        assert.match(text, /Masala Dosa/);
+    },
+
+    async 'skips a garbled chunk and reads events split across reads'() {
+        const adapter = new OpenAICompatibleAdapter();
+        const chunk = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+        const events = chunk('Hello ') + 'data: {"choices": [\n\n' + chunk('there') + 'data: [DONE]\n\n' + chunk('ignored');
+        const errors = [];
+        const consoleError = console.error;
+        console.error = (...args) => errors.push(args);
+        try {
+            const text = await collect(adapter.readEvents(bodyOf([events.slice(0, 20), events.slice(20, 45), events.slice(45)])));
+            assert.strictEqual(text, 'Hello there');
+            assert.strictEqual(errors.length, 1);
+        } finally {
+            console.error = consoleError;
+        }
+    },
+
+    async 'stands aside when the endpoint is down'() {
+        const backend = createBackend(PORT + 1);
+        await assert.rejects(backend.ask('any offers today', [], restaurants));
+        assert.strictEqual(backend.isAvailable(), false);
+    },
+
+    async 'stands aside when the endpoint fails'() {
+        const failing = await startStub(PORT + 2, { STUB_FAIL: '1' });
+        try {
+            const backend = createBackend(PORT + 2);
+            await assert.rejects(backend.ask('any offers today', [], restaurants), /503/);
+            assert.strictEqual(backend.isAvailable(), false);
+        } finally {
+            failing.kill();
+        }
+    },
+
+    async 'serves the app under the base path index.html sets'() {
+        const files = ['', 'config.js', 'js/main.js', 'js/chatbot.js', 'js/payment.js', 'js/faq-editor.js', 'styles/style.css', 'data/restaurants.json'];
+        for (const file of files) {
+            const response = await fetch(`http://localhost:${PORT}${BASE_PATH}${file}`);
+            assert.strictEqual(response.status, 200, BASE_PATH + file);
+        }
+        const root = await fetch(`http://localhost:${PORT}/`, { redirect: 'manual' });
+        assert.strictEqual(root.status, 302);
+        assert.strictEqual(root.headers.get('location'), BASE_PATH);
+        assert.strictEqual((await fetch(`http://localhost:${PORT}/js/main.js`)).status, 404);
+        assert.strictEqual((await fetch(`http://localhost:${PORT}${BASE_PATH}%E0%A4%A`)).status, 400);
+    }
+};
+
+(async () => {
+    const stub = await startStub(PORT);
+    let failed = 0;
+    try {
+        for (const [name, check] of Object.entries(checks)) {
+            try {
+                await check();
+                console.log(`ok - ${name}`);
+            } catch (error) {
+                failed++;
+                console.log(`not ok - ${name}\n  ${error.message}`);
+            }
+        }
+    } finally {
+        stub.kill();
+    }
+    console.log(failed ? `${failed} of ${Object.keys(checks).length} checks failed` : 'All checks passed');
+    process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,108 @@
+// ===== LLM STUB SERVER =====
+// A stand-in for an OpenAI-compatible chat-completions endpoint, for working on
+// the language model backend without a real model or API key. It "answers"
+// by quoting the catalog lines from the system prompt that share words with
+// the question, streamed word by word like the real API. It also serves the
+// app itself, so the endpoint is same-origin and passes the page's CSP.
+//
+//   node tools/llm-stub-server.js            # app and API on http://localhost:8787/Foodiebot-AI/
+//   PORT=9000 STUB_DELAY_MS=0 node tools/llm-stub-server.js
+//   STUB_FAIL=1 node tools/llm-stub-server.js   # every completion returns 503
+//
+// Then set llm.adapter to "openai" in config.js. tools/check-llm-backend.js
+// runs the backend against it.
+
+const http = require('http');
+const { BASE_PATH, sendJSON, serveStatic } = require('./static-server');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DELAY_MS = Number(process.env.STUB_DELAY_MS ?? 30);
+const FAIL = process.env.STUB_FAIL === '1';
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'you', 'your', 'are', 'what', 'which', 'does', 'how', 'with', 'that',
+    'this', 'have', 'there', 'any', 'can', 'about', 'tell', 'from', 'much', 'some', 'they', 'their'
+]);
+
+function words(text) {
+    return (text.toLowerCase().match(/[a-z]{3,}/g) || []).filter(word => !STOP_WORDS.has(word));
+}
+
+// Catalog lines sharing the most words with the question
+function answer(messages) {
+    const system = messages.find(message => message.role === 'system')?.content || '';
+    const question = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const catalog = system.split('CATALOG:')[1] || '';
+    const asked = new Set(words(question));
+
+    const matches = catalog.split('\n')
+        .filter(line => line.startsWith('- '))
+        .map(line => ({ line: line.slice(2), score: words(line).filter(word => asked.has(word)).length }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3);
+
+    if (matches.length === 0) {
+        return "I don't know that one, sorry! Try asking me about our restaurants, menus or prices.";
+    }
+    return `Here's what I found: ${matches.map(match => match.line).join(' | ')}`;
+}
+
+async function stream(res, text, model) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    const id = `chatcmpl-stub-${Date.now()}`;
+    for (const token of text.match(/\S+\s*/g) || []) {
+        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: { content: token }, finish_reason: null }] })}\n\n`);
+        await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+    }
+    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+    res.end('data: [DONE]\n\n');
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'GET') {
+        serveStatic(req, res);
+        return;
+    }
+    if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+        sendJSON(res, 404, { error: { message: 'Not found' } });
+        return;
+    }
+    if (FAIL) {
+        sendJSON(res, 503, { error: { message: 'Stub server is set to fail' } });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let request;
+        try {
+            request = JSON.parse(body);
+        } catch (error) {
+            sendJSON(res, 400, { error: { message: 'Invalid JSON' } });
+            return;
+        }
+
+        const model = request.model || 'stub';
+        const text = answer(request.messages || []);
+        if (request.stream) {
+            stream(res, text, model);
+            return;
+        }
+        sendJSON(res, 200, {
+            id: `chatcmpl-stub-${Date.now()}`,
+            object: 'chat.completion',
+            model,
+            choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+        });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`LLM stub: app on http://localhost:${PORT}${BASE_PATH}, completions on /v1/chat/completions`);
+});
@@ -0,0 +1,68 @@
+// ===== STATIC SERVER =====
+// Serving the app's own files, shared by the development servers in tools/ so
+// each can serve the page it stands in for from the same origin.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// index.html is deployed under a sub-path and its <base href> points every
+// script, style and data file there, so the files are served under that path
+const BASE_PATH = (fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').match(/<base href="([^"]*)"/) || [null, '/'])[1];
+
+// The app's own files, for GET requests. The bare root and the base path
+// without its trailing slash are sent on to the page
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (error) {
+        sendJSON(res, 400, { error: { message: 'Bad request path' } });
+        return;
+    }
+    if (!urlPath.startsWith(BASE_PATH)) {
+        if (urlPath === '/' || urlPath === BASE_PATH.replace(/\/$/, '')) {
+            res.writeHead(302, { Location: BASE_PATH });
+            res.end();
+        } else {
+            sendJSON(res, 404, { error: { message: 'Not found' } });
+        }
+        return;
+    }
+    const relative = urlPath.slice(BASE_PATH.length);
+    const file = path.join(ROOT, relative || 'index.html');
+    if (!file.startsWith(ROOT + path.sep)) {
+        sendJSON(res, 403, { error: { message: 'Forbidden' } });
+        return;
+    }
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            sendJSON(res, 404, { error: { message: 'Not found' } });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+module.exports = {
+    BASE_PATH,
+    CONTENT_TYPES,
+    sendJSON,
+    serveStatic
+};
@@ -0,0 +1,290 @@
+// ===== SUPPORT WEBSOCKET STAND-IN =====
+// A stand-in for the support backend behind /ws/foodiebot, for working on the
+// human agent handoff without one. This terminal is the agent console: new
+// handoffs are listed with their transcript and order context, and whatever is
+// typed goes to the customer being helped. It also serves the app itself, so
+// the socket is same-origin. No dependencies: the WebSocket protocol (text
+// frames, ping and close) is implemented here.
+//
+//   node tools/support-ws-server.js                # app and socket on http://localhost:8788/Foodiebot-AI/
+//   PORT=9000 AGENT_NAME=Ravi node tools/support-ws-server.js
+//   AUTO_AGENT=1 node tools/support-ws-server.js   # joins every handoff and echoes replies
+//
+// Open the app it serves and say "talk to a human" to start a handoff.
+// Console commands: /list, /take <HND id>, /end, /help; anything else is a reply.
+
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+const { BASE_PATH, sendJSON, serveStatic } = require('./static-server');
+
+const PORT = Number(process.env.PORT) || 8788;
+const AGENT_NAME = process.env.AGENT_NAME || 'Priya';
+const AUTO_AGENT = process.env.AUTO_AGENT === '1';
+const WS_PATH = '/ws/foodiebot';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// id -> { handoff, socket, agentJoined, ended }
+const handoffs = new Map();
+let current = null;
+
+// ===== WEBSOCKET FRAMES =====
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Complete frames at the start of buffer: { frames: [{ fin, opcode, payload }], rest }
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+
+        const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ fin, opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function send(socket, message) {
+    if (socket && !socket.destroyed) {
+        socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+    }
+}
+
+function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.url.split('?')[0] !== WS_PATH || !key) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    socket.on('data', chunk => {
+        const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = decoded.rest;
+        decoded.frames.forEach(frame => {
+            if (frame.opcode === 0x8) {
+                socket.end(encodeFrame(0x8));
+            } else if (frame.opcode === 0x9) {
+                socket.write(encodeFrame(0xA, frame.payload));
+            } else if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+                fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    handleMessage(socket, text);
+                }
+            }
+        });
+    });
+    socket.on('error', () => {});
+}
+
+// ===== SUPPORT PROTOCOL =====
+function handleMessage(socket, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        console.log('! Ignoring a message that is not JSON');
+        return;
+    }
+
+    switch (message.type) {
+        case 'subscribe':
+            break;
+        case 'handoff_request': {
+            const handoff = message.handoff;
+            handoffs.set(handoff.id, { handoff, socket, agentJoined: false, ended: false });
+            const position = [...handoffs.values()].filter(entry => !entry.agentJoined && !entry.ended).length;
+            send(socket, { type: 'handoff_queued', handoffId: handoff.id, position });
+            printHandoff(handoff);
+            if (AUTO_AGENT) {
+                setTimeout(() => take(handoff.id), 1000);
+            }
+            break;
+        }
+        case 'handoff_resume': {
+            const entry = handoffs.get(message.handoffId);
+            if (!entry || entry.ended) {
+                send(socket, { type: 'handoff_ended', handoffId: message.handoffId });
+                return;
+            }
+            entry.socket = socket;
+            console.log(`~ [${message.handoffId}] customer reconnected`);
+            break;
+        }
+        case 'customer_message': {
+            const entry = handoffs.get(message.handoffId);
+            if (!entry || entry.ended) return;
+            console.log(`> [${message.handoffId}] Customer: ${message.text}`);
+            if (AUTO_AGENT && entry.agentJoined) {
+                reply(message.handoffId, `Thanks! I've noted "${message.text}". Anything else I can check for you?`);
+            }
+            break;
+        }
+        case 'handoff_end': {
+            const entry = handoffs.get(message.handoffId);
+            if (!entry) return;
+            entry.ended = true;
+            console.log(`x [${message.handoffId}] customer went back to the bot`);
+            if (current === message.handoffId) current = null;
+            break;
+        }
+        default:
+            console.log(`! Unknown message type: ${message.type}`);
+    }
+    prompt();
+}
+
+function printHandoff(handoff) {
+    const context = handoff.context || {};
+    console.log(`\n+ New handoff ${handoff.id}: "${handoff.reason}"`);
+    console.log('  Transcript:');
+    (handoff.transcript || []).forEach(entry => {
+        console.log(`    ${entry.sender.padEnd(5)} ${String(entry.text).replace(/\n+/g, ' ').slice(0, 160)}`);
+    });
+    if (context.restaurant) console.log(`  Viewing: ${context.restaurant.name}`);
+    if (context.cart?.length) {
+        console.log(`  Cart: ${context.cart.map(line => `${line.quantity} × ${line.name}`).join(', ')}`);
+    }
+    (context.orders || []).forEach(order => {
+        console.log(`  Order ${order.id} (${order.status || 'placed'}): ${order.items.map(item => `${item.quantity} × ${item.name}`).join(', ')}`);
+    });
+    (context.tickets || []).forEach(ticket => {
+        console.log(`  Ticket ${ticket.id} (${ticket.status}): ${ticket.issueType} on ${ticket.orderId}`);
+    });
+    console.log(`  Type "/take ${handoff.id}" to join.`);
+}
+
+// ===== AGENT CONSOLE =====
+function take(id) {
+    const entry = handoffs.get(id);
+    if (!entry || entry.ended) {
+        console.log(`! No open handoff ${id}`);
+        return;
+    }
+    entry.agentJoined = true;
+    current = id;
+    send(entry.socket, { type: 'agent_joined', handoffId: id, agent: { name: AGENT_NAME } });
+    console.log(`= You (${AGENT_NAME}) joined ${id}`);
+    reply(id, `Hi, I'm ${AGENT_NAME} from FoodieBot support. I've read your chat. How can I help?`);
+}
+
+function reply(id, text) {
+    const entry = handoffs.get(id);
+    if (!entry || entry.ended) return;
+    send(entry.socket, { type: 'agent_message', handoffId: id, text });
+    console.log(`< [${id}] ${AGENT_NAME}: ${text}`);
+}
+
+function end(id) {
+    const entry = handoffs.get(id);
+    if (!entry || entry.ended) return;
+    entry.ended = true;
+    send(entry.socket, { type: 'handoff_ended', handoffId: id });
+    console.log(`x [${id}] ended`);
+    current = null;
+}
+
+function list() {
+    const open = [...handoffs.values()].filter(entry => !entry.ended);
+    if (open.length === 0) {
+        console.log('No open handoffs.');
+        return;
+    }
+    open.forEach(entry => {
+        const state = entry.handoff.id === current ? 'helping' : entry.agentJoined ? 'joined' : 'waiting';
+        console.log(`  ${entry.handoff.id} ${state.padEnd(7)} "${entry.handoff.reason}"`);
+    });
+}
+
+function handleCommand(line) {
+    const input = line.trim();
+    if (!input) return;
+    const [command, argument] = input.split(/\s+/, 2);
+
+    if (command === '/list') {
+        list();
+    } else if (command === '/take') {
+        take(String(argument || '').toUpperCase());
+    } else if (command === '/end') {
+        if (current) end(current);
+        else console.log('! Not helping anyone right now');
+    } else if (command === '/help') {
+        console.log('/list  open handoffs\n/take <id>  join a handoff\n/end  hand the customer back to the bot\nanything else  reply to the customer');
+    } else if (current) {
+        reply(current, input);
+    } else {
+        console.log('! Join a handoff first (/list, /take <id>)');
+    }
+}
+
+const agentConsole = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'agent> ' });
+
+function prompt() {
+    agentConsole.prompt(true);
+}
+
+agentConsole.on('line', line => {
+    handleCommand(line);
+    prompt();
+});
+
+// ===== HTTP =====
+const server = http.createServer((req, res) => {
+    if (req.method === 'GET') {
+        serveStatic(req, res);
+        return;
+    }
+    sendJSON(res, 404, { error: { message: 'Not found' } });
+});
+
+server.on('upgrade', acceptUpgrade);
+
+server.listen(PORT, () => {
+    console.log(`Support stand-in: app on http://localhost:${PORT}${BASE_PATH}, socket on ${WS_PATH}${AUTO_AGENT ? ' (auto agent)' : ''}`);
+    prompt();
+});